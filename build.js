@@ -8,8 +8,10 @@ build({
   target: ['node18'],
   format: 'cjs',
   outfile: 'dist/bundle.cjs',  
+  // Worker threads are started from the module's own file (see src/core/parallel.js)
+  define: { 'import.meta.url': '__importMetaUrl' },
   banner: {
-    js: '#!/usr/bin/env node'
+    js: '#!/usr/bin/env node\nconst __importMetaUrl = require("url").pathToFileURL(__filename).href;'
   }
 }).then(() => {
   console.log('✅ esbuild bundling complete!');
@@ -0,0 +1,240 @@
+// src/api.js
+import path from "path";
+import { Readable } from "stream";
+import { EncDec } from "./utils/EncDec.js";
+import { loadKeyring } from "./core/keyring.js";
+import { addToSummary, createSummary } from "./core/result.js";
+import { DEFAULT_FIELDS, normalizeFieldSpecs } from "./core/fields.js";
+import { MASK_POLICIES, maskResult, parseMasking } from "./core/masking.js";
+import { extendedToString } from "./core/ejson.js";
+import { openRecordSource } from "./core/sources.js";
+import { decryptInParallel } from "./core/parallel.js";
+import {
+  WRITE_BACK_MODES,
+  writeBackProblem,
+  writeBackRecord,
+} from "./core/writeback.js";
+
+/**
+ * Programmatic API for Node services that decrypt TrueHear data without
+ * the CLI. Nothing here prompts, prints, writes the audit log or reads
+ * `app-config.json`: credentials and fields are passed in, and results
+ * come back as the same structured rows the CLI exports (see `result.js`).
+ *
+ * @example
+ * import { decryptRecords, decryptStream } from "decryptionsoftwaretruehear";
+ *
+ * const { results, summary } = await decryptRecords(records, { key, iv });
+ *
+ * const stream = decryptStream("./patients.ndjson", { key, iv, fields: ["ssn"] });
+ * stream.on("summary", (summary) => log.info(summary));
+ * for await (const result of stream) await save(result);
+ */
+
+export { CIPHER_SUITES, EncDec } from "./utils/EncDec.js";
+export { Keyring, loadKeyring } from "./core/keyring.js";
+export { ResultStatus, flattenResult } from "./core/result.js";
+export {
+  AuthenticationError,
+  DecryptionError,
+  FailureReason,
+  ImportFormatError,
+} from "./core/error.js";
+
+/**
+ * Results decrypted between two `progress` events of {@link decryptStream}.
+ * @type {number}
+ */
+export const PROGRESS_INTERVAL = 1000;
+
+/**
+ * @typedef {Object} DecryptOptions
+ * @property {EncDec|import("./core/keyring.js").Keyring} [decryptor] - Ready
+ *   decryptor; otherwise one is built from the options below
+ * @property {string} [key] - Hex AES key (with `iv`)
+ * @property {string} [iv] - Hex IV
+ * @property {string} [keyring] - Keyring file, instead of `key`/`iv`
+ * @property {string} [suite] - Cipher suite (see `CIPHER_SUITES`)
+ * @property {string} [encoding] - Ciphertext encoding (default: `auto`)
+ * @property {string} [passphrase] - Passphrase for OpenSSL `Salted__` payloads
+ * @property {Array<string|Object>} [fields] - Encrypted field paths or
+ *   declarations, as in `app-config.json` (default: `socialSecurityNumber`)
+ * @property {(record: Object) => (string|null)} [idOf] - Extracts each
+ *   result's `_id` (default: the record's `_id`, Extended JSON ids as text)
+ * @property {string} [mask="none"] - Masks plaintexts for fields without
+ *   their own `mask.export` policy: `none`, `last4` or `all`
+ * @property {string} [writeBack] - `replace` or `alongside`: also give each
+ *   result its source record with the plaintext written in, as `record`
+ *   (see `writeback.js`)
+ * @property {number} [workers] - Decryption threads (default: one per
+ *   CPU; 1 keeps everything on the calling thread)
+ */
+
+/**
+ * Builds a decryptor from credentials: an {@link EncDec}, or a
+ * {@link Keyring} when `keyring` names a keyring file.
+ *
+ * @function createDecryptor
+ * @param {DecryptOptions} options - `key`/`iv` or `keyring`, plus `suite`,
+ *   `encoding` and `passphrase`
+ * @returns {EncDec|import("./core/keyring.js").Keyring}
+ * @throws {Error} If no credentials are given or they are invalid
+ *
+ * @example
+ * const decryptor = createDecryptor({ key: process.env.AES_SECRET_KEY, iv: process.env.AES_IV });
+ */
+export function createDecryptor(options = {}) {
+  const { key, iv, keyring, suite, encoding, passphrase } = options;
+  const encdecOptions = { suite, encoding, passphrase };
+  if (keyring) return loadKeyring(keyring, encdecOptions);
+  if (!key || !iv) {
+    throw new Error("Pass `key` and `iv`, a `keyring` file or a `decryptor`");
+  }
+  return new EncDec(key, iv, encdecOptions);
+}
+
+/**
+ * Decrypts every record and resolves with all results at once.
+ *
+ * @async
+ * @function decryptRecords
+ * @param {Iterable<Object>|AsyncIterable<Object>|string} records - Records,
+ *   or the path of a `.json`, `.ndjson`/`.jsonl`, `.csv` or `.xlsx` file
+ * @param {DecryptOptions} options
+ * @returns {Promise<{results: import("./core/result.js").RecordResult[],
+ *   summary: import("./core/result.js").Summary}>} Results in input order
+ *   and their counts
+ * @throws {Error} If the options are invalid, the file is malformed
+ *   ({@link ImportFormatError}) or a worker fails; values that cannot be
+ *   decrypted are reported in the results instead
+ *
+ * @example
+ * const { results, summary } = await decryptRecords(
+ *   [{ _id: "1", socialSecurityNumber: "7d224f6cc6557e10a099c4d095f344dc" }],
+ *   { key, iv }
+ * );
+ * results[0].fields.SSN.plaintext // "123-45-6789"
+ */
+export async function decryptRecords(records, options = {}) {
+  const summary = createSummary();
+  const results = [];
+  for await (const result of decryptAll(records, options, summary)) {
+    results.push(result);
+  }
+  return { results, summary };
+}
+
+/**
+ * Decrypts records as a stream, so large inputs never have to be held in
+ * memory. The stream is an object-mode `Readable` of results in input
+ * order (also usable with `for await` and `stream.pipeline`) and emits:
+ *  • `progress` – running counts (`total`, `success`, `partial`,
+ *                 `invalid`, `failed`) every {@link PROGRESS_INTERVAL}
+ *                 results and after the last one
+ *  • `summary`  – the final summary, before `end`
+ *  • `error`    – invalid options, a malformed file or a failed worker
+ *
+ * Destroying the stream stops reading and shuts the worker threads down.
+ *
+ * @function decryptStream
+ * @param {Iterable<Object>|AsyncIterable<Object>|string} records - Records,
+ *   or the path of a `.json`, `.ndjson`/`.jsonl`, `.csv` or `.xlsx` file
+ * @param {DecryptOptions} options
+ * @returns {Readable}
+ *
+ * @example
+ * const stream = decryptStream("./patients.csv", { key, iv });
+ * stream.on("progress", ({ total }) => metrics.gauge("decrypted", total));
+ * for await (const result of stream) await save(result);
+ */
+export function decryptStream(records, options = {}) {
+  const summary = createSummary();
+  const stream = Readable.from(
+    (async function* () {
+      for await (const result of decryptAll(records, options, summary)) {
+        yield result;
+        if (summary.total % PROGRESS_INTERVAL === 0) {
+          stream.emit("progress", countsOf(summary));
+        }
+      }
+      if (summary.total % PROGRESS_INTERVAL !== 0) {
+        stream.emit("progress", countsOf(summary));
+      }
+      stream.emit("summary", summary);
+    })(),
+    { objectMode: true }
+  );
+  return stream;
+}
+
+/**
+ * Decrypts records in input order, counting each result in `summary`.
+ *
+ * @async
+ * @generator
+ * @function decryptAll
+ * @param {Iterable<Object>|AsyncIterable<Object>|string} records - Records or file path
+ * @param {DecryptOptions} options
+ * @param {import("./core/result.js").Summary} summary - Updated in place
+ * @yields {import("./core/result.js").RecordResult}
+ */
+async function* decryptAll(records, options, summary) {
+  const { mask = "none", writeBack, workers } = options;
+  if (!MASK_POLICIES.includes(mask)) {
+    throw new Error(
+      `Unknown mask "${mask}" (expected ${MASK_POLICIES.join(", ")})`
+    );
+  }
+  if (writeBack && !WRITE_BACK_MODES.includes(writeBack)) {
+    throw new Error(
+      `Unknown write-back mode "${writeBack}" (expected ${WRITE_BACK_MODES.join(", ")})`
+    );
+  }
+  const defaults = { display: mask, export: mask };
+  const fields = normalizeFieldSpecs(options.fields ?? DEFAULT_FIELDS).map(
+    (spec) => {
+      try {
+        return { ...spec, mask: parseMasking(spec.mask, defaults) };
+      } catch (err) {
+        throw new Error(`Field ${spec.path}: ${err.message}`);
+      }
+    }
+  );
+  const problem = writeBack && writeBackProblem(fields, writeBack);
+  if (problem) throw new Error(problem);
+  const decryptor = options.decryptor ?? createDecryptor(options);
+  const idOf =
+    options.idOf ?? ((record) => extendedToString(record?._id) || null);
+  const source =
+    typeof records === "string"
+      ? openRecordSource(path.resolve(records))
+      : records;
+
+  const masking = { fields, defaults };
+  for await (const result of decryptInParallel(decryptor, source, {
+    fields,
+    idOf,
+    workers,
+    withRecords: Boolean(writeBack),
+  })) {
+    addToSummary(summary, result);
+    const { record, ...masked } = maskResult(result, "export", masking);
+    yield writeBack
+      ? {
+          ...masked,
+          record: writeBackRecord(record, masked, fields, writeBack),
+        }
+      : masked;
+  }
+}
+
+/**
+ * Running counts of a summary, for `progress` events.
+ *
+ * @function countsOf
+ * @param {import("./core/result.js").Summary} summary - Running summary
+ * @returns {{total: number, success: number, partial: number, invalid: number, failed: number, empty: number}}
+ */
+function countsOf({ total, success, partial, invalid, failed, empty }) {
+  return { total, success, partial, invalid, failed, empty };
+}
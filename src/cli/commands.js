@@ -0,0 +1,752 @@
+// src/cli/commands.js
+import fs from "fs";
+import path from "path";
+import yargs from "yargs";
+import {
+  askForCredentials,
+  promptExportPassword,
+  promptNewExportPassword,
+} from "./prompt.js";
+import { EXPORT_FORMATS } from "./exporter.js";
+import { CIPHER_SUITES, EncDec } from "../utils/EncDec.js";
+import { decryptValues } from "../core/decrypt.js";
+import { handleJsonImportFlow } from "../core/importJson.js";
+import { handleCsvImportFlow } from "../core/importCsv.js";
+import { handleXlsxImportFlow } from "../core/importXlsx.js";
+import { CSV_CHARSETS } from "../core/csvDialect.js";
+import { handleUnexpectedError, setInteractiveMode } from "../core/error.js";
+import {
+  resolveFieldSpecs,
+  resolveSetting,
+  selectProfile,
+} from "../core/config.js";
+import { handleFileEncryptionFlow } from "../core/encrypt.js";
+import { handleRotationFlow } from "../core/rotate.js";
+import { Keyring, loadKeyring } from "../core/keyring.js";
+import { CIPHERTEXT_ENCODINGS } from "../utils/encoding.js";
+import {
+  AuditEvent,
+  auditEvent,
+  auditLogPath,
+  startAuditSession,
+  verifyAuditLog,
+} from "../core/audit.js";
+import {
+  printAuditVerification,
+  printBenchmark,
+  printSealedExport,
+} from "./display.js";
+import {
+  NEW_CREDENTIALS,
+  PRIMARY_CREDENTIALS,
+  resolveCredentialSource,
+} from "../core/credentials.js";
+import {
+  SEALED_EXTENSION,
+  SEAL_KDFS,
+  openSealedFile,
+  readSealedHeader,
+  validateExportPassword,
+} from "../core/sealed.js";
+import { DEFAULT_BENCH_VALUES, runBenchmark } from "../core/bench.js";
+import { WRITE_BACK_MODES } from "../core/writeback.js";
+import { EJSON_MODES } from "../core/ejson.js";
+import { recordFormatOf } from "../core/sources.js";
+
+/**
+ * Parses command-line arguments and dispatches to a subcommand.
+ * With no subcommand the interactive menu is started instead.
+ *
+ * @async
+ * @function runCli
+ * @param {string[]} args - Arguments without the node/binary prefix (see `hideBin`)
+ * @param {(profile?: string) => Promise<void>} startInteractive - Interactive
+ *   entry point, given the profile selected by `--profile` or `$TRUEHEAR_PROFILE`
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await runCli(hideBin(process.argv), start);
+ */
+export async function runCli(args, startInteractive) {
+  await yargs(args)
+    .scriptName("truehear-dc")
+    .usage("$0 [command] [options]")
+    .option("profile", {
+      describe:
+        "Profile from app-config.json: key file, cipher, fields, masking, export defaults (default: $TRUEHEAR_PROFILE)",
+      type: "string",
+      global: true,
+    })
+    .command("$0", "Start the interactive menu (default)", {}, (argv) =>
+      startInteractive(argv.profile ?? process.env.TRUEHEAR_PROFILE)
+    )
+    .command(
+      "decrypt [values..]",
+      "Decrypt one or more encrypted values",
+      (cmd) =>
+        withBatchOptions(cmd)
+          .positional("values", {
+            describe: "Encrypted payloads to decrypt",
+            type: "string",
+          })
+          .option("input", {
+            alias: "i",
+            describe: "Text file with one encrypted payload per line",
+            type: "string",
+          }),
+      (argv) =>
+        runBatch(argv, (encdec, options) =>
+          decryptValues(encdec, collectValues(argv), options)
+        )
+    )
+    .command(
+      "import-json",
+      "Decrypt records from a JSON array or NDJSON (.ndjson/.jsonl) file",
+      (cmd) => withBatchOptions(withRecordOptions(cmd, "JSON")),
+      (argv) =>
+        runBatch(argv, (encdec, options) =>
+          handleJsonImportFlow(encdec, argv.input, {
+            ...options,
+            fields: resolveFieldSpecs(argv.fields),
+            sampleCheck: argv.sampleCheck,
+            workers: argv.workers,
+            checkpoint: argv.checkpoint,
+            resume: argv.resume,
+            writeBack: argv.writeBack,
+            ejson: argv.ejson,
+            escapeFormulas: argv.escapeFormulas,
+          })
+        )
+    )
+    .command(
+      "import-csv",
+      "Decrypt records from a CSV file",
+      (cmd) =>
+        withBatchOptions(withRecordOptions(cmd, "CSV"))
+          .option("delimiter", {
+            describe:
+              'Field delimiter, e.g. ";" or "tab" (default: detected from the file)',
+            type: "string",
+            coerce: csvDelimiter,
+          })
+          .option("charset", {
+            describe:
+              "Character set of the file (default: detected from its byte order mark or bytes)",
+            choices: CSV_CHARSETS,
+          }),
+      (argv) =>
+        runBatch(argv, (encdec, options) =>
+          handleCsvImportFlow(encdec, argv.input, {
+            ...options,
+            delimiter: argv.delimiter,
+            charset: argv.charset,
+            fields: resolveFieldSpecs(argv.fields),
+            sampleCheck: argv.sampleCheck,
+            workers: argv.workers,
+            checkpoint: argv.checkpoint,
+            resume: argv.resume,
+            writeBack: argv.writeBack,
+            ejson: argv.ejson,
+            escapeFormulas: argv.escapeFormulas,
+          })
+        )
+    )
+    .command(
+      "import-xlsx",
+      "Decrypt records from a sheet of an Excel (.xlsx) workbook",
+      (cmd) =>
+        withBatchOptions(withRecordOptions(cmd, "Excel (.xlsx)"))
+          .option("sheet", {
+            describe:
+              "Sheet name or 1-based position (default: the first visible sheet)",
+            type: "string",
+          })
+          .option("header-row", {
+            describe:
+              "Row number of the column names (default: the first row naming _id or an encrypted field, else the widest text row near the top)",
+            type: "number",
+            coerce: positiveInteger("--header-row"),
+          }),
+      (argv) =>
+        runBatch(argv, (encdec, options) =>
+          handleXlsxImportFlow(encdec, argv.input, {
+            ...options,
+            fields: resolveFieldSpecs(argv.fields),
+            sheet: argv.sheet,
+            headerRow: argv.headerRow,
+            sampleCheck: argv.sampleCheck,
+            workers: argv.workers,
+            checkpoint: argv.checkpoint,
+            resume: argv.resume,
+            writeBack: argv.writeBack,
+            ejson: argv.ejson,
+            escapeFormulas: argv.escapeFormulas,
+          })
+        )
+    )
+    .command(
+      "encrypt [values..]",
+      "Encrypt values, or the configured fields of a JSON/NDJSON/CSV file",
+      (cmd) =>
+        withCredentialOptions(cmd)
+          .positional("values", {
+            describe: "Plaintext values; ciphertexts are printed one per line",
+            type: "string",
+          })
+          .option("input", {
+            alias: "i",
+            describe: "Plaintext .json, .ndjson/.jsonl or .csv file",
+            type: "string",
+          })
+          .option("output", {
+            alias: "o",
+            describe: "Encrypted file (default: <name>.encrypted.<ext>)",
+            type: "string",
+          })
+          .option("fields", fieldsOption)
+          .check((argv) => {
+            if (!argv.input && !argv.values?.length) {
+              throw new Error("Pass values to encrypt or a file via --input.");
+            }
+            return true;
+          }),
+      (argv) =>
+        runBatch(argv, async (encdec) => {
+          if (!argv.input) {
+            for (const value of argv.values) {
+              console.log(encdec.encryptPayload(String(value)));
+            }
+            return { total: argv.values.length, success: argv.values.length };
+          }
+          const counts = await handleFileEncryptionFlow(encdec, argv.input, {
+            output: argv.output,
+            fields: resolveFieldSpecs(argv.fields),
+          });
+          return (
+            counts && {
+              total: counts.records,
+              success: counts.records - counts.failedRecords,
+            }
+          );
+        })
+    )
+    .command(
+      "rotate",
+      "Re-encrypt a JSON/NDJSON/CSV file from the current key/IV to a new one",
+      (cmd) =>
+        withCredentialOptions(cmd)
+          .option("new-key", {
+            describe:
+              "New AES key, 64 hex chars (default: $NEW_AES_SECRET_KEY)",
+            type: "string",
+          })
+          .option("new-iv", {
+            describe: "New AES IV, 32 hex chars (default: $NEW_AES_IV)",
+            type: "string",
+          })
+          .option("new-key-file", {
+            describe:
+              "Key file with the new key/IV (default: $NEW_AES_KEY_FILE)",
+            type: "string",
+            conflicts: ["new-key", "new-iv"],
+          })
+          .option("new-profile", {
+            describe: "Credential profile with the new key/IV",
+            type: "string",
+            conflicts: ["new-key", "new-iv", "new-key-file"],
+          })
+          .option("new-cipher", {
+            describe:
+              "New cipher suite (default: from the key file/profile, $NEW_AES_CIPHER, else aes-256-cbc)",
+            choices: Object.keys(CIPHER_SUITES),
+          })
+          .option("input", {
+            alias: "i",
+            describe: "Encrypted .json, .ndjson/.jsonl or .csv file",
+            type: "string",
+            demandOption: true,
+          })
+          .option("output", {
+            alias: "o",
+            describe: "Rotated file (default: <name>.rotated.<ext>)",
+            type: "string",
+          })
+          .option("fields", fieldsOption),
+      (argv) =>
+        runBatch(argv, async (oldEncdec) => {
+          const next = await resolveCredentials(argv, NEW_CREDENTIALS);
+          const counts = await handleRotationFlow(
+            oldEncdec,
+            new EncDec(next.key, next.iv, { suite: next.suite }),
+            argv.input,
+            { output: argv.output, fields: resolveFieldSpecs(argv.fields) }
+          );
+          return (
+            counts && {
+              total: counts.total,
+              success: counts.total - counts.failed,
+            }
+          );
+        })
+    )
+    .command(
+      "verify-audit [log]",
+      "Check the audit log for tampering or truncation",
+      (cmd) =>
+        cmd.positional("log", {
+          describe:
+            "Audit log (default: audit.path in app-config.json, else ~/.truehear/audit.log)",
+          type: "string",
+        }),
+      (argv) => runVerifyAudit(argv.log ?? auditLogPath())
+    )
+    .command(
+      "bench",
+      "Compare decryption throughput of the crypto-js and Node crypto backends",
+      (cmd) =>
+        cmd.option("count", {
+          alias: "n",
+          describe: "Values decrypted per backend",
+          type: "number",
+          default: DEFAULT_BENCH_VALUES,
+          coerce: positiveInteger("--count"),
+        }),
+      (argv) => runBench(argv.count)
+    )
+    .command(
+      "open-export <file>",
+      "Check or decrypt a password-protected export",
+      (cmd) =>
+        cmd
+          .positional("file", {
+            describe: "Sealed export (.enc)",
+            type: "string",
+          })
+          .option("output", {
+            alias: "o",
+            describe:
+              "Write the decrypted content here (default: only verify and describe it)",
+            type: "string",
+          }),
+      (argv) => runOpenExport(argv)
+    )
+    .strict()
+    .help()
+    .alias("help", "h")
+    .parseAsync();
+}
+
+/**
+ * `--fields` option definition shared by record-based commands.
+ * Accepts a comma-separated list and/or repeated flags.
+ * @type {import("yargs").Options}
+ */
+const fieldsOption = {
+  describe:
+    "Encrypted field paths, comma-separated (e.g. socialSecurityNumber,contacts[].phone); default: app-config.json",
+  type: "string",
+  coerce: (value) =>
+    [value]
+      .flat()
+      .flatMap((v) => String(v).split(","))
+      .map((v) => v.trim())
+      .filter(Boolean),
+};
+
+/**
+ * Adds the required `--input`, the `--fields`, the `--sample-check`, the
+ * `--workers`, the `--checkpoint`/`--resume`, the `--write-back`, the
+ * `--ejson` and the `--escape-formulas` options for record-based (file
+ * import) commands.
+ *
+ * @function withRecordOptions
+ * @param {import("yargs").Argv} cmd - Command builder
+ * @param {string} kind - Human-readable file type for the help text
+ * @returns {import("yargs").Argv}
+ */
+function withRecordOptions(cmd, kind) {
+  return cmd
+    .option("input", {
+      alias: "i",
+      describe: `Path to the ${kind} file with encrypted records`,
+      type: "string",
+      demandOption: true,
+    })
+    .option("fields", fieldsOption)
+    .option("sample-check", {
+      describe:
+        "Decrypt the first records first and stop if the key/IV looks wrong",
+      type: "boolean",
+      default: true,
+    })
+    .option("workers", {
+      describe:
+        "Decryption threads; 1 decrypts on the main thread (default: the workers setting, else one per CPU)",
+      type: "number",
+      coerce: positiveInteger("--workers"),
+    })
+    .option("checkpoint", {
+      describe:
+        "Save progress while decrypting so an interrupted run can be resumed",
+      type: "boolean",
+      default: true,
+    })
+    .option("resume", {
+      describe:
+        "Continue an interrupted run of the same file (--no-resume starts over; default: ask in a terminal, else continue if the key matches)",
+      type: "boolean",
+    })
+    .option("write-back", {
+      describe:
+        "Export the input records themselves, with each ciphertext replaced by its plaintext or the plaintext added next to it as <field>_decrypted",
+      choices: WRITE_BACK_MODES,
+    })
+    .option("ejson", {
+      describe:
+        "Write JSON/NDJSON exports as canonical or relaxed MongoDB Extended JSON (default: values as read)",
+      choices: EJSON_MODES,
+    })
+    .option("escape-formulas", {
+      describe:
+        "With --write-back to CSV, prefix every cell a spreadsheet would run as a formula with ' (default: cells are written as read)",
+      type: "boolean",
+      default: false,
+    });
+}
+
+/**
+ * Builds a yargs `coerce` function accepting whole numbers of at least 1.
+ *
+ * @function positiveInteger
+ * @param {string} flag - Option name for the error message
+ * @returns {(value: number) => number}
+ */
+function positiveInteger(flag) {
+  return (value) => {
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`${flag} must be a whole number of at least 1`);
+    }
+    return value;
+  };
+}
+
+/**
+ * yargs `coerce` function for `--delimiter`: a single character, or
+ * `tab` / `\t` for a tab.
+ *
+ * @function csvDelimiter
+ * @param {string} value - Option value
+ * @returns {string}
+ */
+function csvDelimiter(value) {
+  if (value === "tab" || value === "\\t") return "\t";
+  if (value.length !== 1 || /[\r\n"]/.test(value)) {
+    throw new Error('--delimiter must be a single character, or "tab"');
+  }
+  return value;
+}
+
+/**
+ * Adds output and credential options shared by all batch commands.
+ *
+ * @function withBatchOptions
+ * @param {import("yargs").Argv} cmd - Command builder
+ * @returns {import("yargs").Argv}
+ */
+function withBatchOptions(cmd) {
+  return withCredentialOptions(cmd)
+    .option("output", {
+      alias: "o",
+      describe: "Export path (default: timestamped file in the cwd)",
+      type: "string",
+    })
+    .option("format", {
+      alias: "f",
+      describe: "Export format (default: from --output extension, else json)",
+      choices: EXPORT_FORMATS,
+    })
+    .option("encrypt-export", {
+      describe: `Password-protect the export (adds ${SEALED_EXTENSION}); password from $${EXPORT_PASSWORD_ENV}, else prompted`,
+      type: "boolean",
+      default: false,
+    })
+    .option("kdf", {
+      describe: "Key derivation for --encrypt-export",
+      choices: SEAL_KDFS,
+      default: "scrypt",
+    });
+}
+
+/**
+ * Environment variable holding the password for sealed exports.
+ * @type {string}
+ */
+const EXPORT_PASSWORD_ENV = "TRUEHEAR_EXPORT_PASSWORD";
+
+/**
+ * Adds the `--key` / `--iv` / `--key-file` / `--cipher` / `--keyring`
+ * credential options and the `--encoding` / `--passphrase` options
+ * controlling how ciphertext is read.
+ *
+ * @function withCredentialOptions
+ * @param {import("yargs").Argv} cmd - Command builder
+ * @returns {import("yargs").Argv}
+ */
+function withCredentialOptions(cmd) {
+  return cmd
+    .option("key", {
+      describe: "AES key, 64 hex chars (default: $AES_SECRET_KEY)",
+      type: "string",
+    })
+    .option("iv", {
+      describe: "AES IV, 32 hex chars (default: $AES_IV)",
+      type: "string",
+    })
+    .option("key-file", {
+      describe:
+        "JSON or KEY=value file with the key/IV, ideally chmod 600 (default: $AES_KEY_FILE)",
+      type: "string",
+      conflicts: ["key", "iv"],
+    })
+    .option("cipher", {
+      describe:
+        "Cipher suite (default: from the key file, the suite setting, $AES_CIPHER, else aes-256-cbc)",
+      choices: Object.keys(CIPHER_SUITES),
+    })
+    .option("keyring", {
+      describe:
+        "JSON file of named key/IV pairs tried per value; the first key encrypts (default: $AES_KEYRING)",
+      type: "string",
+      conflicts: ["key", "iv", "key-file"],
+    })
+    .option("encoding", {
+      describe:
+        "Ciphertext encoding; auto detects it per value (default: the encoding setting, else auto)",
+      choices: CIPHERTEXT_ENCODINGS,
+    })
+    .option("passphrase", {
+      describe:
+        "Passphrase for OpenSSL Salted__ payloads (default: $AES_PASSPHRASE)",
+      type: "string",
+    });
+}
+
+/**
+ * Runs a batch command: resolves credentials, executes the task and
+ * maps the outcome to an exit code (0 ok, 1 error, 2 some records not fully decrypted).
+ *
+ * @async
+ * @function runBatch
+ * @param {Object} argv - Parsed arguments
+ * @param {(encdec: EncDec|Keyring, options: Object) => Promise<Object|undefined>} task
+ *   Work to run; resolves to `{ total, success }` counts or undefined on failure
+ * @returns {Promise<void>}
+ */
+async function runBatch(argv, task) {
+  setInteractiveMode(false);
+  try {
+    const profile = selectProfile(argv.profile ?? process.env.TRUEHEAR_PROFILE);
+    startAuditSession({ mode: "batch", command: argv._[0], profile });
+    const encdec = await resolveDecryptor(argv);
+    const password = argv.encryptExport
+      ? await resolveExportPassword(promptNewExportPassword)
+      : undefined;
+    // Reject a weak password before decrypting anything
+    const check = password ? validateExportPassword(password) : true;
+    if (check !== true) throw new Error(`${EXPORT_PASSWORD_ENV}: ${check}`);
+    const summary = await task(encdec, {
+      interactive: false,
+      format: resolveFormat(argv),
+      output: argv.output,
+      password,
+      kdf: argv.kdf,
+    });
+
+    if (!summary) process.exitCode = 1;
+    // Records with nothing to decrypt are not failures
+    else if (summary.success + summary.empty < summary.total) {
+      process.exitCode = 2;
+    }
+  } catch (err) {
+    handleUnexpectedError(err);
+  }
+}
+
+/**
+ * Verifies the audit log and exits with 0 if intact, 1 otherwise.
+ *
+ * @function runVerifyAudit
+ * @param {string} logPath - Audit log to check
+ * @returns {void}
+ */
+function runVerifyAudit(logPath) {
+  setInteractiveMode(false);
+  try {
+    const report = verifyAuditLog(logPath);
+    printAuditVerification(report, logPath);
+    if (!report.ok) process.exitCode = 1;
+  } catch (err) {
+    handleUnexpectedError(err);
+  }
+}
+
+/**
+ * Runs the backend benchmark (see `bench.js`) and prints the results.
+ *
+ * @function runBench
+ * @param {number} count - Values decrypted per backend
+ * @returns {void}
+ */
+function runBench(count) {
+  setInteractiveMode(false);
+  try {
+    printBenchmark(runBenchmark({ count }));
+  } catch (err) {
+    handleUnexpectedError(err);
+  }
+}
+
+/**
+ * Opens a sealed export: verifies the password and integrity, prints
+ * its description and, with `--output`, writes the decrypted content.
+ * Exits with 1 if the file cannot be opened.
+ *
+ * @async
+ * @function runOpenExport
+ * @param {Object} argv - Parsed arguments
+ * @returns {Promise<void>}
+ */
+async function runOpenExport(argv) {
+  setInteractiveMode(false);
+  try {
+    const filepath = path.resolve(argv.file);
+    readSealedHeader(filepath); // Fail on a wrong file before asking for a password
+    const outputPath = argv.output && path.resolve(argv.output);
+    if (outputPath === filepath) {
+      throw new Error("--output must differ from the sealed file");
+    }
+    const password = await resolveExportPassword(promptExportPassword);
+    const opened = await openSealedFile(filepath, password, outputPath);
+    auditEvent(AuditEvent.OPEN_EXPORT, {
+      path: filepath,
+      format: opened.header.format,
+      output: outputPath ?? null,
+    });
+    printSealedExport(opened, filepath, outputPath);
+  } catch (err) {
+    handleUnexpectedError(err);
+  }
+}
+
+/**
+ * Reads the sealed-export password from `$TRUEHEAR_EXPORT_PASSWORD`,
+ * falling back to `prompt` only when attached to a terminal.
+ *
+ * @async
+ * @function resolveExportPassword
+ * @param {() => Promise<string>} prompt - Interactive fallback
+ * @returns {Promise<string>}
+ * @throws {Error} If no password is available
+ */
+async function resolveExportPassword(prompt) {
+  const password = process.env[EXPORT_PASSWORD_ENV];
+  if (password) return password;
+  if (process.stdin.isTTY) return prompt();
+  throw new Error(
+    `Missing export password: set ${EXPORT_PASSWORD_ENV} or run in a terminal.`
+  );
+}
+
+/**
+ * Builds the decryption utility for a batch run: a keyring when
+ * `--keyring` (or `$AES_KEYRING`) is given, otherwise a single key.
+ *
+ * @async
+ * @function resolveDecryptor
+ * @param {Object} argv - Parsed arguments
+ * @returns {Promise<EncDec|Keyring>}
+ * @throws {Error} If credentials are missing or malformed
+ */
+async function resolveDecryptor(argv) {
+  // $AES_KEYRING only applies when no other credentials were passed
+  const explicit = argv.key || argv.iv || argv.keyFile;
+  const keyringPath =
+    argv.keyring ?? (explicit ? undefined : process.env.AES_KEYRING);
+  const options = {
+    suite: argv.cipher ?? resolveSetting("suite") ?? process.env.AES_CIPHER,
+    encoding: argv.encoding ?? resolveSetting("encoding"),
+    passphrase: argv.passphrase ?? process.env.AES_PASSPHRASE,
+  };
+  if (keyringPath) return loadKeyring(keyringPath, options);
+  const { key, iv, suite } = await resolveCredentials(argv);
+  return new EncDec(key, iv, { ...options, suite });
+}
+
+/**
+ * Resolves AES credentials from flags, key files, profiles and
+ * environment variables (see `credentials.js` for the precedence).
+ * Falls back to the masked prompt only when attached to a terminal.
+ *
+ * @async
+ * @function resolveCredentials
+ * @param {Object} argv - Parsed arguments
+ * @param {import("../core/credentials.js").CredentialSource} [source=PRIMARY_CREDENTIALS] - Which pair to resolve
+ * @returns {Promise<{key: string, iv: string, suite: string}>}
+ * @throws {Error} If credentials are missing or malformed
+ */
+async function resolveCredentials(argv, source = PRIMARY_CREDENTIALS) {
+  const found = resolveCredentialSource(argv, source);
+  if (found) return found;
+  if (process.stdin.isTTY) return askForCredentials(source.title);
+  const flag = (name) =>
+    `--${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+  throw new Error(
+    `Missing credentials: pass ${flag(source.keyOption)}/${flag(source.ivOption)} or ${flag(source.keyFileOption)}, or set ${source.keyEnv} and ${source.ivEnv}.`
+  );
+}
+
+/**
+ * Picks the export format from `--format`, the `--output` extension
+ * (ignoring a trailing `.enc`), the input's format for `--write-back`,
+ * the `exportFormat` setting, or JSON.
+ *
+ * @function resolveFormat
+ * @param {Object} argv - Parsed arguments
+ * @returns {string} One of {@link EXPORT_FORMATS}
+ */
+function resolveFormat(argv) {
+  if (argv.format) return argv.format;
+  // `results.csv.enc` is a sealed CSV
+  const output = argv.output?.replace(/\.enc$/i, "");
+  const ext = output ? path.extname(output).slice(1).toLowerCase() : "";
+  if (ext === "jsonl") return "ndjson";
+  if (EXPORT_FORMATS.includes(ext)) return ext;
+  if (argv.writeBack) return recordFormatOf(argv.input);
+  return resolveSetting("exportFormat") ?? "json";
+}
+
+/**
+ * Gathers encrypted values from positional arguments and `--input`.
+ *
+ * @function collectValues
+ * @param {Object} argv - Parsed arguments
+ * @returns {string[]} Non-empty, trimmed payloads
+ * @throws {Error} If no values were supplied
+ */
+function collectValues(argv) {
+  const values = [...(argv.values ?? [])];
+  if (argv.input) {
+    const lines = fs
+      .readFileSync(path.resolve(argv.input), "utf8")
+      .split(/\r?\n/);
+    values.push(...lines);
+  }
+
+  const cleaned = values.map((v) => String(v).trim()).filter(Boolean);
+  if (cleaned.length === 0) {
+    throw new Error(
+      "No encrypted values given. Pass them as arguments or via --input."
+    );
+  }
+  return cleaned;
+}
@@ -0,0 +1,274 @@
+// src/cli/display.js
+import chalk from "chalk";
+import { ResultStatus } from "../core/result.js";
+import { FailureReason } from "../core/error.js";
+import { InvalidReason } from "../core/validate.js";
+import { describeSample } from "../core/sampling.js";
+import { maskResult } from "../core/masking.js";
+
+/**
+ * Terminal labels for each result status.
+ * @type {Record<string, string>}
+ */
+const STATUS_LABELS = {
+  [ResultStatus.DECRYPTED]: chalk.green("✅ Decrypted"),
+  [ResultStatus.INVALID]: chalk.magenta("🧐 Decrypted but invalid"),
+  [ResultStatus.FAILED]: chalk.red("❌ Failed"),
+  [ResultStatus.MISSING]: chalk.red("❌ Invalid or missing"),
+  [ResultStatus.PENDING]: chalk.yellow("⏳ Not decrypted"),
+  [ResultStatus.PARTIAL]: chalk.yellow("⚠️ Partial"),
+  [ResultStatus.EMPTY]: chalk.gray("➖ Nothing to decrypt"),
+};
+
+/**
+ * Summary labels for each failure reason.
+ * @type {Record<string, string>}
+ */
+const FAILURE_LABELS = {
+  [FailureReason.MISSING]: "Missing field",
+  [FailureReason.NON_HEX]: "Non-hex / undecodable input",
+  [FailureReason.MISALIGNED]: "Misaligned length",
+  [FailureReason.BAD_PADDING]: "Bad padding (likely wrong key/IV)",
+  [FailureReason.MALFORMED_UTF8]: "Malformed UTF-8 (likely wrong key/IV)",
+  [FailureReason.EMPTY_PLAINTEXT]: "Empty plaintext",
+  [FailureReason.AUTH_FAILED]: "GCM authentication failed",
+  [FailureReason.NO_KEY_FIT]: "No keyring key fits",
+  [FailureReason.MISSING_PASSPHRASE]: "OpenSSL passphrase missing",
+  [FailureReason.OTHER]: "Other error",
+};
+
+/**
+ * Summary labels for each reason a decrypted value is invalid.
+ * @type {Record<string, string>}
+ */
+const INVALID_LABELS = {
+  [InvalidReason.FORMAT]: "Not 9 digits",
+  [InvalidReason.AREA]: "Area 000, 666 or 9xx",
+  [InvalidReason.GROUP]: "Group 00",
+  [InvalidReason.SERIAL]: "Serial 0000",
+};
+
+/**
+ * Prints result rows as a colored table.
+ * Coloring and masking are applied to a copy; the rows themselves stay plain.
+ * Values are masked with each field's `display` policy unless `reveal` is set.
+ *
+ * @function printResultsTable
+ * @param {Array<Object>} results - Structured result rows
+ * @param {Object} [options] - Masking options (see `maskResult` in `masking.js`)
+ * @param {import("../core/fields.js").FieldSpec[]} [options.fields] - Field specs of the run
+ * @param {import("../core/masking.js").MaskSettings} [options.defaults] - Fallback policies
+ * @param {boolean} [options.reveal=false] - Show full values
+ * @returns {void}
+ *
+ * @example
+ * printResultsTable([{ _id: "1", status: "decrypted", fields: { SSN: { status: "decrypted", plaintext: "123-45-6789", reason: null } } }]);
+ * // SSN column shows ***-**-6789
+ */
+export function printResultsTable(results, options = {}) {
+  const { reveal = false, ...masking } = options;
+  const rows = reveal
+    ? results
+    : results.map((row) => maskResult(row, "display", masking));
+  console.log(chalk.cyan.bold("\n📋 Decryption Results:\n"));
+  console.table(rows.map(formatRowForDisplay));
+}
+
+/**
+ * Prints total/decrypted/invalid/failed counts with a breakdown of failed
+ * and invalid values by reason, plus per-key usage for keyring runs and
+ * per-encoding counts when non-hex ciphertext was seen.
+ *
+ * @function printSummary
+ * @param {{total: number, success: number, partial?: number, invalid?: number, failed: number, empty?: number, keys?: Record<string, number>, formats?: Record<string, number>, reasons?: Record<string, number>, invalidReasons?: Record<string, number>}} summary - Counts to print
+ * @returns {void}
+ */
+export function printSummary({
+  total,
+  success,
+  partial = 0,
+  invalid = 0,
+  failed,
+  empty = 0,
+  keys = {},
+  formats = {},
+  reasons = {},
+  invalidReasons = {},
+}) {
+  console.log(chalk.yellow("\n📊 Summary:"));
+  console.log(`🧾 Total Records: ${total}`);
+  console.log(chalk.green(`✅ Successfully Decrypted: ${success}`));
+  if (partial) console.log(chalk.yellow(`⚠️ Partially Decrypted: ${partial}`));
+  if (invalid) {
+    console.log(chalk.magenta(`🧐 Decrypted but Invalid: ${invalid}`));
+  }
+  console.log(chalk.red(`❌ Failed: ${failed}`));
+  if (empty) console.log(chalk.gray(`➖ Nothing to Decrypt: ${empty}`));
+  // Breakdown of every value that was not decrypted, most common first
+  const perReason = Object.entries(reasons).sort(([, a], [, b]) => b - a);
+  if (perReason.length) {
+    console.log(chalk.red("🔎 Failure reasons:"));
+    for (const [code, count] of perReason) {
+      console.log(chalk.red(`   • ${FAILURE_LABELS[code] ?? code}: ${count}`));
+    }
+  }
+  const perInvalid = Object.entries(invalidReasons).sort(
+    ([, a], [, b]) => b - a
+  );
+  if (perInvalid.length) {
+    console.log(chalk.magenta("🧐 Invalid values:"));
+    for (const [code, count] of perInvalid) {
+      console.log(
+        chalk.magenta(`   • ${INVALID_LABELS[code] ?? code}: ${count}`)
+      );
+    }
+  }
+  const perKey = Object.entries(keys);
+  if (perKey.length) {
+    const usage = perKey.map(([id, count]) => `${id} (${count})`).join(", ");
+    console.log(chalk.cyan(`🗝️ Values per key: ${usage}`));
+  }
+  // Hex is the norm; only mention encodings when something else turned up
+  const perFormat = Object.entries(formats);
+  if (perFormat.some(([format]) => format !== "hex")) {
+    const usage = perFormat
+      .map(([format, count]) => `${format} (${count})`)
+      .join(", ");
+    console.log(chalk.cyan(`🔤 Values per encoding: ${usage}`));
+  }
+}
+
+/**
+ * Warns that a sampled batch looks like it was encrypted with another
+ * key, with the most common reasons the sampled values were rejected.
+ *
+ * @function printSampleWarning
+ * @param {import("../core/sampling.js").SampleReport} report - Sample check outcome
+ * @returns {void}
+ */
+export function printSampleWarning(report) {
+  console.log(
+    chalk.yellow(
+      `\n⚠️ This key/IV looks wrong: ${describeSample(report)} (first ${report.records} records).`
+    )
+  );
+  const perReason = Object.entries(report.reasons).sort(
+    ([, a], [, b]) => b - a
+  );
+  for (const [code, count] of perReason) {
+    const label =
+      code === "pattern"
+        ? "Decrypted but does not match the field pattern"
+        : (FAILURE_LABELS[code] ?? code);
+    console.log(chalk.yellow(`   • ${label}: ${count}`));
+  }
+}
+
+/**
+ * Converts a plain result row into its colored display form.
+ * The status becomes a label, empty cells show as "N/A", each
+ * per-field outcome shows its plaintext (or its status when it has
+ * none) and reason columns are left out to keep the table narrow.
+ *
+ * @function formatRowForDisplay
+ * @param {Object} row - Structured result row
+ * @returns {Object} Row with terminal styling applied
+ */
+function formatRowForDisplay(row) {
+  const display = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (key === "reason" || key === "reasonCode") continue;
+    if (key === "status") {
+      display.Status = STATUS_LABELS[value] ?? value;
+    } else if (key === "fields") {
+      for (const [field, outcome] of Object.entries(value)) {
+        display[field] =
+          outcome.plaintext ?? STATUS_LABELS[outcome.status] ?? outcome.status;
+      }
+    } else {
+      display[key] = value ?? chalk.gray("N/A");
+    }
+  }
+  return display;
+}
+
+/**
+ * Prints the outcome of an audit log verification.
+ *
+ * @function printAuditVerification
+ * @param {import("../core/audit.js").AuditVerification} report - Verification result
+ * @param {string} logPath - Log that was checked
+ * @returns {void}
+ */
+export function printAuditVerification(report, logPath) {
+  const { ok, entries, problems, warnings } = report;
+  if (ok) {
+    console.log(
+      chalk.green(`✅ Audit log intact: ${entries} entries (${logPath})`)
+    );
+  } else {
+    console.log(
+      chalk.red(
+        `❌ Audit log tampered or truncated: ${problems.length} problem(s) in ${entries} entries (${logPath})`
+      )
+    );
+    for (const { line, message } of problems) {
+      console.log(chalk.red(`   • line ${line}: ${message}`));
+    }
+  }
+  for (const warning of warnings) console.log(chalk.yellow(`⚠️ ${warning}`));
+}
+
+/**
+ * Prints what an opened sealed export contains.
+ *
+ * @function printSealedExport
+ * @param {{header: import("../core/sealed.js").SealedHeader, bytes: number, lines: number}} opened
+ *   Result of `openSealedFile`
+ * @param {string} filepath - Sealed file
+ * @param {string} [outputPath] - Where the plaintext was written, if anywhere
+ * @returns {void}
+ */
+export function printSealedExport(opened, filepath, outputPath) {
+  const { header, bytes, lines } = opened;
+  console.log(chalk.green(`✅ Password correct and ${filepath} is intact`));
+  console.log(`   Original name: ${header.name ?? chalk.gray("N/A")}`);
+  console.log(`   Format:        ${header.format ?? chalk.gray("N/A")}`);
+  console.log(`   Created:       ${header.created}`);
+  console.log(
+    `   Protection:    ${header.cipher}, key from ${header.kdf.name}`
+  );
+  console.log(`   Content:       ${bytes} bytes, ${lines} lines`);
+  if (outputPath) {
+    console.log(chalk.green(`\n✅ Decrypted to ${outputPath}\n`));
+  } else {
+    console.log(chalk.gray("\nPass --output to write the decrypted file."));
+  }
+}
+
+/**
+ * Prints decryption throughput per backend, fastest first, with each
+ * backend's speed relative to the slowest.
+ *
+ * @function printBenchmark
+ * @param {import("../core/bench.js").BenchResult[]} results - Output of `runBenchmark`
+ * @returns {void}
+ */
+export function printBenchmark(results) {
+  const sorted = [...results].sort((a, b) => b.perSecond - a.perSecond);
+  const slowest = sorted[sorted.length - 1].perSecond;
+  console.log(
+    chalk.cyan.bold(
+      `\n⏱️ Decrypting ${results[0].values} AES-256-CBC values per backend\n`
+    )
+  );
+  for (const { name, engine, ms, perSecond } of sorted) {
+    const label = `${name} (${engine})`.padEnd(26);
+    const rate = `${Math.round(perSecond).toLocaleString("en-US")} values/s`;
+    const relative = (perSecond / slowest).toFixed(1);
+    console.log(
+      `   ${label} ${rate.padStart(18)}  ${chalk.gray(`${ms.toFixed(0)} ms, ${relative}×`)}`
+    );
+  }
+  console.log();
+}
@@ -1,57 +1,133 @@
 // src/cli/exporter.js
-import fs from "fs";
 import path from "path";
 import inquirer from "inquirer";
 import chalk from "chalk";
 import { handleUnexpectedError } from "../core/error.js";
+import {
+  OUTPUT_FORMATS,
+  TABLE_FORMATS,
+  collectColumns,
+  createResultWriter,
+} from "../core/writers.js";
+import { AuditEvent, auditEvent } from "../core/audit.js";
+import { sealedPathFor } from "../core/sealed.js";
+import { resolveOutputDir, resolveSetting } from "../core/config.js";
+import { confirmSealExport, promptNewExportPassword } from "./prompt.js";
 
 /**
- * Exports data to a file in either JSON or CSV format based on user selection.
- * Provides interactive prompts for format selection and handles file creation.
+ * Supported export formats (lowercase, as used in file extensions).
+ * @type {string[]}
+ */
+export const EXPORT_FORMATS = OUTPUT_FORMATS;
+
+/**
+ * Exports data to a file in JSON, CSV, NDJSON or XLSX (Excel) format.
+ * Prompts for the format unless one is supplied through `options`,
+ * which is how non-interactive commands write their output.
+ * When prompting, it also offers to password-protect the file (see
+ * `sealed.js`); sealed files get a `.enc` extension and can be read back
+ * with the `open-export` command. Every export is recorded in the audit log.
  *
  * @async
  * @function exportResultsToFile
- * @param {Array<Object>} data - The data to be exported. Each object in the array represents a row of data.
- * @returns {Promise<void>} Resolves when the export is complete or rejects on error.
+ * @param {Array<Object>|(() => AsyncIterable<Object>)} data - The rows to
+ *   export, or a function returning them afresh on each call (e.g. a
+ *   spool's `replay`, see `spool.js`), so large imports are never held in memory
+ * @param {Object} [options]
+ * @param {string} [options.format] - `json`, `csv`, `ndjson` or `xlsx`; skips the format prompt
+ * @param {string} [options.output] - Destination path; defaults to a timestamped
+ *   file in the configured `outputDir`, else the cwd
+ * @param {string} [options.password] - Seal the file with this password
+ * @param {string} [options.kdf] - KDF for sealing (`scrypt` or `pbkdf2`)
+ * @returns {Promise<string|undefined>} Path written, or undefined if cancelled.
  *
  * @example
  * const results = [{name: 'Alice', age: 30}, {name: 'Bob', age: 25}];
  * await exportResultsToFile(results);
+ * await exportResultsToFile(results, { format: "csv", output: "out.csv" });
+ * await exportResultsToFile(results, { format: "csv", password });
  */
-export async function exportResultsToFile(data) {
+export async function exportResultsToFile(data, options = {}) {
   try {
-    // Prompt user to select export format or cancel
-    const { format } = await inquirer.prompt({
-      type: "list",
-      name: "format",
-      message: "📤 Export results to:",
-      choices: ["JSON", "CSV", "Cancel"],
-    });
-    // Early return if user cancels
-    if (format === "Cancel") return;
-    // Create timestamp for filename
-    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const filename = `decryption_results_${stamp}.${format.toLowerCase()}`;
-    const filepath = path.join(process.cwd(), filename);
-
-    if (format === "JSON") {
-      // Write data as pretty-printed JSON
-      fs.writeFileSync(filepath, JSON.stringify(data, null, 2), "utf8");
-    } else {
-      // Handle CSV export
-      // Generate CSV headers from object keys
-      const headers = Object.keys(data[0]).join(",");
-      const rows = data.map((obj) =>
-        Object.values(obj)
-          .map((v) => `"${String(v).replace(/"/g, '""')}"`)
-          .join(",")
-      );
-      // Combine headers and rows with newlines
-      fs.writeFileSync(filepath, [headers, ...rows].join("\n"), "utf8");
+    let { format, password } = options;
+    if (!format) {
+      // Prompt user to select export format or cancel
+      const answer = await inquirer.prompt({
+        type: "list",
+        name: "format",
+        message: "📤 Export results to:",
+        choices: [...EXPORT_FORMATS.map((f) => f.toUpperCase()), "Cancel"],
+        default: resolveSetting("exportFormat")?.toUpperCase(),
+      });
+      // Early return if user cancels
+      if (answer.format === "Cancel") return;
+      format = answer.format.toLowerCase();
+      if (await confirmSealExport()) password = await promptNewExportPassword();
     }
+
+    let filepath = options.output
+      ? path.resolve(options.output)
+      : defaultExportPath(format);
+    if (password) filepath = sealedPathFor(filepath);
+
+    const rows = await writeResultsFile(data, format, filepath, {
+      password,
+      kdf: options.kdf,
+    });
+    auditEvent(AuditEvent.EXPORT, {
+      path: filepath,
+      format,
+      rows,
+      sealed: Boolean(password),
+    });
     // Display success message to user
-    console.log(chalk.green(`\n✅ Results exported to ${filename}\n`));
+    console.log(
+      chalk.green(`\n✅ Results exported to ${path.basename(filepath)}\n`)
+    );
+    return filepath;
   } catch (err) {
     handleUnexpectedError(err);
   }
 }
+
+/**
+ * Builds a timestamped export path in the `outputDir` setting (see
+ * `config.js`), else the current working directory.
+ *
+ * @function defaultExportPath
+ * @param {string} format - Export format, used as the file extension
+ * @returns {string} Absolute file path
+ *
+ * @example
+ * defaultExportPath("csv") // /cwd/decryption_results_2025-07-07T14-12-00-000Z.csv
+ */
+export function defaultExportPath(format) {
+  // Create timestamp for filename
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  return path.join(resolveOutputDir(), `decryption_results_${stamp}.${format}`);
+}
+
+/**
+ * Writes result rows to disk in the requested format. CSV and XLSX get a
+ * column for every field any row has, not just the first row's.
+ *
+ * @async
+ * @function writeResultsFile
+ * @param {Array<Object>|(() => AsyncIterable<Object>)} data - Rows to write,
+ *   or a function returning them (called twice for CSV and XLSX)
+ * @param {string} format - `json`, `csv`, `ndjson` or `xlsx`
+ * @param {string} filepath - Destination path
+ * @param {Object} [options] - Writer options, e.g. `password` (see `createResultWriter`)
+ * @returns {Promise<number>} Rows written
+ * @throws {Error} If the format is unsupported or the write fails
+ */
+export async function writeResultsFile(data, format, filepath, options = {}) {
+  const rows = typeof data === "function" ? data : () => data;
+  const headers = TABLE_FORMATS.includes(format)
+    ? await collectColumns(rows(), options.flatten)
+    : undefined;
+  const writer = createResultWriter(filepath, format, { headers, ...options });
+  for await (const row of rows()) await writer.write(row);
+  await writer.close();
+  return writer.count();
+}
@@ -2,38 +2,52 @@ import inquirer from "inquirer";
 import path from "path";
 import fs from "fs";
 import chalk from "chalk";
+import { validateKey } from "../core/validate.js";
+import { validateExportPassword } from "../core/sealed.js";
+import { resolveSetting } from "../core/config.js";
+import { DEFAULT_CIPHER_SUITE } from "../utils/EncDec.js";
 
 /**
- * Prompts user for AES encryption credentials (key and IV) with validation.
+ * Prompts user for the cipher suite and AES credentials (key and IV) with validation.
  *
  * @async
  * @function askForCredentials
- * @returns {Promise<{key: string, iv: string}>} Object containing validated AES key and IV
+ * @param {string} [title="AES Credentials Required"] - Heading shown above the prompts
+ * @returns {Promise<{key: string, iv: string, suite: string}>} Validated AES key, IV and cipher suite
  * @throws {Error} If validation fails or unexpected error occurs
  *
  * @example
- * const { key, iv } = await askForCredentials();
- * // key = "1234...", iv = "abcd..."
+ * const { key, iv, suite } = await askForCredentials();
+ * // key = "1234...", iv = "abcd...", suite = "aes-256-cbc"
  */
-export async function askForCredentials() {
-  console.log(chalk.gray("\n🔐 AES Credentials Required:"));
+export async function askForCredentials(title = "AES Credentials Required") {
+  console.log(chalk.gray(`\n🔐 ${title}:`));
   console.log(
     chalk.gray(
-      "- The secret key must be a 64-character hexadecimal string (32 bytes)."
+      "- The secret key must be a 64-character hexadecimal string (32 bytes; 32 characters for AES-128)."
     )
   );
   console.log(
     chalk.gray("- The IV must be a 32-character hexadecimal string (16 bytes).")
   );
   const responses = await inquirer.prompt([
+    {
+      type: "list",
+      name: "suite",
+      message: "🧮 Cipher suite:",
+      choices: [
+        { name: "AES-256-CBC (default)", value: "aes-256-cbc" },
+        { name: "AES-256-GCM (authenticated)", value: "aes-256-gcm" },
+        { name: "AES-128-CBC (legacy)", value: "aes-128-cbc" },
+      ],
+      default: resolveSetting("suite") ?? DEFAULT_CIPHER_SUITE,
+    },
     {
       type: "password",
       name: "key",
       message: "🔑 Enter AES_SECRET_KEY:",
       mask: "*",
-      validate: (input) =>
-        /^[0-9a-fA-F]{64}$/.test(input.trim()) ||
-        "Key must be 64-character hex", // Validate 64-char hex format
+      validate: (input, answers) => validateKey(input, answers.suite), // Hex length depends on the suite
     },
     {
       type: "password",
@@ -48,15 +62,40 @@ export async function askForCredentials() {
   return {
     key: responses.key,
     iv: responses.iv,
+    suite: responses.suite,
   };
 }
 
+/**
+ * Asks which profile from `app-config.json` to work with.
+ *
+ * @async
+ * @function promptProfile
+ * @param {string[]} profiles - Profile names
+ * @returns {Promise<string|null>} Chosen profile, or null for the top-level settings
+ *
+ * @example
+ * const profile = await promptProfile(["prod", "staging"]);
+ */
+export async function promptProfile(profiles) {
+  const { choice } = await inquirer.prompt({
+    type: "list",
+    name: "choice",
+    message: "🗂️ Profile:",
+    choices: [
+      ...profiles.map((name) => ({ name, value: { profile: name } })),
+      { name: "No profile (default settings)", value: { profile: null } },
+    ],
+  });
+  return choice.profile;
+}
+
 /**
  * Displays main menu with available actions.
  *
  * @async
  * @function mainMenu
- * @returns {Promise<string>} User's selected option ('add', 'import', or 'exit')
+ * @returns {Promise<string>} User's selected option ('add', 'import', 'importCsv', 'importXlsx', 'encrypt', 'encryptFile', 'rotate', 'keyring' or 'exit')
  *
  * @example
  * const option = await mainMenu();
@@ -71,6 +110,11 @@ export async function mainMenu() {
       { name: "➕ Add encrypted key manually", value: "add" },
       { name: "📂 Import JSON & decrypt", value: "import" },
       { name: "📄 Import CSV & decrypt", value: "importCsv" },
+      { name: "📊 Import Excel (XLSX) & decrypt", value: "importXlsx" },
+      { name: "🔒 Encrypt values manually", value: "encrypt" },
+      { name: "🗄️ Encrypt JSON/CSV file", value: "encryptFile" },
+      { name: "🔁 Rotate keys for JSON/CSV file", value: "rotate" },
+      { name: "🗝️ Load keyring (older keys)", value: "keyring" },
       { name: "❌ Exit", value: "exit" },
     ],
   });
@@ -97,6 +141,48 @@ export async function promptEncryptedKey() {
   return encryptedKey;
 }
 
+/**
+ * Prompts user for a plaintext value to encrypt.
+ *
+ * @async
+ * @function promptPlaintextValue
+ * @returns {Promise<string>} Non-empty plaintext
+ *
+ * @example
+ * const plaintext = await promptPlaintextValue();
+ */
+export async function promptPlaintextValue() {
+  const { plaintext } = await inquirer.prompt({
+    type: "password",
+    name: "plaintext",
+    message: "📝 Enter the value to encrypt:",
+    mask: "*",
+    validate: (input) => input !== "" || "Value cannot be empty",
+  });
+  return plaintext;
+}
+
+/**
+ * Displays the action menu after encrypting a value.
+ *
+ * @async
+ * @function postEncryptActionMenu
+ * @returns {Promise<string>} Next action ('add', 'export', or 'back')
+ */
+export async function postEncryptActionMenu() {
+  const { action } = await inquirer.prompt({
+    type: "list",
+    name: "action",
+    message: "📌 What would you like to do next?",
+    choices: [
+      { name: "➕ Encrypt another value", value: "add" },
+      { name: "📤 Export collected ciphertexts", value: "export" },
+      { name: "⬅️ Back to main menu", value: "back" },
+    ],
+  });
+  return action;
+}
+
 /**
  * Displays post-addition action menu after adding a key.
  *
@@ -145,23 +231,154 @@ export async function postDecryptActionMenu() {
   return action;
 }
 
+/**
+ * Asks what to do when the sample check suggests a wrong key/IV.
+ *
+ * @async
+ * @function promptWrongKeyAction
+ * @param {boolean} [canReenter=true] - Offer re-entering the credentials
+ * @returns {Promise<string>} Next action ('reenter', 'continue' or 'abort')
+ *
+ * @example
+ * const action = await promptWrongKeyAction();
+ * if (action === 'reenter') { ... }
+ */
+export async function promptWrongKeyAction(canReenter = true) {
+  const choices = [
+    { name: "🔑 Re-enter key and IV", value: "reenter" },
+    { name: "▶️ Decrypt anyway", value: "continue" },
+    { name: "⏹️ Abort import", value: "abort" },
+  ];
+  const { action } = await inquirer.prompt({
+    type: "list",
+    name: "action",
+    message: "🤔 What would you like to do?",
+    choices: canReenter ? choices : choices.slice(1),
+  });
+  return action;
+}
+
+/**
+ * Asks whether to continue an interrupted import from its checkpoint.
+ * Defaults to yes.
+ *
+ * @async
+ * @function confirmResume
+ * @param {import("../core/checkpoint.js").Checkpoint} checkpoint - Checkpoint found
+ * @returns {Promise<boolean>} True to resume, false to start over
+ */
+export async function confirmResume(checkpoint) {
+  const { resume } = await inquirer.prompt({
+    type: "confirm",
+    name: "resume",
+    message: `⏯️ ${path.basename(checkpoint.input)} was interrupted after ${checkpoint.records} records (${checkpoint.updated}). Resume?`,
+    default: true,
+  });
+  return resume;
+}
+
+/**
+ * Asks whether to show the masked values in full. Defaults to no.
+ *
+ * @async
+ * @function confirmReveal
+ * @returns {Promise<boolean>} True if the user chose to reveal
+ *
+ * @example
+ * if (await confirmReveal()) { ... }
+ */
+export async function confirmReveal() {
+  const { reveal } = await inquirer.prompt({
+    type: "confirm",
+    name: "reveal",
+    message: "👁️ Reveal full values on screen? (this is logged)",
+    default: false,
+  });
+  return reveal;
+}
+
+/**
+ * Asks whether to write the export as a password-protected file.
+ *
+ * @async
+ * @function confirmSealExport
+ * @returns {Promise<boolean>} True if the user wants the export sealed
+ */
+export async function confirmSealExport() {
+  const { seal } = await inquirer.prompt({
+    type: "confirm",
+    name: "seal",
+    message: "🔐 Password-protect the export?",
+    default: true,
+  });
+  return seal;
+}
+
+/**
+ * Prompts for a new export password, entered twice.
+ *
+ * @async
+ * @function promptNewExportPassword
+ * @returns {Promise<string>} Password
+ *
+ * @example
+ * const password = await promptNewExportPassword();
+ */
+export async function promptNewExportPassword() {
+  const { password } = await inquirer.prompt({
+    type: "password",
+    name: "password",
+    message: "🔑 Export password:",
+    mask: "*",
+    validate: validateExportPassword,
+  });
+  await inquirer.prompt({
+    type: "password",
+    name: "again",
+    message: "🔑 Repeat password:",
+    mask: "*",
+    validate: (input) => input === password || "Passwords do not match",
+  });
+  return password;
+}
+
+/**
+ * Prompts for the password of an existing sealed export.
+ *
+ * @async
+ * @function promptExportPassword
+ * @returns {Promise<string>} Password
+ */
+export async function promptExportPassword() {
+  const { password } = await inquirer.prompt({
+    type: "password",
+    name: "password",
+    message: "🔑 Password:",
+    mask: "*",
+    validate: (input) => input !== "" || "Password cannot be empty",
+  });
+  return password;
+}
+
 /**
  * Prompts user for JSON file path with comprehensive validation.
  *
  * @async
  * @function promptJsonFile
- * @returns {Promise<string>} Resolved absolute path to valid JSON file
+ * @returns {Promise<string>} Resolved absolute path to valid JSON/NDJSON file
  * @throws {Error} If file validation fails
  *
  * @example
  * const jsonPath = await promptJsonFile();
- * const data = JSON.parse(fs.readFileSync(jsonPath));
+ * await handleJsonImportFlow(encdec, jsonPath);
  */
 export async function promptJsonFile() {
   console.log(chalk.gray("\n📂 Import JSON file with encrypted records."));
   console.log(chalk.gray("- You can drag & drop the file into the terminal."));
   console.log(
-    chalk.gray("- File must be a valid .json file containing an array.\n")
+    chalk.gray(
+      "- File must be a .json array, or one record per line (.ndjson/.jsonl, or mongoexport .json).\n"
+    )
   );
 
   const { filePath } = await inquirer.prompt({
@@ -181,9 +398,9 @@ export async function promptJsonFile() {
       if (!stat.isFile()) {
         return "❌ This is not a file.";
       }
-      // Validate has .json extension
-      if (!resolved.toLowerCase().endsWith(".json")) {
-        return "❌ Must be a .json file.";
+      // Validate has a JSON or NDJSON extension
+      if (!/\.(json|ndjson|jsonl)$/i.test(resolved)) {
+        return "❌ Must be a .json, .ndjson or .jsonl file.";
       }
 
       return true;
@@ -204,7 +421,11 @@ export async function promptJsonFile() {
 export async function promptCsvFile() {
   console.log(chalk.gray("\n📂 Import CSV file with encrypted records."));
   console.log(chalk.gray("- You can drag & drop the file into the terminal."));
-  console.log(chalk.gray("- CSV must have a `socialSecurityNumber` column.\n"));
+  console.log(
+    chalk.gray(
+      "- CSV must have the configured encrypted columns (default `socialSecurityNumber`).\n"
+    )
+  );
 
   const { filePath } = await inquirer.prompt({
     type: "input",
@@ -227,3 +448,141 @@ export async function promptCsvFile() {
   const cleanedPath = filePath.trim().replace(/^['"]|['"]$/g, "");
   return path.resolve(cleanedPath);
 }
+
+/**
+ * Prompts user for an Excel workbook path and validates format.
+ *
+ * @async
+ * @function promptXlsxFile
+ * @returns {Promise<string>} Validated and resolved `.xlsx` file path
+ */
+export async function promptXlsxFile() {
+  console.log(chalk.gray("\n📂 Import Excel workbook with encrypted records."));
+  console.log(chalk.gray("- You can drag & drop the file into the terminal."));
+  console.log(
+    chalk.gray(
+      "- Title rows above the column names are skipped; columns may name fields loosely (e.g. `Social Security Number`).\n"
+    )
+  );
+
+  const { filePath } = await inquirer.prompt({
+    type: "input",
+    name: "filePath",
+    message: "📄 Enter path to XLSX file:",
+    validate: (input) => {
+      const cleaned = input.trim().replace(/^['"]|['"]$/g, "");
+      const resolved = path.resolve(cleaned);
+
+      if (!fs.existsSync(resolved)) return "❌ File not found.";
+      const stat = fs.statSync(resolved);
+      if (!stat.isFile()) return "❌ This is not a file.";
+      if (/\.xls$/i.test(resolved))
+        return "❌ Old .xls files are not supported; save it as .xlsx first.";
+      if (!resolved.toLowerCase().endsWith(".xlsx"))
+        return "❌ Must be a .xlsx file.";
+
+      return true;
+    },
+  });
+
+  const cleanedPath = filePath.trim().replace(/^['"]|['"]$/g, "");
+  return path.resolve(cleanedPath);
+}
+
+/**
+ * Asks which sheet of a workbook to import.
+ *
+ * @async
+ * @function promptSheet
+ * @param {string[]} sheets - Sheet names, in tab order
+ * @returns {Promise<string>} Chosen sheet
+ *
+ * @example
+ * const sheet = await promptSheet(["Patients", "Notes"]);
+ */
+export async function promptSheet(sheets) {
+  const { sheet } = await inquirer.prompt({
+    type: "list",
+    name: "sheet",
+    message: "📑 Sheet to import:",
+    choices: sheets,
+  });
+  return sheet;
+}
+
+/**
+ * Prompts user for a JSON, NDJSON or CSV file of records.
+ *
+ * @async
+ * @function promptRecordFile
+ * @param {string[]} [hints] - Extra guidance lines shown before the prompt
+ * @returns {Promise<string>} Validated and resolved file path
+ */
+export async function promptRecordFile(hints = []) {
+  console.log(chalk.gray("\n📂 Select a JSON, NDJSON or CSV file."));
+  for (const hint of hints) console.log(chalk.gray(`- ${hint}`));
+  console.log();
+
+  const { filePath } = await inquirer.prompt({
+    type: "input",
+    name: "filePath",
+    message: "📄 Enter path to file:",
+    validate: (input) => {
+      const cleaned = input.trim().replace(/^['"]|['"]$/g, "");
+      const resolved = path.resolve(cleaned);
+
+      if (!fs.existsSync(resolved)) return "❌ File not found.";
+      const stat = fs.statSync(resolved);
+      if (!stat.isFile()) return "❌ This is not a file.";
+      if (!/\.(json|ndjson|jsonl|csv)$/i.test(resolved))
+        return "❌ Must be a .json, .ndjson, .jsonl or .csv file.";
+
+      return true;
+    },
+  });
+
+  const cleanedPath = filePath.trim().replace(/^['"]|['"]$/g, "");
+  return path.resolve(cleanedPath);
+}
+
+/**
+ * Prompts user for a keyring file (JSON list of named key/IV pairs).
+ *
+ * @async
+ * @function promptKeyringFile
+ * @returns {Promise<string>} Validated and resolved keyring file path
+ */
+export async function promptKeyringFile() {
+  console.log(chalk.gray("\n🗝️ Load a keyring of older keys."));
+  console.log(
+    chalk.gray(
+      '- File must be .json: { "keys": [{ "id": "...", "key": "...", "iv": "..." }] }'
+    )
+  );
+  console.log(
+    chalk.gray(
+      "- The key entered at startup is tried first, then each keyring key in order.\n"
+    )
+  );
+
+  const { filePath } = await inquirer.prompt({
+    type: "input",
+    name: "filePath",
+    message: "📄 Enter path to keyring file:",
+    validate: (input) => {
+      const cleaned = input.trim().replace(/^['"]|['"]$/g, "");
+      const resolved = path.resolve(cleaned);
+
+      if (!fs.existsSync(resolved)) return "❌ File not found.";
+      const stat = fs.statSync(resolved);
+      if (!stat.isFile()) return "❌ This is not a file.";
+      if (!resolved.toLowerCase().endsWith(".json"))
+        return "❌ Must be a .json file.";
+
+      return true;
+    },
+  });
+
+  const cleanedPath = filePath.trim().replace(/^['"]|['"]$/g, "");
+  return path.resolve(cleanedPath);
+}
@@ -0,0 +1,442 @@
+// src/core/audit.js
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { EncDec } from "../utils/EncDec.js";
+import { loadConfig, resolveConfigPath } from "./config.js";
+
+/**
+ * Tamper-evident audit log of decryption sessions.
+ *
+ * The log is append-only NDJSON. Every entry carries the hash of the
+ * entry before it (`prev`) and its own hash (`hash`, SHA-256 via
+ * `EncDec.hashPayload` over the entry without `hash`), so editing or
+ * removing any line breaks the chain from there on. A small head file
+ * (`<log>.head`, or `audit.headPath`) holds the sequence number and hash
+ * of the last entry, which exposes entries cut off the end of the log.
+ * The hashes are unkeyed, so someone able to rewrite both the log and the
+ * head goes undetected: keep the head where the log's writers cannot
+ * change it for verification to prove anything.
+ *
+ * Appends from concurrent processes (e.g. parallel batch runs) are
+ * serialized with a lock file (`<log>.lock`); each entry chains from the
+ * last entry on disk at the time, not the last one this process wrote.
+ *
+ * Entries record who (OS user and host), when, and what: session start
+ * and end, source files with their SHA-256, record counts, exports and
+ * reveals. Plaintext values and keys are never logged.
+ */
+
+/**
+ * Default log file, one per OS user whatever the working directory.
+ * Override with `audit.path` in `app-config.json`.
+ * @type {string}
+ */
+export const DEFAULT_AUDIT_LOG = "~/.truehear/audit.log";
+
+/** How long an append waits for another process's lock. */
+const LOCK_TIMEOUT_MS = 10000;
+
+/** A lock older than this was left behind by a crashed process. */
+const LOCK_STALE_MS = 30000;
+
+/** Pause between attempts to take the lock. */
+const LOCK_RETRY_MS = 10;
+
+/**
+ * `prev` of the first entry in a log.
+ * @type {string}
+ */
+const GENESIS_HASH = "0".repeat(64);
+
+/**
+ * Audited events.
+ * @readonly
+ * @enum {string}
+ */
+export const AuditEvent = Object.freeze({
+  SESSION_START: "session-start",
+  SESSION_END: "session-end",
+  /** Input file opened for decryption (path, SHA-256, size) */
+  IMPORT_START: "import-start",
+  /** Interrupted batch import continued from its checkpoint (records skipped) */
+  IMPORT_RESUME: "import-resume",
+  /** Import finished (record counts) */
+  IMPORT_COMPLETE: "import-complete",
+  /** Manually entered values decrypted (counts) */
+  DECRYPT_VALUES: "decrypt-values",
+  /** File re-encrypted under a new key (counts) */
+  ROTATE: "rotate",
+  /** Results written to disk */
+  EXPORT: "export",
+  /** Masked values shown in full */
+  REVEAL: "reveal",
+  /** Password-protected export opened (and possibly written out in clear) */
+  OPEN_EXPORT: "open-export",
+});
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {number} seq - Position in the log, from 1
+ * @property {string} time - ISO timestamp
+ * @property {string} session - Random id shared by a session's entries
+ * @property {string} user - OS user running the tool
+ * @property {string} host - Machine name
+ * @property {string} event - One of {@link AuditEvent}
+ * @property {Object} data - Event details (never plaintext or keys)
+ * @property {string} prev - Hash of the previous entry
+ * @property {string} hash - Hash of this entry
+ */
+
+/**
+ * Current session, created lazily by the first audited event.
+ * @type {{id: string, logPath: string}|null}
+ */
+let session = null;
+
+/**
+ * Resolves the audit log path from `audit.path` in `app-config.json`,
+ * else {@link DEFAULT_AUDIT_LOG}.
+ *
+ * @function auditLogPath
+ * @returns {string} Absolute path
+ */
+export function auditLogPath() {
+  return resolveConfigPath(loadConfig().audit?.path ?? DEFAULT_AUDIT_LOG);
+}
+
+/**
+ * Starts an audit session and records `session-start`. `session-end` is
+ * recorded automatically when the process exits.
+ *
+ * @function startAuditSession
+ * @param {Object} [details] - Extra data for the start entry, e.g. `{ mode: "batch", command: "import-json" }`
+ * @returns {string} Session id
+ * @throws {Error} If the log cannot be written
+ */
+export function startAuditSession(details = {}) {
+  if (session) return session.id;
+  const logPath = auditLogPath();
+  for (const file of [logPath, headPath(logPath)]) {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  }
+  session = { id: crypto.randomUUID(), logPath };
+  appendEntry(AuditEvent.SESSION_START, {
+    ...details,
+    pid: process.pid,
+  });
+  process.once("exit", (code) => {
+    try {
+      appendEntry(AuditEvent.SESSION_END, { exitCode: code });
+    } catch {
+      // Nothing left to report to; verification will flag the open session
+    }
+  });
+  return session.id;
+}
+
+/**
+ * Records an event in the current session (starting one if needed).
+ *
+ * @function auditEvent
+ * @param {string} event - One of {@link AuditEvent}
+ * @param {Object} [data] - Event details; must not contain plaintext or keys
+ * @returns {AuditEntry}
+ * @throws {Error} If the log cannot be written
+ *
+ * @example
+ * auditEvent(AuditEvent.EXPORT, { path: "/tmp/out.csv", format: "csv", rows: 120 });
+ */
+export function auditEvent(event, data = {}) {
+  if (!session) startAuditSession();
+  return appendEntry(event, data);
+}
+
+/**
+ * SHA-256 of a file's contents, read as a stream.
+ *
+ * @async
+ * @function hashFile
+ * @param {string} filePath - File to hash
+ * @returns {Promise<{sha256: string, bytes: number}>}
+ */
+export async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  let bytes = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    bytes += chunk.length;
+  }
+  return { sha256: hash.digest("hex"), bytes };
+}
+
+/**
+ * @typedef {Object} AuditVerification
+ * @property {boolean} ok - True if the chain is intact and matches the head
+ * @property {number} entries - Entries read
+ * @property {Array<{line: number, message: string}>} problems - Evidence of
+ *   tampering or truncation
+ * @property {string[]} warnings - Findings that are not proof of tampering
+ *   (missing head file, sessions without an end)
+ */
+
+/**
+ * Verifies an audit log: every line parses, sequence numbers are
+ * consecutive, each `prev` matches the previous hash, each `hash`
+ * matches the entry, and the last entry matches the head file.
+ *
+ * @function verifyAuditLog
+ * @param {string} [logPath=auditLogPath()] - Log to verify
+ * @returns {AuditVerification}
+ * @throws {Error} If the log does not exist
+ *
+ * @example
+ * const { ok, problems } = verifyAuditLog("/home/alice/.truehear/audit.log");
+ */
+export function verifyAuditLog(logPath = auditLogPath()) {
+  const absPath = path.resolve(logPath);
+  if (!fs.existsSync(absPath)) {
+    throw new Error(`Audit log not found: ${absPath}`);
+  }
+  const lines = fs.readFileSync(absPath, "utf8").split("\n");
+  if (lines.at(-1) === "") lines.pop();
+
+  const problems = [];
+  const warnings = [];
+  const open = new Set();
+  let prev = GENESIS_HASH;
+  let seq = 0;
+  lines.forEach((text, i) => {
+    const line = i + 1;
+    let entry;
+    try {
+      entry = JSON.parse(text);
+    } catch {
+      problems.push({ line, message: "not valid JSON" });
+      return;
+    }
+    if (entry.seq !== seq + 1) {
+      problems.push({
+        line,
+        message: `sequence jumps from ${seq} to ${entry.seq} (entries removed or reordered)`,
+      });
+    }
+    if (entry.prev !== prev) {
+      problems.push({
+        line,
+        message: "does not chain to the previous entry",
+      });
+    }
+    if (entry.hash !== hashEntry(entry)) {
+      problems.push({ line, message: "contents were modified" });
+    }
+    if (entry.event === AuditEvent.SESSION_START) open.add(entry.session);
+    if (entry.event === AuditEvent.SESSION_END) open.delete(entry.session);
+    seq = entry.seq;
+    prev = entry.hash;
+  });
+
+  const head = readHead(absPath);
+  if (!head) {
+    warnings.push(
+      "No head file; entries removed from the end cannot be detected"
+    );
+  } else if (head.seq !== seq || head.hash !== prev) {
+    problems.push({
+      line: lines.length,
+      message: `log ends at entry ${seq} but the head records entry ${head.seq} (truncated or rewritten)`,
+    });
+  }
+  for (const id of open) {
+    warnings.push(`Session ${id} has no session-end (crashed or killed)`);
+  }
+  return {
+    ok: problems.length === 0,
+    entries: lines.length,
+    problems,
+    warnings,
+  };
+}
+
+/**
+ * Builds, hashes and appends one entry, then updates the head file.
+ * Runs under the log's lock and chains from the last entry on disk, so
+ * other processes may append in between.
+ *
+ * @function appendEntry
+ * @param {string} event - One of {@link AuditEvent}
+ * @param {Object} data - Event details
+ * @returns {AuditEntry}
+ */
+function appendEntry(event, data) {
+  const { logPath } = session;
+  return withLogLock(logPath, () => {
+    const last = readLastEntry(logPath);
+    const entry = {
+      seq: (last?.seq ?? 0) + 1,
+      time: new Date().toISOString(),
+      session: session.id,
+      user: currentUser(),
+      host: os.hostname(),
+      event,
+      data,
+      prev: last?.hash ?? GENESIS_HASH,
+    };
+    entry.hash = hashEntry(entry);
+    fs.appendFileSync(logPath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+    fs.writeFileSync(
+      headPath(logPath),
+      JSON.stringify({ seq: entry.seq, hash: entry.hash }),
+      { mode: 0o600 }
+    );
+    return entry;
+  });
+}
+
+/**
+ * Runs `fn` holding an exclusive lock on a log (`<log>.lock`, created
+ * with `wx`). Waits for other processes synchronously, since entries are
+ * also written from the `exit` handler; a lock older than
+ * {@link LOCK_STALE_MS} is taken over.
+ *
+ * @function withLogLock
+ * @param {string} logPath - Log file
+ * @param {() => *} fn - Work to do under the lock
+ * @returns {*} What `fn` returns
+ * @throws {Error} If the lock is not released within {@link LOCK_TIMEOUT_MS}
+ */
+function withLogLock(logPath, fn) {
+  const lockPath = `${logPath}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  const pause = new Int32Array(new SharedArrayBuffer(4));
+  let fd;
+  while (fd === undefined) {
+    try {
+      fd = fs.openSync(lockPath, "wx", 0o600);
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      if (lockAge(lockPath) > LOCK_STALE_MS) {
+        fs.rmSync(lockPath, { force: true });
+      } else if (Date.now() > deadline) {
+        throw new Error(
+          `Audit log ${logPath} is locked by another process (delete ${lockPath} if none is running)`
+        );
+      } else {
+        Atomics.wait(pause, 0, 0, LOCK_RETRY_MS);
+      }
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * @function lockAge
+ * @param {string} lockPath - Lock file
+ * @returns {number} Milliseconds since it was created, 0 if it is gone
+ */
+function lockAge(lockPath) {
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Hash of an entry: SHA-256 over its fields (except `hash`) in a fixed order.
+ *
+ * @function hashEntry
+ * @param {AuditEntry} entry - Entry to hash
+ * @returns {string}
+ */
+function hashEntry({ seq, time, session, user, host, event, data, prev }) {
+  return EncDec.hashPayload(
+    JSON.stringify({ seq, time, session, user, host, event, data, prev })
+  );
+}
+
+/**
+ * Reads the last entry of a log without loading the whole file.
+ *
+ * @function readLastEntry
+ * @param {string} logPath - Log file
+ * @returns {AuditEntry|null} Last entry, or null for a missing/empty log
+ * @throws {Error} If the last line is not a valid entry
+ */
+function readLastEntry(logPath) {
+  if (!fs.existsSync(logPath)) return null;
+  const fd = fs.openSync(logPath, "r");
+  try {
+    const size = fs.fstatSync(fd).size;
+    let chunk = 4096;
+    while (true) {
+      const start = Math.max(0, size - chunk);
+      const buffer = Buffer.alloc(size - start);
+      fs.readSync(fd, buffer, 0, buffer.length, start);
+      const lines = buffer.toString("utf8").trimEnd().split("\n");
+      // Need a complete line: either a newline was found or we read from 0
+      if (lines.length > 1 || start === 0) {
+        const last = lines.at(-1);
+        if (!last) return null;
+        try {
+          return JSON.parse(last);
+        } catch {
+          throw new Error(
+            `Audit log ${logPath} ends with a damaged entry; run verify-audit`
+          );
+        }
+      }
+      chunk *= 2;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Head file of a log: `audit.headPath` for the configured log, else
+ * `<log>.head` next to it.
+ *
+ * @function headPath
+ * @param {string} logPath - Log file
+ * @returns {string} Path of its head file
+ */
+function headPath(logPath) {
+  const configured = loadConfig().audit?.headPath;
+  return configured && logPath === auditLogPath()
+    ? resolveConfigPath(configured)
+    : `${logPath}.head`;
+}
+
+/**
+ * @function readHead
+ * @param {string} logPath - Log file
+ * @returns {{seq: number, hash: string}|null} Head, or null if missing/unreadable
+ */
+function readHead(logPath) {
+  try {
+    return JSON.parse(fs.readFileSync(headPath(logPath), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Name of the OS user running the process, or "unknown".
+ *
+ * @function currentUser
+ * @returns {string}
+ */
+function currentUser() {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return process.env.USER ?? process.env.USERNAME ?? "unknown";
+  }
+}
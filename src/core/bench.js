@@ -0,0 +1,85 @@
+// src/core/bench.js
+import crypto from "crypto";
+import { EncDec } from "../utils/EncDec.js";
+import { EncDecv0 } from "../utils/EncDecv0.js";
+
+/**
+ * Decryption throughput benchmark for the two AES-256-CBC backends:
+ * {@link EncDec} (crypto-js, used by every flow) and {@link EncDecv0}
+ * (Node's built-in `crypto`). Both decrypt the same hex ciphertexts of
+ * SSN-like values under a random key, so no real credentials or data
+ * are involved.
+ */
+
+/** Values decrypted per backend unless told otherwise. */
+export const DEFAULT_BENCH_VALUES = 20000;
+
+/** Values decrypted before timing starts, so JIT warm-up is not measured. */
+const WARMUP_VALUES = 500;
+
+/**
+ * @typedef {Object} BenchResult
+ * @property {string} name - Backend class
+ * @property {string} engine - Crypto implementation behind it
+ * @property {number} values - Values decrypted
+ * @property {number} ms - Elapsed milliseconds
+ * @property {number} perSecond - Values per second
+ */
+
+/**
+ * Times decryption of `count` values with each backend and checks every
+ * plaintext.
+ *
+ * @function runBenchmark
+ * @param {Object} [options]
+ * @param {number} [options.count=DEFAULT_BENCH_VALUES] - Values per backend
+ * @returns {BenchResult[]} One entry per backend, in the order run
+ * @throws {Error} If a backend returns a wrong plaintext
+ *
+ * @example
+ * runBenchmark({ count: 5000 });
+ * // [{ name: "EncDec", engine: "crypto-js", values: 5000, ms: 412.7, perSecond: 12115 }, …]
+ */
+export function runBenchmark(options = {}) {
+  const { count = DEFAULT_BENCH_VALUES } = options;
+  const key = crypto.randomBytes(32).toString("hex");
+  const iv = crypto.randomBytes(16).toString("hex");
+  const reference = new EncDecv0(key, iv);
+  const plaintexts = Array.from({ length: count }, (_, i) => fakeSsn(i));
+  const ciphertexts = plaintexts.map((p) => reference.encryptPayload(p));
+
+  const backends = [
+    {
+      name: "EncDec",
+      engine: "crypto-js",
+      // Hex only, so encoding detection is not part of the comparison
+      decryptor: new EncDec(key, iv, { encoding: "hex" }),
+    },
+    { name: "EncDecv0", engine: "node crypto", decryptor: reference },
+  ];
+  return backends.map(({ name, engine, decryptor }) => {
+    for (let i = 0; i < Math.min(count, WARMUP_VALUES); i++) {
+      decryptor.decryptPayload(ciphertexts[i]);
+    }
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < count; i++) {
+      if (decryptor.decryptPayload(ciphertexts[i]) !== plaintexts[i]) {
+        throw new Error(`${name} returned a wrong plaintext for value ${i}`);
+      }
+    }
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+    return { name, engine, values: count, ms, perSecond: (count * 1000) / ms };
+  });
+}
+
+/**
+ * Deterministic SSN-shaped test value.
+ *
+ * @function fakeSsn
+ * @param {number} i - Index
+ * @returns {string} e.g. `123-45-6789`
+ */
+function fakeSsn(i) {
+  const digits = String(100000000 + ((i * 7919) % 900000000));
+  return `${digits.slice(0, 3)}-${digits.slice(3, 5)}-${digits.slice(5)}`;
+}
@@ -0,0 +1,380 @@
+// src/core/checkpoint.js
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { once } from "events";
+import { finished } from "stream/promises";
+import { Keyring } from "./keyring.js";
+import { openLine, sealLine } from "./spool.js";
+import { resolveConfigPath, resolveSetting } from "./config.js";
+
+/**
+ * Checkpoints for imports, so an interrupted run (Ctrl+C, crash, reboot)
+ * can continue where it stopped instead of starting over.
+ *
+ * While an import runs, each result (already masked for export) is
+ * appended to a journal, one line per record, encrypted with AES-256-GCM
+ * under a key derived (HKDF-SHA256) from the import's own AES key, so
+ * no decrypted value sits on disk in the clear and only the same
+ * credentials can resume. Every {@link CHECKPOINT_RECORDS} records or
+ * {@link CHECKPOINT_MS}, and on Ctrl+C, the checkpoint file records the
+ * input's SHA-256, how many records are done (the offset into the
+ * input), the journal length and the running summary.
+ *
+ * The next run on the same, unchanged input with the same fields may
+ * resume: the records already done are skipped and the journal is
+ * appended to. When the import completes, the journal is replayed into
+ * the real export (any format, sealed or not) and both files are removed.
+ *
+ * Checkpoints live in the `checkpointDir` setting (default
+ * {@link DEFAULT_CHECKPOINT_DIR}), one per input path.
+ */
+
+/** Directory for checkpoints unless `checkpointDir` is set. */
+export const DEFAULT_CHECKPOINT_DIR = "~/.truehear/checkpoints";
+
+/** Records between checkpoints. */
+export const CHECKPOINT_RECORDS = 5000;
+
+/** Longest time between checkpoints (ms). */
+export const CHECKPOINT_MS = 10000;
+
+const HKDF_INFO = "truehear checkpoint journal";
+
+/**
+ * The checkpoint being written by the running import, saved by
+ * {@link saveActiveCheckpoint} when the process is interrupted.
+ * @type {Journal|null}
+ */
+let active = null;
+
+/**
+ * @typedef {Object} Checkpoint
+ * @property {number} version - Layout version (1)
+ * @property {string} input - Absolute input path
+ * @property {string} sha256 - Input file hash when the import started
+ * @property {number} bytes - Input file size
+ * @property {string} fields - Fingerprint of the encrypted fields, their
+ *   masking and the write-back mode
+ * @property {number} records - Input records done (skipped on resume)
+ * @property {number} journalBytes - Journal length covering those records
+ * @property {import("./result.js").Summary} summary - Counts so far
+ * @property {string} salt - Base64 HKDF salt of the journal key
+ * @property {string} keyCheck - Proves a resuming run has the same key
+ * @property {string} created - ISO timestamp of the first run
+ * @property {string} updated - ISO timestamp of the last save
+ */
+
+/**
+ * @typedef {Object} Journal
+ * @property {(result: Object) => Promise<void>} write - Adds one result
+ *   (like a `ResultWriter`); saves a checkpoint when one is due
+ * @property {() => Promise<void>} save - Writes a checkpoint now
+ * @property {() => AsyncGenerator<Object>} replay - Results in order, decrypted
+ * @property {() => Promise<void>} discard - Closes and removes checkpoint and journal
+ * @property {() => number} count - Records covered, including resumed ones
+ */
+
+/**
+ * Files holding the checkpoint and journal of an input.
+ *
+ * @function checkpointPaths
+ * @param {string} inputPath - Absolute input path
+ * @returns {{file: string, journal: string}}
+ */
+export function checkpointPaths(inputPath) {
+  const dir = resolveConfigPath(
+    resolveSetting("checkpointDir") ?? DEFAULT_CHECKPOINT_DIR
+  );
+  const id = crypto
+    .createHash("sha256")
+    .update(inputPath)
+    .digest("hex")
+    .slice(0, 16);
+  return {
+    file: path.join(dir, `${id}.json`),
+    journal: path.join(dir, `${id}.journal`),
+  };
+}
+
+/**
+ * Loads the checkpoint left by an earlier run on an input.
+ *
+ * @function findCheckpoint
+ * @param {string} inputPath - Absolute input path
+ * @returns {Checkpoint|null} The checkpoint, or null if there is none or
+ *   it is unreadable
+ */
+export function findCheckpoint(inputPath) {
+  const { file, journal } = checkpointPaths(inputPath);
+  try {
+    const checkpoint = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (checkpoint.version !== 1 || checkpoint.input !== inputPath) return null;
+    if (fs.statSync(journal).size < checkpoint.journalBytes) return null;
+    return checkpoint;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Why a checkpoint cannot be resumed by this run, if it cannot.
+ *
+ * @function checkpointMismatch
+ * @param {Checkpoint} checkpoint - Earlier checkpoint
+ * @param {{sha256: string}} fileHash - Current input hash (see `hashFile`)
+ * @param {Object} run
+ * @param {import("./fields.js").FieldSpec[]} run.fields - Encrypted fields of this run
+ * @param {string} [run.writeBack] - Write-back mode of this run, if any
+ * @returns {string|null} Reason, or null if it can be resumed
+ */
+export function checkpointMismatch(checkpoint, fileHash, run) {
+  if (checkpoint.sha256 !== fileHash.sha256) {
+    return "the input file has changed since";
+  }
+  if (checkpoint.fields !== fingerprintFields(run.fields, run.writeBack)) {
+    return "the encrypted fields, their masking or the write-back mode have changed since";
+  }
+  return null;
+}
+
+/**
+ * Checks that a decryptor holds the key a checkpoint was written with.
+ *
+ * @function verifyCheckpointKey
+ * @param {Checkpoint} checkpoint - Checkpoint to resume
+ * @param {Object} encdec - Decryptor of this run
+ * @returns {void}
+ * @throws {Error} If the keys differ
+ */
+export function verifyCheckpointKey(checkpoint, encdec) {
+  const key = journalKey(encdec, Buffer.from(checkpoint.salt, "base64"));
+  if (!key || keyCheckOf(key) !== checkpoint.keyCheck) {
+    throw new Error(
+      "The interrupted import was run with a different key; use the same credentials, or pass --no-resume to start over."
+    );
+  }
+}
+
+/**
+ * Removes an input's checkpoint and journal, if any.
+ *
+ * @async
+ * @function discardCheckpoint
+ * @param {string} inputPath - Absolute input path
+ * @returns {Promise<void>}
+ */
+export async function discardCheckpoint(inputPath) {
+  const { file, journal } = checkpointPaths(inputPath);
+  await fs.promises.rm(file, { force: true });
+  await fs.promises.rm(journal, { force: true });
+}
+
+/**
+ * Starts a journal for an import, or continues the one of
+ * `resumeFrom`. It becomes the checkpoint saved on Ctrl+C until
+ * discarded.
+ *
+ * @function openJournal
+ * @param {string} inputPath - Absolute input path
+ * @param {Object} encdec - The import's decryptor; its (first) key is the
+ *   source of the journal key
+ * @param {Object} state
+ * @param {{sha256: string, bytes: number}} state.fileHash - Input hash (see `hashFile`)
+ * @param {import("./fields.js").FieldSpec[]} state.fields - Encrypted fields
+ * @param {string} [state.writeBack] - Write-back mode, if any
+ * @param {import("./result.js").Summary} state.summary - Running summary,
+ *   updated by the caller and saved with each checkpoint
+ * @param {Checkpoint} [resumeFrom] - Checkpoint to continue
+ * @returns {Journal|null} Journal, or null if the decryptor's key cannot
+ *   be read (checkpoints are then skipped)
+ * @throws {Error} If `resumeFrom` was written with a different key
+ *   (see {@link verifyCheckpointKey})
+ */
+export function openJournal(inputPath, encdec, state, resumeFrom) {
+  const { fileHash, fields, writeBack, summary } = state;
+  const salt = resumeFrom
+    ? Buffer.from(resumeFrom.salt, "base64")
+    : crypto.randomBytes(16);
+  const key = journalKey(encdec, salt);
+  if (!key) return null;
+  const keyCheck = keyCheckOf(key);
+  if (resumeFrom) verifyCheckpointKey(resumeFrom, encdec);
+
+  const paths = checkpointPaths(inputPath);
+  fs.mkdirSync(path.dirname(paths.file), { recursive: true, mode: 0o700 });
+  const meta = {
+    version: 1,
+    input: inputPath,
+    sha256: fileHash.sha256,
+    bytes: fileHash.bytes,
+    fields: fingerprintFields(fields, writeBack),
+    salt: salt.toString("base64"),
+    keyCheck,
+    created: resumeFrom?.created ?? new Date().toISOString(),
+  };
+  let records = resumeFrom?.records ?? 0;
+  // Drop anything written after the last checkpoint
+  if (resumeFrom) fs.truncateSync(paths.journal, resumeFrom.journalBytes);
+  const stream = fs.createWriteStream(paths.journal, {
+    flags: resumeFrom ? "a" : "w",
+    mode: 0o600,
+  });
+  let journalBytes = resumeFrom?.journalBytes ?? 0;
+  let lastSave = Date.now();
+  let closed = false;
+
+  const journal = {
+    async write(result) {
+      const line = `${sealLine(key, JSON.stringify(result))}\n`;
+      const ok = stream.write(line);
+      journalBytes += Buffer.byteLength(line);
+      records++;
+      if (
+        records % CHECKPOINT_RECORDS === 0 ||
+        Date.now() - lastSave >= CHECKPOINT_MS
+      ) {
+        await journal.save();
+      } else if (!ok) {
+        await once(stream, "drain");
+      }
+    },
+    async save() {
+      if (closed) return;
+      // Taken before waiting: more results may be written meanwhile
+      const checkpoint = {
+        ...meta,
+        records,
+        journalBytes,
+        summary: structuredClone(summary),
+      };
+      // Write callbacks run in order: once this one fires, every
+      // line counted above is on disk
+      await new Promise((resolve, reject) =>
+        stream.write("", (err) => (err ? reject(err) : resolve()))
+      );
+      checkpoint.updated = new Date().toISOString();
+      const tmp = `${paths.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(checkpoint), { mode: 0o600 });
+      fs.renameSync(tmp, paths.file);
+      lastSave = Date.now();
+    },
+    async *replay() {
+      stream.end();
+      await finished(stream);
+      closed = true;
+      const input = fs.createReadStream(paths.journal, { encoding: "utf8" });
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+      try {
+        for await (const line of lines) {
+          if (line) yield JSON.parse(openJournalLine(key, line));
+        }
+      } finally {
+        input.destroy(); // also when the caller stops early
+      }
+    },
+    async discard() {
+      if (active === journal) active = null;
+      if (!closed) {
+        closed = true;
+        stream.end();
+        await finished(stream);
+      }
+      await discardCheckpoint(inputPath);
+    },
+    count: () => records,
+  };
+  active = journal;
+  return journal;
+}
+
+/**
+ * Saves the running import's checkpoint, if there is one. Called when
+ * the process is interrupted.
+ *
+ * @async
+ * @function saveActiveCheckpoint
+ * @returns {Promise<boolean>} Whether a checkpoint was saved
+ */
+export async function saveActiveCheckpoint() {
+  if (!active) return false;
+  await active.save();
+  return true;
+}
+
+/**
+ * Derives the journal key from the decryptor's key (the first key of a
+ * keyring).
+ *
+ * @function journalKey
+ * @param {Object} encdec - Decryptor
+ * @param {Buffer} salt - HKDF salt
+ * @returns {Buffer|null} 32-byte key, or null if the key is not accessible
+ */
+function journalKey(encdec, salt) {
+  const primary = encdec instanceof Keyring ? encdec.entries[0].encdec : encdec;
+  if (typeof primary?.exportCredentials !== "function") return null;
+  const { key, iv } = primary.exportCredentials();
+  try {
+    return Buffer.from(crypto.hkdfSync("sha256", key, salt, HKDF_INFO, 32));
+  } finally {
+    key.fill(0);
+    iv.fill(0);
+  }
+}
+
+/**
+ * Value stored in a checkpoint to recognize its journal key.
+ *
+ * @function keyCheckOf
+ * @param {Buffer} key - Journal key
+ * @returns {string} Hex HMAC-SHA256
+ */
+function keyCheckOf(key) {
+  return crypto
+    .createHmac("sha256", key)
+    .update("truehear checkpoint key check")
+    .digest("hex");
+}
+
+/**
+ * Decrypts a journal line, failing with advice if it was damaged.
+ *
+ * @function openJournalLine
+ * @param {Buffer} key - Journal key
+ * @param {string} line - Line written with `sealLine`
+ * @returns {string}
+ * @throws {Error} If the line was modified
+ */
+function openJournalLine(key, line) {
+  try {
+    return openLine(key, line);
+  } catch {
+    throw new Error(
+      "Checkpoint journal is damaged; pass --no-resume to start over."
+    );
+  }
+}
+
+/**
+ * Fingerprint of what decides a result's shape: field paths, labels,
+ * validators, export masking and the write-back mode.
+ *
+ * @function fingerprintFields
+ * @param {import("./fields.js").FieldSpec[]} fields - Encrypted fields
+ * @param {string} [writeBack] - Write-back mode, if any
+ * @returns {string} Hex SHA-256
+ */
+function fingerprintFields(fields, writeBack) {
+  const shape = fields.map(({ path: fieldPath, label, validate, mask }) => [
+    fieldPath,
+    label ?? null,
+    validate ?? null,
+    mask?.export ?? null,
+  ]);
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(writeBack ? [shape, writeBack] : shape))
+    .digest("hex");
+}
@@ -0,0 +1,284 @@
+// src/core/config.js
+import fs from "fs";
+import os from "os";
+import path from "path";
+import appConfig from "../app-config.json" with { type: "json" };
+import { CIPHER_SUITES } from "../utils/EncDec.js";
+import { CIPHERTEXT_ENCODINGS } from "../utils/encoding.js";
+import { DEFAULT_FIELDS, normalizeFieldSpecs } from "./fields.js";
+import { MASK_POLICIES, parseMasking } from "./masking.js";
+import { OUTPUT_FORMATS } from "./writers.js";
+import { validateSchema } from "./validate.js";
+import { ConfigError } from "./error.js";
+
+/**
+ * Application configuration (`src/app-config.json`).
+ *
+ * Settings may be given at the top level and in named profiles. The
+ * active profile (`--profile`, `$TRUEHEAR_PROFILE`, or chosen at startup)
+ * overrides the top-level value of each setting it names:
+ *
+ * ```json
+ * {
+ *   "exportFormat": "csv",
+ *   "profiles": {
+ *     "prod": { "keyFile": "~/.truehear/prod.key", "suite": "aes-256-gcm", "outputDir": "~/exports" }
+ *   }
+ * }
+ * ```
+ *
+ * The file is checked against {@link CONFIG_SCHEMA} the first time it is
+ * read; every problem is reported at once as a {@link ConfigError}.
+ */
+
+/**
+ * Settings accepted at the top level and in each profile.
+ * @type {Record<string, import("./validate.js").Schema>}
+ */
+const SETTINGS_SCHEMA = {
+  /** Cipher suite (see `CIPHER_SUITES`) */
+  suite: { type: "string", enum: Object.keys(CIPHER_SUITES) },
+  /** Ciphertext encoding (see `CIPHERTEXT_ENCODINGS`) */
+  encoding: { type: "string", enum: CIPHERTEXT_ENCODINGS },
+  /** Key file with the key/IV (see `credentials.js`) */
+  keyFile: { type: "string" },
+  /** Encrypted field mapping (see `fields.js`) */
+  fields: { type: "array", check: checkFields },
+  /** Default masking policies (see `masking.js`) */
+  mask: {
+    type: "object",
+    properties: {
+      display: { type: "string", enum: MASK_POLICIES },
+      export: { type: "string", enum: MASK_POLICIES },
+    },
+  },
+  /** Export format preselected in prompts and used by batch runs */
+  exportFormat: { type: "string", enum: OUTPUT_FORMATS },
+  /** Directory for timestamped exports (created if missing) */
+  outputDir: { type: "string" },
+  /** Where batch imports keep checkpoints (see `checkpoint.js`) */
+  checkpointDir: { type: "string" },
+  /** Decryption threads for imports (see `parallel.js`); 1 disables workers */
+  workers: {
+    type: "number",
+    check: (n) =>
+      (Number.isInteger(n) && n >= 1) || "must be a whole number of at least 1",
+  },
+};
+
+/**
+ * Schema of `app-config.json`.
+ * @type {import("./validate.js").Schema}
+ */
+export const CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    ...SETTINGS_SCHEMA,
+    audit: {
+      type: "object",
+      properties: { path: { type: "string" }, headPath: { type: "string" } },
+    },
+    profiles: {
+      type: "object",
+      values: { type: "object", properties: SETTINGS_SCHEMA },
+    },
+  },
+};
+
+/**
+ * Whether the bundled config has passed {@link CONFIG_SCHEMA}.
+ * @type {boolean}
+ */
+let validated = false;
+
+/**
+ * Name of the active profile, or null for top-level settings only.
+ * @type {string|null}
+ */
+let activeProfile = null;
+
+/**
+ * Returns the bundled application config (`src/app-config.json`),
+ * validating it on first use.
+ *
+ * @function loadConfig
+ * @returns {Object} Parsed config object
+ * @throws {ConfigError} If the config does not match {@link CONFIG_SCHEMA}
+ */
+export function loadConfig() {
+  if (!validated) {
+    const problems = validateSchema(appConfig, CONFIG_SCHEMA);
+    if (problems.length) {
+      throw new ConfigError(
+        `src/app-config.json is invalid:\n${problems.map((p) => `  • ${p}`).join("\n")}`
+      );
+    }
+    validated = true;
+  }
+  return appConfig;
+}
+
+/**
+ * Names of the profiles in `app-config.json`.
+ *
+ * @function listProfiles
+ * @returns {string[]}
+ */
+export function listProfiles() {
+  return Object.keys(loadConfig().profiles ?? {});
+}
+
+/**
+ * Returns a profile's settings.
+ *
+ * @function getProfile
+ * @param {string} name - Profile name
+ * @returns {Object}
+ * @throws {ConfigError} If there is no such profile
+ */
+export function getProfile(name) {
+  const profiles = loadConfig().profiles ?? {};
+  if (!Object.hasOwn(profiles, name)) {
+    const known = Object.keys(profiles);
+    throw new ConfigError(
+      `Unknown profile "${name}" (${known.length ? `available: ${known.join(", ")}` : "no profiles in app-config.json"})`
+    );
+  }
+  return profiles[name];
+}
+
+/**
+ * Makes a profile the active one for the rest of the run.
+ *
+ * @function selectProfile
+ * @param {string|null|undefined} name - Profile name; empty clears the selection
+ * @returns {string|null} The active profile
+ * @throws {ConfigError} If there is no such profile
+ */
+export function selectProfile(name) {
+  if (name) getProfile(name);
+  activeProfile = name || null;
+  return activeProfile;
+}
+
+/**
+ * @function activeProfileName
+ * @returns {string|null} Name of the active profile, if any
+ */
+export function activeProfileName() {
+  return activeProfile;
+}
+
+/**
+ * Resolves one setting: the active profile's value, else the top-level
+ * value, else undefined.
+ *
+ * @function resolveSetting
+ * @param {string} name - Setting name (a key of the settings schema)
+ * @returns {*}
+ *
+ * @example
+ * resolveSetting("exportFormat") // "csv"
+ */
+export function resolveSetting(name) {
+  const config = loadConfig();
+  const profile = activeProfile ? config.profiles[activeProfile] : {};
+  return profile[name] ?? config[name];
+}
+
+/**
+ * Resolves a path from the config, expanding a leading `~` to the home
+ * directory.
+ *
+ * @function resolveConfigPath
+ * @param {string} filePath - Path as written
+ * @returns {string} Absolute path
+ *
+ * @example
+ * resolveConfigPath("~/exports") // "/home/alice/exports"
+ */
+export function resolveConfigPath(filePath) {
+  return path.resolve(filePath.replace(/^~(?=$|[\\/])/, os.homedir()));
+}
+
+/**
+ * Directory for timestamped exports: the `outputDir` setting (created if
+ * missing), else the working directory.
+ *
+ * @function resolveOutputDir
+ * @returns {string} Absolute directory path
+ */
+export function resolveOutputDir() {
+  const dir = resolveSetting("outputDir");
+  if (!dir) return process.cwd();
+  const absDir = resolveConfigPath(dir);
+  fs.mkdirSync(absDir, { recursive: true });
+  return absDir;
+}
+
+/**
+ * Resolves the default masking policies: the active profile's `mask`
+ * over the top-level `mask`, else `DEFAULT_MASKING` (masked on screen,
+ * full in exports).
+ *
+ * @function resolveMaskDefaults
+ * @returns {import("./masking.js").MaskSettings}
+ */
+export function resolveMaskDefaults() {
+  const config = loadConfig();
+  const base = parseMasking(config.mask);
+  return activeProfile
+    ? parseMasking(config.profiles[activeProfile].mask, base)
+    : base;
+}
+
+/**
+ * Resolves the encrypted field mapping.
+ * Precedence: explicit override (CLI `--fields`) → `fields` of the active
+ * profile → `fields` in `app-config.json` → `DEFAULT_FIELDS` (`fields.js`). Each
+ * field's masking policies default to {@link resolveMaskDefaults}.
+ *
+ * @function resolveFieldSpecs
+ * @param {Array<string|Object>} [override] - Field declarations from the CLI
+ * @returns {import("./fields.js").FieldSpec[]}
+ * @throws {Error} If the declarations are malformed
+ *
+ * @example
+ * resolveFieldSpecs(["socialSecurityNumber", "contacts[].phone"]);
+ */
+export function resolveFieldSpecs(override) {
+  const fields = override?.length
+    ? override
+    : (resolveSetting("fields") ?? DEFAULT_FIELDS);
+  const defaults = resolveMaskDefaults();
+  return normalizeFieldSpecs(fields).map((spec) => {
+    try {
+      return { ...spec, mask: parseMasking(spec.mask, defaults) };
+    } catch (err) {
+      throw new Error(`Field ${spec.path}: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Schema check for a `fields` setting: every declaration must parse and
+ * carry valid masking policies.
+ *
+ * @function checkFields
+ * @param {Array<string|Object>} fields - Field declarations
+ * @returns {true|string}
+ */
+function checkFields(fields) {
+  try {
+    for (const spec of normalizeFieldSpecs(fields)) {
+      try {
+        parseMasking(spec.mask);
+      } catch (err) {
+        throw new Error(`field ${spec.path}: ${err.message}`);
+      }
+    }
+    return true;
+  } catch (err) {
+    return err.message;
+  }
+}
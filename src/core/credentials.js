@@ -0,0 +1,284 @@
+// src/core/credentials.js
+import fs from "fs";
+import chalk from "chalk";
+import { CIPHER_SUITES, DEFAULT_CIPHER_SUITE } from "../utils/EncDec.js";
+import { validateIV, validateKey } from "./validate.js";
+import {
+  activeProfileName,
+  getProfile,
+  loadConfig,
+  resolveConfigPath,
+  resolveSetting,
+} from "./config.js";
+import { ConfigError } from "./error.js";
+
+/**
+ * Where AES credentials come from, so scheduled runs and shared
+ * workstations do not need keys pasted into the prompt.
+ *
+ * Precedence, first match wins:
+ *
+ *  1. `--key`/`--iv` flags (each may fall back to its environment variable)
+ *  2. `--key-file <path>`
+ *  3. `keyFile` of the active profile (see `config.js`)
+ *  4. `$AES_SECRET_KEY`/`$AES_IV`
+ *  5. `$AES_KEY_FILE`
+ *  6. top-level `keyFile` in `app-config.json`
+ *  7. the masked prompt (terminals only; handled by the caller)
+ *
+ * The cipher suite is `--cipher`, else the suite named by the key file,
+ * else the `suite` setting, else `$AES_CIPHER`, else
+ * {@link DEFAULT_CIPHER_SUITE}.
+ *
+ * Key files are JSON (`{ "key": "...", "iv": "...", "suite": "..." }`)
+ * or `.env` style (`AES_SECRET_KEY=...`, `AES_IV=...`, `AES_CIPHER=...`).
+ * A key file other users can read or write is reported with a warning.
+ * Profiles name a key file rather than holding keys, since
+ * `app-config.json` is bundled into the executable:
+ *
+ * ```json
+ * { "profiles": { "prod": { "keyFile": "~/.truehear/prod.key", "suite": "aes-256-gcm" } } }
+ * ```
+ */
+
+/**
+ * Where a credential pair comes from on the command line and in the environment.
+ * @typedef {Object} CredentialSource
+ * @property {string} keyOption - Flag holding the key (camelCase argv name)
+ * @property {string} ivOption - Flag holding the IV (camelCase argv name)
+ * @property {string} cipherOption - Flag holding the cipher suite (camelCase argv name)
+ * @property {string} keyFileOption - Flag holding a key file path (camelCase argv name)
+ * @property {string} [profileOption] - Flag naming a profile to take the key file from
+ *   (camelCase argv name); without it the active profile and top-level
+ *   settings are used
+ * @property {string} keyEnv - Environment variable fallback for the key
+ * @property {string} ivEnv - Environment variable fallback for the IV
+ * @property {string} cipherEnv - Environment variable fallback for the cipher suite
+ * @property {string} keyFileEnv - Environment variable fallback for the key file
+ * @property {string} title - Heading for the interactive fallback prompt
+ */
+
+/**
+ * The primary (current) credentials.
+ * @type {CredentialSource}
+ */
+export const PRIMARY_CREDENTIALS = {
+  keyOption: "key",
+  ivOption: "iv",
+  cipherOption: "cipher",
+  keyFileOption: "keyFile",
+  keyEnv: "AES_SECRET_KEY",
+  ivEnv: "AES_IV",
+  cipherEnv: "AES_CIPHER",
+  keyFileEnv: "AES_KEY_FILE",
+  title: "AES Credentials Required",
+};
+
+/**
+ * The target credentials of a rotation (`--new-*` flags, `$NEW_*` variables).
+ * @type {CredentialSource}
+ */
+export const NEW_CREDENTIALS = {
+  keyOption: "newKey",
+  ivOption: "newIv",
+  cipherOption: "newCipher",
+  keyFileOption: "newKeyFile",
+  profileOption: "newProfile",
+  keyEnv: "NEW_AES_SECRET_KEY",
+  ivEnv: "NEW_AES_IV",
+  cipherEnv: "NEW_AES_CIPHER",
+  keyFileEnv: "NEW_AES_KEY_FILE",
+  title: "New AES Credentials",
+};
+
+/**
+ * @typedef {Object} ResolvedCredentials
+ * @property {string} key - Validated hex key
+ * @property {string} iv - Validated hex IV
+ * @property {string} suite - Cipher suite
+ * @property {string} from - Where they came from, e.g. `key file /etc/truehear.key`
+ */
+
+/**
+ * Resolves credentials from flags, key files, profiles and environment
+ * variables in the order described at the top of this module.
+ *
+ * @function resolveCredentialSource
+ * @param {Object} argv - Parsed arguments (`{}` for the interactive menu)
+ * @param {CredentialSource} [source=PRIMARY_CREDENTIALS] - Which pair to resolve
+ * @returns {ResolvedCredentials|null} Credentials, or null if no source is set
+ * @throws {Error} If a source is set but incomplete, unreadable or malformed
+ *
+ * @example
+ * resolveCredentialSource({ keyFile: "./prod.key" });
+ * // { key: "…", iv: "…", suite: "aes-256-cbc", from: "key file /…/prod.key" }
+ */
+export function resolveCredentialSource(argv, source = PRIMARY_CREDENTIALS) {
+  const env = process.env;
+  // Profile-level settings only apply to the primary credentials
+  const profile = source.profileOption
+    ? argv[source.profileOption]
+    : activeProfileName();
+  const candidates = [
+    () =>
+      (argv[source.keyOption] || argv[source.ivOption]) && {
+        key: argv[source.keyOption] ?? env[source.keyEnv],
+        iv: argv[source.ivOption] ?? env[source.ivEnv],
+        from: "command line",
+      },
+    () => argv[source.keyFileOption] && readKeyFile(argv[source.keyFileOption]),
+    () => profile && readProfile(profile),
+    () =>
+      (env[source.keyEnv] || env[source.ivEnv]) && {
+        key: env[source.keyEnv],
+        iv: env[source.ivEnv],
+        from: `${source.keyEnv}/${source.ivEnv}`,
+      },
+    () => env[source.keyFileEnv] && readKeyFile(env[source.keyFileEnv]),
+    () =>
+      !source.profileOption &&
+      loadConfig().keyFile &&
+      readKeyFile(loadConfig().keyFile),
+  ];
+  let found = null;
+  for (const candidate of candidates) {
+    found = candidate() || null;
+    if (found) break;
+  }
+  if (!found) return null;
+
+  const suite =
+    argv[source.cipherOption] ??
+    found.suite ??
+    (source.profileOption ? undefined : resolveSetting("suite")) ??
+    env[source.cipherEnv] ??
+    DEFAULT_CIPHER_SUITE;
+  if (!CIPHER_SUITES[suite]) {
+    throw new Error(`Unsupported cipher suite: ${suite}`);
+  }
+  if (!found.key || !found.iv) {
+    throw new Error(
+      `Incomplete credentials: ${found.from} must provide both a key and an IV.`
+    );
+  }
+  for (const check of [validateKey(found.key, suite), validateIV(found.iv)]) {
+    if (check !== true) throw new Error(`${found.from}: ${check}`);
+  }
+  return {
+    key: found.key.trim(),
+    iv: found.iv.trim(),
+    suite,
+    from: found.from,
+  };
+}
+
+/**
+ * Reads a key file, warning when other users can read or write it.
+ *
+ * @function readKeyFile
+ * @param {string} filePath - JSON or `.env` style key file (`~` is expanded)
+ * @returns {{key?: string, iv?: string, suite?: string, from: string}}
+ * @throws {Error} If the file is missing, not a regular file or unparsable
+ * @throws {ConfigError} If a JSON key file's `key`, `iv` or `suite` is not a string
+ *
+ * @example
+ * readKeyFile("~/.truehear/prod.key");
+ */
+export function readKeyFile(filePath) {
+  const absPath = resolveConfigPath(filePath);
+  let text;
+  try {
+    if (!fs.statSync(absPath).isFile()) throw new Error("not a regular file");
+    text = fs.readFileSync(absPath, "utf8");
+  } catch (err) {
+    throw new Error(`Cannot read key file ${absPath}: ${err.message}`);
+  }
+  const warning = checkKeyFilePermissions(absPath);
+  if (warning) console.warn(chalk.yellow(`⚠️ ${warning}`));
+
+  const from = `key file ${absPath}`;
+  if (text.trimStart().startsWith("{")) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Key file ${absPath} is not valid JSON: ${err.message}`);
+    }
+    const problems = ["key", "iv", "suite"]
+      .filter(
+        (name) => parsed[name] != null && typeof parsed[name] !== "string"
+      )
+      .map((name) => {
+        const type = Array.isArray(parsed[name])
+          ? "array"
+          : typeof parsed[name];
+        return `"${name}" must be a string (got ${type})`;
+      });
+    if (problems.length) {
+      throw new ConfigError(`Key file ${absPath}: ${problems.join("; ")}`);
+    }
+    return { key: parsed.key, iv: parsed.iv, suite: parsed.suite, from };
+  }
+  const vars = parseEnvLines(text);
+  return {
+    key: vars.AES_SECRET_KEY,
+    iv: vars.AES_IV,
+    suite: vars.AES_CIPHER,
+    from,
+  };
+}
+
+/**
+ * Describes unsafe permissions on a key file. Only meaningful on POSIX
+ * systems; always null on Windows.
+ *
+ * @function checkKeyFilePermissions
+ * @param {string} absPath - Key file
+ * @returns {string|null} Warning, or null if only the owner has access
+ */
+export function checkKeyFilePermissions(absPath) {
+  if (process.platform === "win32") return null;
+  const mode = fs.statSync(absPath).mode & 0o777;
+  const problems = [];
+  if (mode & 0o004) problems.push("world-readable");
+  if (mode & 0o002) problems.push("world-writable");
+  if (!problems.length) return null;
+  return `Key file ${absPath} is ${problems.join(" and ")} (mode ${mode.toString(8)}); restrict it with: chmod 600 ${absPath}`;
+}
+
+/**
+ * Loads a profile's key file and suite.
+ *
+ * @function readProfile
+ * @param {string} name - Profile name
+ * @returns {{key?: string, iv?: string, suite?: string, from: string}|null}
+ *   Credentials, or null if the profile has no key file
+ * @throws {Error} If the profile does not exist
+ */
+function readProfile(name) {
+  const profile = getProfile(name);
+  if (!profile.keyFile) return null;
+  const file = readKeyFile(profile.keyFile);
+  return {
+    ...file,
+    suite: file.suite ?? profile.suite,
+    from: `profile ${name} (${file.from})`,
+  };
+}
+
+/**
+ * Parses `NAME=value` lines, ignoring blanks, comments and `export`.
+ *
+ * @function parseEnvLines
+ * @param {string} text - File contents
+ * @returns {Record<string, string>}
+ */
+function parseEnvLines(text) {
+  const vars = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^\s*(?:export\s+)?([A-Za-z_]\w*)\s*=\s*(.*?)\s*$/.exec(line);
+    if (!match || line.trimStart().startsWith("#")) continue;
+    vars[match[1]] = match[2].replace(/^(["'])(.*)\1$/, "$2");
+  }
+  return vars;
+}
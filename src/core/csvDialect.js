@@ -0,0 +1,292 @@
+// src/core/csvDialect.js
+import fs from "fs";
+import { Transform, pipeline } from "stream";
+import { StringDecoder } from "string_decoder";
+
+/**
+ * CSV dialect detection. Spreadsheet exports are not always comma-
+ * separated UTF-8: Excel in many European locales writes semicolons,
+ * "Unicode text" is tab-separated UTF-16LE, and older tools write
+ * Latin-1. The start of the file is sniffed for:
+ *  • charset   – from a byte order mark, else NUL byte patterns (UTF-16
+ *                without BOM), else UTF-8 if the bytes are valid UTF-8,
+ *                else Latin-1
+ *  • delimiter – an Excel `sep=` first line, else the candidate found
+ *                the same number of times (outside quotes) on the most lines
+ *  • quote     – `"`, or `'` when only single quotes wrap fields
+ */
+
+/**
+ * Delimiters considered, in order of preference on a tie.
+ * @type {string[]}
+ */
+export const CSV_DELIMITERS = [",", ";", "\t", "|"];
+
+/**
+ * Accepted character sets (Node encoding names, plus `utf16be`).
+ * @type {string[]}
+ */
+export const CSV_CHARSETS = ["utf8", "utf16le", "utf16be", "latin1"];
+
+/**
+ * @typedef {Object} CsvDialect
+ * @property {string} charset - One of {@link CSV_CHARSETS}
+ * @property {number} bomBytes - Length of the byte order mark (skipped)
+ * @property {string} delimiter - Field delimiter
+ * @property {string} quote - Quote character
+ * @property {number} fromLine - First line to parse (2 after a `sep=` line)
+ */
+
+/** Bytes read from the start of the file to detect the dialect. */
+const SNIFF_BYTES = 64 * 1024;
+
+/** Lines compared when looking for the delimiter. */
+const SNIFF_LINES = 50;
+
+const BOMS = [
+  { charset: "utf8", bytes: [0xef, 0xbb, 0xbf] },
+  { charset: "utf16le", bytes: [0xff, 0xfe] },
+  { charset: "utf16be", bytes: [0xfe, 0xff] },
+];
+
+const DELIMITER_NAMES = {
+  ",": "comma",
+  ";": "semicolon",
+  "\t": "tab",
+  "|": "pipe",
+};
+const CHARSET_NAMES = {
+  utf8: "UTF-8",
+  utf16le: "UTF-16LE",
+  utf16be: "UTF-16BE",
+  latin1: "Latin-1",
+};
+
+/**
+ * Detects the charset, delimiter and quote character of a CSV file.
+ * Values given in `overrides` are used as they are; the rest are
+ * detected.
+ *
+ * @function detectCsvDialect
+ * @param {string} filePath - Path to a CSV file
+ * @param {Object} [overrides]
+ * @param {string} [overrides.charset] - One of {@link CSV_CHARSETS}
+ * @param {string} [overrides.delimiter] - Field delimiter
+ * @returns {CsvDialect}
+ * @throws {Error} If the file cannot be read
+ *
+ * @example
+ * detectCsvDialect("./excel-de.csv")
+ * // { charset: "utf8", bomBytes: 3, delimiter: ";", quote: '"', fromLine: 1 }
+ */
+export function detectCsvDialect(filePath, overrides = {}) {
+  const head = readHead(filePath);
+  const bom = BOMS.find(({ bytes }) => bytes.every((b, i) => head[i] === b));
+  const charset = overrides.charset ?? bom?.charset ?? guessCharset(head);
+  const bomBytes = bom && bom.charset === charset ? bom.bytes.length : 0;
+  const text = decodeSample(head.subarray(bomBytes), charset);
+
+  // Excel honours (and writes) a first line such as `sep=;`
+  const hint = /^sep=(.)\r?\n/.exec(text);
+  const quote = guessQuote(text);
+  const delimiter =
+    overrides.delimiter ?? hint?.[1] ?? guessDelimiter(text, quote);
+  return { charset, bomBytes, delimiter, quote, fromLine: hint ? 2 : 1 };
+}
+
+/**
+ * Short description of a dialect for display, e.g. `semicolon-separated, UTF-8`.
+ *
+ * @function describeCsvDialect
+ * @param {CsvDialect} dialect - Detected dialect
+ * @returns {string}
+ */
+export function describeCsvDialect({ charset, delimiter, quote }) {
+  const name = DELIMITER_NAMES[delimiter] ?? `"${delimiter}"`;
+  const quoting = quote === '"' ? "" : `, ${quote} quotes`;
+  return `${name}-separated, ${CHARSET_NAMES[charset]}${quoting}`;
+}
+
+/**
+ * Opens a CSV file as a byte stream the parser can read: the byte order
+ * mark is skipped and anything other than UTF-8 is re-encoded to UTF-8.
+ *
+ * @function openCsvStream
+ * @param {string} filePath - Path to a CSV file
+ * @param {CsvDialect} dialect - Its dialect
+ * @returns {{file: import("fs").ReadStream, stream: import("stream").Readable}}
+ *   The file stream (for read positions) and the UTF-8 stream to parse,
+ *   the same stream for UTF-8 files
+ */
+export function openCsvStream(filePath, { charset, bomBytes }) {
+  const file = fs.createReadStream(filePath, { start: bomBytes });
+  if (charset === "utf8") return { file, stream: file };
+  // pipeline() passes read errors on, so parsing fails rather than stalls
+  const stream = pipeline(file, createUtf8Encoder(charset), () => {});
+  return { file, stream };
+}
+
+/**
+ * Transform re-encoding text in another charset as UTF-8. Characters
+ * split across chunks are carried over.
+ *
+ * @function createUtf8Encoder
+ * @param {string} charset - `utf16le`, `utf16be` or `latin1`
+ * @returns {Transform}
+ */
+function createUtf8Encoder(charset) {
+  const swap = charset === "utf16be";
+  const decoder = new StringDecoder(swap ? "utf16le" : charset);
+  let odd = null; // trailing byte of a big-endian code unit
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (swap) {
+        const bytes = odd ? Buffer.concat([odd, chunk]) : chunk;
+        const even = bytes.length - (bytes.length % 2);
+        odd = even < bytes.length ? bytes.subarray(even) : null;
+        chunk = Buffer.from(bytes.subarray(0, even)).swap16();
+      }
+      callback(null, decoder.write(chunk));
+    },
+    flush(callback) {
+      callback(null, decoder.end());
+    },
+  });
+}
+
+/**
+ * Reads up to {@link SNIFF_BYTES} from the start of a file.
+ *
+ * @function readHead
+ * @param {string} filePath - File path
+ * @returns {Buffer}
+ */
+function readHead(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const head = Buffer.alloc(SNIFF_BYTES);
+    return head.subarray(0, fs.readSync(fd, head, 0, SNIFF_BYTES, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Guesses the charset of a file without a byte order mark.
+ *
+ * @function guessCharset
+ * @param {Buffer} head - Start of the file
+ * @returns {string}
+ */
+function guessCharset(head) {
+  // UTF-16 text is mostly ASCII, so every other byte is NUL
+  let evenNuls = 0;
+  let oddNuls = 0;
+  for (let i = 0; i + 1 < head.length; i += 2) {
+    if (head[i] === 0) evenNuls++;
+    if (head[i + 1] === 0) oddNuls++;
+  }
+  const units = Math.floor(head.length / 2);
+  if (oddNuls > units / 3 && evenNuls < units / 20) return "utf16le";
+  if (evenNuls > units / 3 && oddNuls < units / 20) return "utf16be";
+
+  try {
+    // `stream` tolerates a character cut off at the end of the sample
+    new TextDecoder("utf-8", { fatal: true }).decode(head, { stream: true });
+    return "utf8";
+  } catch {
+    return "latin1";
+  }
+}
+
+/**
+ * Decodes the sniffed bytes for inspection.
+ *
+ * @function decodeSample
+ * @param {Buffer} bytes - Start of the file, without byte order mark
+ * @param {string} charset - Its charset
+ * @returns {string}
+ */
+function decodeSample(bytes, charset) {
+  if (charset !== "utf16be") return new StringDecoder(charset).write(bytes);
+  const even = bytes.length - (bytes.length % 2);
+  return Buffer.from(bytes.subarray(0, even)).swap16().toString("utf16le");
+}
+
+/**
+ * Guesses the quote character: `'` only when single quotes both open
+ * and close fields, and no double quotes do.
+ *
+ * @function guessQuote
+ * @param {string} text - Start of the file
+ * @returns {string}
+ */
+function guessQuote(text) {
+  const count = (pattern) => text.match(new RegExp(pattern, "gm"))?.length ?? 0;
+  const opening = (quote) => count(`(^|[,;\\t|])${quote}`);
+  const closing = (quote) => count(`${quote}([,;\\t|]|\\r?$)`);
+  const single = opening("'") > 0 && closing("'") > 0;
+  return single && opening('"') + closing('"') === 0 ? "'" : '"';
+}
+
+/**
+ * Guesses the delimiter: for each candidate, the number of times it
+ * occurs (outside quotes) on most lines, and on how many lines. The
+ * candidate agreeing on the most lines wins, then the one occurring more
+ * often per line; comma if no candidate occurs at all.
+ *
+ * @function guessDelimiter
+ * @param {string} text - Start of the file
+ * @param {string} quote - Quote character
+ * @returns {string}
+ */
+function guessDelimiter(text, quote) {
+  const lines = countPerLine(text, quote);
+  let best = { delimiter: ",", lines: 0, count: 0 };
+  for (const delimiter of CSV_DELIMITERS) {
+    const frequency = new Map();
+    for (const counts of lines) {
+      const count = counts[delimiter];
+      if (count > 0) frequency.set(count, (frequency.get(count) ?? 0) + 1);
+    }
+    for (const [count, agreeing] of frequency) {
+      if (
+        agreeing > best.lines ||
+        (agreeing === best.lines && count > best.count)
+      ) {
+        best = { delimiter, lines: agreeing, count };
+      }
+    }
+  }
+  return best.delimiter;
+}
+
+/**
+ * Counts each candidate delimiter outside quotes, per complete line.
+ *
+ * @function countPerLine
+ * @param {string} text - Start of the file
+ * @param {string} quote - Quote character
+ * @returns {Array<Object<string, number>>} One count per delimiter, per line
+ */
+function countPerLine(text, quote) {
+  const lines = [];
+  let counts = Object.fromEntries(CSV_DELIMITERS.map((d) => [d, 0]));
+  let quoted = false;
+  let blank = true;
+  for (const char of text) {
+    if (lines.length === SNIFF_LINES) break;
+    if (char === quote) quoted = !quoted;
+    else if (quoted) continue;
+    else if (char === "\n") {
+      if (!blank) lines.push(counts);
+      counts = Object.fromEntries(CSV_DELIMITERS.map((d) => [d, 0]));
+      blank = true;
+      continue;
+    } else if (char in counts) counts[char]++;
+    if (char !== "\r") blank = false;
+  }
+  // A file shorter than the sample ends with a complete line too
+  if (!blank && lines.length === 0) lines.push(counts);
+  return lines;
+}
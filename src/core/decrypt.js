@@ -6,6 +6,17 @@ import {
   promptEncryptedKey,
 } from "../cli/prompt.js";
 import { createSpinner } from "../utils/spinner.js";
+import {
+  ResultStatus,
+  decryptToResult,
+  summarizeResults,
+  validateOutcome,
+} from "./result.js";
+import { printResultsTable, printSummary } from "../cli/display.js";
+import { resolveFieldSpecs, resolveMaskDefaults } from "./config.js";
+import { maskResult } from "./masking.js";
+import { countsOf, offerReveal } from "./pipeline.js";
+import { AuditEvent, auditEvent } from "./audit.js";
 /**
  * Handles the complete decryption workflow including:
  * - Collecting multiple encrypted keys
@@ -33,38 +44,19 @@ export async function handleDecryptionFlow(encdec) {
     // Prompt user for encrypted key
     const encryptedKey = await promptEncryptedKey();
     // Add new entry with placeholder for decrypted result
-    keyPairs.push({
-      Encrypted: encryptedKey,
-      Decrypted: chalk.yellow("⏳ Not decrypted"),
-    });
+    keyPairs.push(createKeyPair(encryptedKey));
     // Prompt for next action
     let action = await postAddActionMenu();
     // Start decryption process with loading indicator
     if (action === "decrypt") {
-      const spinner = createSpinner("Decrypting...").start();
-      let success = 0,
-        failed = 0;
-      for (let entry of keyPairs) {
-        try {
-          entry.Decrypted = encdec.decryptPayload(entry.Encrypted);
-          success++;
-        } catch {
-          entry.Decrypted = chalk.red("❌ Failed to decrypt");
-          failed++;
-        }
-      }
-      // Complete decryption process
-      spinner.succeed("Decryption complete");
-      // Display results
-      console.log(chalk.cyan.bold("\n📋 Decryption Results:"));
-      console.table(keyPairs);
-      // Show summary statistics
-      console.log(chalk.yellow("\n📊 Summary:"));
-      console.log(`🔐 Total: ${keyPairs.length}`);
-      console.log(chalk.green(`✅ Decrypted: ${success}`));
-      console.log(chalk.red(`❌ Failed: ${failed}`));
+      decryptKeyPairs(encdec, keyPairs);
+      // Display results (masked until explicitly revealed)
+      const masking = { defaults: resolveMaskDefaults() };
+      printResultsTable(keyPairs, masking);
+      printSummary(summarizeResults(keyPairs));
+      await offerReveal(keyPairs, masking);
 
-      if (keyPairs.length) await exportResultsToFile(keyPairs);
+      if (keyPairs.length) await exportResultsToFile(exportRows(keyPairs));
       // Prompt for post-decryption action
       const post = await postDecryptActionMenu();
       // Exit loop if user chooses to go back
@@ -76,3 +68,90 @@ export async function handleDecryptionFlow(encdec) {
 
   console.log(chalk.green("\n✅ Returning to main menu...\n"));
 }
+
+/**
+ * Decrypts a list of encrypted values without any prompts.
+ * Used by the non-interactive `decrypt` command.
+ *
+ * @async
+ * @function decryptValues
+ * @param {Object} encdec - Initialized encryption/decryption utility instance
+ * @param {string[]} values - Encrypted payloads
+ * @param {Object} [options]
+ * @param {string} [options.format="json"] - Export format (`json` or `csv`)
+ * @param {string} [options.output] - Export path; defaults to a timestamped file
+ * @param {string} [options.password] - Seal the export with this password
+ * @param {string} [options.kdf] - KDF for sealing
+ * @returns {Promise<{total: number, success: number, failed: number}>}
+ *
+ * @example
+ * await decryptValues(encdec, ["7d224f..."], { format: "csv", output: "out.csv" });
+ */
+export async function decryptValues(encdec, values, options = {}) {
+  const { format = "json", output, password, kdf } = options;
+  const keyPairs = values.map(createKeyPair);
+  decryptKeyPairs(encdec, keyPairs);
+  const summary = summarizeResults(keyPairs);
+  printSummary(summary);
+  await exportResultsToFile(exportRows(keyPairs), {
+    format,
+    output,
+    password,
+    kdf,
+  });
+  return summary;
+}
+
+/**
+ * Applies the configured export masking to manual result rows.
+ *
+ * @function exportRows
+ * @param {Array<Object>} keyPairs - Decrypted result rows
+ * @returns {Array<Object>} Copies ready to export
+ */
+function exportRows(keyPairs) {
+  const defaults = resolveMaskDefaults();
+  return keyPairs.map((entry) => maskResult(entry, "export", { defaults }));
+}
+
+/**
+ * Creates a pending result row for a manually entered payload.
+ *
+ * @function createKeyPair
+ * @param {string} encrypted - Encrypted payload
+ * @returns {{Encrypted: string, status: string, Decrypted: null, reason: null}}
+ */
+function createKeyPair(encrypted) {
+  return {
+    Encrypted: encrypted,
+    status: ResultStatus.PENDING,
+    Decrypted: null,
+    reason: null,
+  };
+}
+
+/**
+ * Decrypts every collected key pair in place. Values are validated like
+ * the first configured field (the SSN by default). The counts (never the
+ * values) are recorded in the audit log.
+ *
+ * @function decryptKeyPairs
+ * @param {Object} encdec - Initialized encryption/decryption utility instance
+ * @param {Array<Object>} keyPairs - Result rows created by `createKeyPair`
+ * @returns {void}
+ */
+function decryptKeyPairs(encdec, keyPairs) {
+  const spinner = createSpinner("Decrypting...").start();
+  const [primary] = resolveFieldSpecs();
+  for (const entry of keyPairs) {
+    // keyId (keyring runs) is appended after the existing columns
+    const { plaintext, ...outcome } = validateOutcome(
+      decryptToResult(encdec, entry.Encrypted),
+      primary.validate
+    );
+    Object.assign(entry, { ...outcome, Decrypted: plaintext });
+  }
+  // Complete decryption process
+  spinner.succeed("Decryption complete");
+  auditEvent(AuditEvent.DECRYPT_VALUES, countsOf(summarizeResults(keyPairs)));
+}
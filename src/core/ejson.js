@@ -0,0 +1,360 @@
+// src/core/ejson.js
+
+/**
+ * MongoDB Extended JSON (v2), as written by `mongoexport` and read by
+ * `mongoimport`. Records are kept as parsed, type wrappers included
+ * (`{ "$oid": … }`, `{ "$date": … }`, `{ "$numberLong": … }`, …), so
+ * they pass through decryption and write-back unchanged; this module
+ * reads values out of wrappers and rewrites whole documents in one of
+ * the two output modes:
+ *  • canonical – every typed value wrapped, so no type is lost
+ *    (`mongoexport --jsonFormat=canonical`)
+ *  • relaxed   – numbers as plain JSON numbers where that is exact and
+ *    dates as ISO strings (the `mongoexport` default)
+ *
+ * Plain JSON numbers carry no int/double distinction once parsed (`2.0`
+ * reads as `2`), so canonical output types them by value: integers as
+ * `$numberInt`/`$numberLong`, the rest as `$numberDouble`. Only wrapped
+ * numbers keep their declared type; relaxed output leaves an integral
+ * `$numberDouble` wrapped for that reason.
+ *
+ * Legacy (v1) forms such as `{ "$binary": "…", "$type": "00" }`,
+ * `{ "$regex": …, "$options": … }` and `{ "$date": <millis> }` are read
+ * too, and written in v2 form.
+ */
+
+/**
+ * Accepted Extended JSON output modes.
+ * @type {string[]}
+ */
+export const EJSON_MODES = ["canonical", "relaxed"];
+
+/** Binary subtype of UUIDs. */
+const UUID_SUBTYPE = "04";
+
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+
+/** Latest `$date` the relaxed form writes as an ISO string (end of 9999). */
+const MAX_RELAXED_DATE = Date.UTC(9999, 11, 31, 23, 59, 59, 999);
+
+/**
+ * Single-key wrappers, by key. Anything else with a `$` key is treated
+ * as an ordinary document.
+ * @type {Set<string>}
+ */
+const WRAPPER_KEYS = new Set([
+  "$oid",
+  "$symbol",
+  "$numberInt",
+  "$numberLong",
+  "$numberDouble",
+  "$numberDecimal",
+  "$binary",
+  "$uuid",
+  "$code",
+  "$timestamp",
+  "$regularExpression",
+  "$dbPointer",
+  "$date",
+  "$minKey",
+  "$maxKey",
+  "$undefined",
+]);
+
+/**
+ * Type wrapper held by a value, if it is one.
+ *
+ * @function wrapperKey
+ * @param {*} value - Parsed JSON value
+ * @returns {string|null} e.g. `$oid`, or null for ordinary values
+ */
+function wrapperKey(value) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    return null;
+  }
+  const keys = Object.keys(value);
+  if (keys.length === 1 && WRAPPER_KEYS.has(keys[0])) return keys[0];
+  // Legacy pairs and `$code` with its scope
+  const pair = keys.sort().join(",");
+  if (pair === "$binary,$type") return "$binary";
+  if (pair === "$options,$regex") return "$regex";
+  if (pair === "$code,$scope") return "$code";
+  return null;
+}
+
+/**
+ * Bytes of a `$binary` (or `$uuid`) value, if the value is one.
+ *
+ * @function readBinary
+ * @param {*} value - Parsed JSON value
+ * @returns {{bytes: Buffer, subType: string}|null}
+ *
+ * @example
+ * readBinary({ $binary: { base64: "fSJPbMZVfhCgmcTQlfNE3A==", subType: "00" } })
+ * // { bytes: <Buffer 7d 22 4f …>, subType: "00" }
+ */
+export function readBinary(value) {
+  const key = wrapperKey(value);
+  if (key === "$uuid") {
+    return {
+      bytes: Buffer.from(value.$uuid.replace(/-/g, ""), "hex"),
+      subType: UUID_SUBTYPE,
+    };
+  }
+  if (key !== "$binary") return null;
+  const { $binary: binary, $type: type } = value;
+  // v1: { $binary: "<base64>", $type: "<hex>" }
+  const [base64, subType] =
+    typeof binary === "string"
+      ? [binary, type]
+      : [binary?.base64, binary?.subType];
+  if (typeof base64 !== "string") return null;
+  return {
+    bytes: Buffer.from(base64, "base64"),
+    subType: String(subType ?? "00")
+      .padStart(2, "0")
+      .toLowerCase(),
+  };
+}
+
+/**
+ * Ciphertext string and encoding for the raw bytes of a `$binary` value:
+ * OpenSSL blobs as base64 (they carry their `Salted__` header and salt),
+ * anything else as hex.
+ *
+ * @function binaryPayload
+ * @param {Buffer} bytes - Binary contents
+ * @returns {{payload: string, encoding: string}}
+ *
+ * @example
+ * binaryPayload(readBinary(value).bytes) // { payload: "7d224f…", encoding: "hex" }
+ */
+export function binaryPayload(bytes) {
+  if (bytes.subarray(0, 8).toString("latin1") === "Salted__") {
+    return { payload: bytes.toString("base64"), encoding: "openssl" };
+  }
+  return { payload: bytes.toString("hex"), encoding: "hex" };
+}
+
+/**
+ * `$binary` value holding new ciphertext, in the same form as the value
+ * it replaces: v1 or v2 wrapper with the same subtype. `$uuid` values
+ * become subtype `04` `$binary`, as the bytes are no longer a UUID.
+ *
+ * @function replaceBinary
+ * @param {Object} original - `$binary` or `$uuid` value (see {@link readBinary})
+ * @param {string} ciphertext - Hex ciphertext, as `encryptPayload` returns it
+ * @returns {Object}
+ * @throws {Error} If the ciphertext is not plain hex, e.g. GCM's
+ *   `<nonce>:<ciphertext>`, which raw bytes read back under the configured
+ *   IV cannot hold
+ *
+ * @example
+ * replaceBinary({ $binary: { base64: "fSJP…", subType: "00" } }, "9a01…")
+ * // { $binary: { base64: "mgE…", subType: "00" } }
+ */
+export function replaceBinary(original, ciphertext) {
+  if (!/^(?:[0-9a-f]{2})+$/i.test(ciphertext)) {
+    throw new Error(
+      "ciphertext with a per-value nonce (GCM) cannot be stored as $binary"
+    );
+  }
+  const base64 = Buffer.from(ciphertext, "hex").toString("base64");
+  const { $binary: binary, $type: type } = original;
+  if (typeof binary === "string") {
+    return { $binary: base64, $type: type ?? readBinary(original).subType };
+  }
+  return {
+    $binary: {
+      base64,
+      subType: binary?.subType ?? readBinary(original).subType,
+    },
+  };
+}
+
+/**
+ * Text form of a scalar Extended JSON value, e.g. for record ids:
+ * ObjectIds as hex, numbers as digits, dates as ISO strings, UUIDs in
+ * 8-4-4-4-12 form and other binaries as base64.
+ *
+ * @function extendedToString
+ * @param {*} value - Parsed JSON value
+ * @returns {string|null} Text, or null for documents, arrays, null and
+ *   types without a natural text form
+ *
+ * @example
+ * extendedToString({ $oid: "507f1f77bcf86cd799439011" }) // "507f1f77bcf86cd799439011"
+ * extendedToString({ $numberLong: "42" })                // "42"
+ * extendedToString({ $date: { $numberLong: "0" } })       // "1970-01-01T00:00:00.000Z"
+ */
+export function extendedToString(value) {
+  if (typeof value === "string") return value;
+  if (typeof value === "number" && Number.isFinite(value)) return String(value);
+  switch (wrapperKey(value)) {
+    case "$oid":
+    case "$symbol":
+    case "$numberInt":
+    case "$numberLong":
+    case "$numberDouble":
+    case "$numberDecimal": {
+      const text = Object.values(value)[0];
+      return typeof text === "string" ? text : null;
+    }
+    case "$date": {
+      const millis = dateMillis(value.$date);
+      return Number.isNaN(millis) ? null : new Date(millis).toISOString();
+    }
+    case "$uuid":
+    case "$binary": {
+      const binary = readBinary(value);
+      if (!binary) return null;
+      if (binary.subType === UUID_SUBTYPE && binary.bytes.length === 16) {
+        const hex = binary.bytes.toString("hex");
+        return [8, 12, 16, 20].reduceRight(
+          (text, at) => `${text.slice(0, at)}-${text.slice(at)}`,
+          hex
+        );
+      }
+      return binary.bytes.toString("base64");
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Rewrites a document (or any value) in canonical or relaxed Extended
+ * JSON. Plain JSON numbers become `$numberInt`, `$numberLong` or
+ * `$numberDouble` in canonical form, typed by value (see
+ * {@link wrapNumber}); in relaxed form wrapped numbers become plain
+ * numbers unless that would lose precision or their type. The input is
+ * left untouched.
+ *
+ * @function toExtendedJson
+ * @param {*} value - Parsed JSON value
+ * @param {string} mode - One of {@link EJSON_MODES}
+ * @returns {*} Converted copy
+ *
+ * @example
+ * toExtendedJson({ n: 1, at: { $date: "2024-01-01T00:00:00Z" } }, "canonical")
+ * // { n: { $numberInt: "1" }, at: { $date: { $numberLong: "1704067200000" } } }
+ */
+export function toExtendedJson(value, mode) {
+  const relaxed = mode === "relaxed";
+  if (typeof value === "number") return relaxed ? value : wrapNumber(value);
+  if (value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) {
+    return value.map((item) => toExtendedJson(item, mode));
+  }
+
+  const key = wrapperKey(value);
+  if (key === null) {
+    const out = {};
+    for (const [name, item] of Object.entries(value)) {
+      out[name] = toExtendedJson(item, mode);
+    }
+    return out;
+  }
+  return convertWrapper(key, value, mode);
+}
+
+/**
+ * Converts one type wrapper to the requested form.
+ *
+ * @function convertWrapper
+ * @param {string} key - Wrapper key from {@link wrapperKey}
+ * @param {Object} value - Wrapper
+ * @param {string} mode - One of {@link EJSON_MODES}
+ * @returns {*}
+ */
+function convertWrapper(key, value, mode) {
+  const relaxed = mode === "relaxed";
+  switch (key) {
+    case "$numberInt":
+    case "$numberDouble": {
+      const number = Number(value[key]);
+      // NaN and ±Infinity have no JSON number
+      if (!relaxed || !Number.isFinite(number)) return value;
+      // 1.0 would be written as 1 and read back as an int
+      if (key === "$numberDouble" && Number.isInteger(number)) return value;
+      return Object.is(number, -0) ? value : number;
+    }
+    case "$numberLong": {
+      const number = Number(value.$numberLong);
+      return relaxed && Number.isSafeInteger(number) ? number : value;
+    }
+    case "$date": {
+      const millis = dateMillis(value.$date);
+      if (Number.isNaN(millis)) return value;
+      if (relaxed && millis >= 0 && millis <= MAX_RELAXED_DATE) {
+        return { $date: new Date(millis).toISOString() };
+      }
+      return { $date: { $numberLong: String(millis) } };
+    }
+    case "$uuid":
+    case "$binary": {
+      const binary = readBinary(value);
+      if (!binary) return value;
+      return {
+        $binary: {
+          base64: binary.bytes.toString("base64"),
+          subType: binary.subType,
+        },
+      };
+    }
+    case "$regex":
+      return {
+        $regularExpression: { pattern: value.$regex, options: value.$options },
+      };
+    case "$code":
+      return value.$scope === undefined
+        ? value
+        : { ...value, $scope: toExtendedJson(value.$scope, mode) };
+    default:
+      return value;
+  }
+}
+
+/**
+ * Canonical wrapper of a plain JSON number. Whether the source wrote it
+ * as `2` or `2.0` is gone once parsed, so integers in the int32/int64
+ * range are wrapped as `$numberInt`/`$numberLong` and everything else as
+ * `$numberDouble`.
+ *
+ * @function wrapNumber
+ * @param {number} number - Value
+ * @returns {Object}
+ */
+function wrapNumber(number) {
+  if (Number.isInteger(number) && !Object.is(number, -0)) {
+    if (number >= INT32_MIN && number <= INT32_MAX) {
+      return { $numberInt: String(number) };
+    }
+    if (Number.isSafeInteger(number)) return { $numberLong: String(number) };
+  }
+  if (Number.isNaN(number)) return { $numberDouble: "NaN" };
+  if (!Number.isFinite(number)) {
+    return { $numberDouble: number > 0 ? "Infinity" : "-Infinity" };
+  }
+  if (Object.is(number, -0)) return { $numberDouble: "-0.0" };
+  const text = String(number);
+  return { $numberDouble: /[.e]/.test(text) ? text : `${text}.0` };
+}
+
+/**
+ * Milliseconds since the epoch of a `$date` payload: an ISO string
+ * (relaxed), `{ $numberLong }` (canonical) or a number (v1).
+ *
+ * @function dateMillis
+ * @param {*} payload - Value of `$date`
+ * @returns {number} Milliseconds, or NaN if unreadable
+ */
+function dateMillis(payload) {
+  if (typeof payload === "string") return Date.parse(payload);
+  if (typeof payload === "number") return Math.trunc(payload);
+  if (typeof payload?.$numberLong === "string") {
+    return Number(payload.$numberLong);
+  }
+  return NaN;
+}
@@ -0,0 +1,214 @@
+// src/core/encrypt.js
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import { exportResultsToFile } from "../cli/exporter.js";
+import { postEncryptActionMenu, promptPlaintextValue } from "../cli/prompt.js";
+import { createSpinner } from "../utils/spinner.js";
+import { ImportFormatError, handleUnexpectedError } from "./error.js";
+import { resolveField, setFieldValue } from "./fields.js";
+import { derivedPathFor, transformRecordFile } from "./pipeline.js";
+import { resolveFieldSpecs } from "./config.js";
+import { readBinary, replaceBinary } from "./ejson.js";
+
+/**
+ * How many failing values are listed individually in the summary.
+ * @type {number}
+ */
+const MAX_REPORTED_FAILURES = 10;
+
+/**
+ * Encrypts the configured fields of a record in place.
+ * Strings and numbers are encrypted (numbers as their string form);
+ * absent, empty, null and object values are left untouched. Extended
+ * JSON `$binary` values are encrypted from their (UTF-8) bytes and the
+ * ciphertext written back in the same wrapper; one that cannot be is
+ * left as it was and counted as failed.
+ *
+ * @function encryptRecord
+ * @param {Object} encdec - Initialized encryption/decryption utility instance
+ * @param {Object} record - JSON document or CSV row (mutated)
+ * @param {import("./fields.js").FieldSpec[]} fieldSpecs - Fields to encrypt
+ * @returns {{encrypted: number, skipped: number, failed: number, reason: string|null}}
+ *   Per-value counts, and why the first failed value failed
+ * @throws {Error} If encryption itself fails
+ *
+ * @example
+ * encryptRecord(encdec, { socialSecurityNumber: "123-45-6789" }, specs);
+ * // record.socialSecurityNumber is now hex ciphertext
+ */
+export function encryptRecord(encdec, record, fieldSpecs) {
+  let encrypted = 0;
+  let skipped = 0;
+  let failed = 0;
+  let reason = null;
+  for (const spec of fieldSpecs) {
+    for (const match of resolveField(record, spec)) {
+      const { value, path: fieldPath } = match;
+      const binary = readBinary(value);
+      if (binary) {
+        try {
+          const ciphertext = encdec.encryptPayload(utf8Text(binary.bytes));
+          setFieldValue(match, replaceBinary(value, ciphertext));
+          encrypted++;
+        } catch (err) {
+          failed++;
+          reason ??= `${fieldPath}: ${err.message}`;
+        }
+        continue;
+      }
+      const encryptable =
+        (typeof value === "string" && value.length > 0) ||
+        typeof value === "number";
+      if (
+        encryptable &&
+        setFieldValue(match, encdec.encryptPayload(String(value)))
+      ) {
+        encrypted++;
+      } else {
+        skipped++;
+      }
+    }
+  }
+  return { encrypted, skipped, failed, reason };
+}
+
+/**
+ * @function utf8Text
+ * @param {Buffer} bytes - Contents of a `$binary` value
+ * @returns {string}
+ * @throws {Error} If the bytes are not valid UTF-8
+ */
+function utf8Text(bytes) {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    throw new Error("$binary value is not UTF-8 text");
+  }
+}
+
+/**
+ * Interactive flow for encrypting values typed by the user.
+ * Each ciphertext is shown as soon as it is produced; collected
+ * ciphertexts can be exported.
+ *
+ * @async
+ * @function handleEncryptionFlow
+ * @param {Object} encdec - Initialized encryption/decryption utility instance
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await handleEncryptionFlow(new EncDec(key, iv));
+ */
+export async function handleEncryptionFlow(encdec) {
+  const ciphertexts = [];
+  let continueLoop = true;
+
+  while (continueLoop) {
+    const plaintext = await promptPlaintextValue();
+    const Encrypted = encdec.encryptPayload(plaintext);
+    ciphertexts.push({ Encrypted });
+    console.log(chalk.green(`\n🔒 ${Encrypted}\n`));
+
+    const action = await postEncryptActionMenu();
+    if (action === "export") {
+      await exportResultsToFile(ciphertexts);
+      continueLoop = false;
+    } else if (action === "back") {
+      continueLoop = false;
+    }
+  }
+
+  console.log(chalk.green("\n✅ Returning to main menu...\n"));
+}
+
+/**
+ * Encrypts the configured fields of every record in a JSON, NDJSON or
+ * CSV file and writes the records, otherwise unchanged, in the same
+ * format. The output can be fed straight back into the import flows.
+ *
+ * @async
+ * @function handleFileEncryptionFlow
+ * @param {Object} encdec - Initialized encryption/decryption utility instance
+ * @param {string} inputPath - Plaintext `.json`, `.ndjson`/`.jsonl` or `.csv` file
+ * @param {Object} [options]
+ * @param {string} [options.output] - Destination (default: `<name>.encrypted.<ext>` next to the input)
+ * @param {import("./fields.js").FieldSpec[]} [options.fields] - Fields to encrypt (default: from config)
+ * @returns {Promise<{records: number, encrypted: number, skipped: number, failed: number, failedRecords: number}|undefined>}
+ *   Counts (`failed` of values, `failedRecords` of records holding
+ *   one), or undefined if the input could not be processed
+ *
+ * @example
+ * await handleFileEncryptionFlow(encdec, "./plain.csv", { output: "./seed.csv" });
+ */
+export async function handleFileEncryptionFlow(
+  encdec,
+  inputPath,
+  options = {}
+) {
+  try {
+    const { fields = resolveFieldSpecs() } = options;
+    const absPath = path.resolve(inputPath);
+    if (!fs.existsSync(absPath)) {
+      console.log(chalk.red(`❌ File not found: ${absPath}`));
+      return;
+    }
+
+    const output = path.resolve(
+      options.output ?? derivedPathFor(absPath, "encrypted")
+    );
+    if (output === absPath) {
+      console.log(chalk.red("❌ Output must differ from the input file."));
+      return;
+    }
+
+    const spinner = createSpinner("🔒 Encrypting configured fields...").start();
+    const counts = {
+      records: 0,
+      encrypted: 0,
+      skipped: 0,
+      failed: 0,
+      failedRecords: 0,
+    };
+    const failures = [];
+    let index = 0;
+    counts.records = await transformRecordFile(absPath, output, (record) => {
+      index++;
+      const { encrypted, skipped, failed, reason } = encryptRecord(
+        encdec,
+        record,
+        fields
+      );
+      counts.encrypted += encrypted;
+      counts.skipped += skipped;
+      counts.failed += failed;
+      if (failed > 0) counts.failedRecords++;
+      // Record numbers, never values
+      if (reason && failures.length < MAX_REPORTED_FAILURES) {
+        failures.push(`#${index} ${reason}`);
+      }
+    });
+    spinner.succeed("✅ Encryption completed");
+
+    console.log(chalk.yellow("\n📊 Summary:"));
+    console.log(`🧾 Total Records: ${counts.records}`);
+    console.log(chalk.green(`🔒 Values Encrypted: ${counts.encrypted}`));
+    console.log(
+      chalk.gray(`⏭️ Values Skipped (missing/empty): ${counts.skipped}`)
+    );
+    if (counts.failed > 0) {
+      console.log(
+        chalk.red(`❌ Values Failed (left as they were): ${counts.failed}`)
+      );
+      for (const failure of failures) console.log(chalk.red(`   • ${failure}`));
+    }
+    console.log(chalk.green(`\n✅ Encrypted file written to ${output}\n`));
+    return counts;
+  } catch (err) {
+    if (err instanceof ImportFormatError) {
+      console.log(chalk.red(`❌ ${err.message}`));
+      return;
+    }
+    handleUnexpectedError(err);
+  }
+}
@@ -1,6 +1,132 @@
 // src/core/error.js
 import chalk from "chalk";
 import readline from "readline";
+
+/**
+ * Whether the process is driven by a human at a terminal.
+ * Batch commands switch this off so errors never wait for input.
+ * @type {boolean}
+ */
+let interactive = true;
+
+/**
+ * Switches error handling between interactive and batch behaviour.
+ *
+ * @function setInteractiveMode
+ * @param {boolean} value - `false` when running a non-interactive command
+ * @returns {void}
+ */
+export function setInteractiveMode(value) {
+  interactive = value;
+}
+
+/**
+ * Raised when an input file is structurally invalid (e.g. malformed JSON
+ * or a non-array root). Import flows report these as a plain message
+ * instead of treating them as unexpected crashes.
+ *
+ * @class ImportFormatError
+ * @extends Error
+ */
+export class ImportFormatError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = "ImportFormatError";
+  }
+}
+
+/**
+ * Raised when `app-config.json` does not match its schema or names an
+ * unknown profile, or a key file holds values of the wrong type. The
+ * message lists every problem found, so a broken config can be fixed in
+ * one pass.
+ *
+ * @class ConfigError
+ * @extends Error
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem(s)
+   */
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+/**
+ * Why a value could not be decrypted. Carried as `code` by
+ * {@link DecryptionError} and exported per field as `reasonCode`.
+ * @readonly
+ * @enum {string}
+ */
+export const FailureReason = Object.freeze({
+  /** No ciphertext in the record (absent, null or empty) */
+  MISSING: "missing",
+  /** Characters outside the encoding's alphabet (e.g. non-hex) */
+  NON_HEX: "non-hex",
+  /** Length is not whole cipher blocks, or an IV/tag has the wrong size */
+  MISALIGNED: "misaligned",
+  /** PKCS#7 padding check failed – almost always the wrong key/IV */
+  BAD_PADDING: "bad-padding",
+  /** Decrypted bytes are not valid UTF-8 – usually the wrong key/IV */
+  MALFORMED_UTF8: "malformed-utf8",
+  /** Decryption produced an empty string */
+  EMPTY_PLAINTEXT: "empty-plaintext",
+  /** AES-GCM auth tag did not verify */
+  AUTH_FAILED: "auth-failed",
+  /** No keyring key produced plausible plaintext */
+  NO_KEY_FIT: "no-key-fit",
+  /** OpenSSL `Salted__` payload but no passphrase configured */
+  MISSING_PASSPHRASE: "missing-passphrase",
+  /** Anything not classified above */
+  OTHER: "other",
+});
+
+/**
+ * Raised when a single value cannot be decrypted. The `code` says why
+ * (see {@link FailureReason}) so flows can group failures by cause.
+ *
+ * @class DecryptionError
+ * @extends Error
+ */
+export class DecryptionError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   * @param {string} [code=FailureReason.OTHER] - One of {@link FailureReason}
+   * @param {string|null} [format=null] - Detected ciphertext encoding, if known
+   */
+  constructor(message, code = FailureReason.OTHER, format = null) {
+    super(message);
+    this.name = "DecryptionError";
+    this.code = code;
+    this.format = format;
+  }
+}
+
+/**
+ * Raised when authenticated decryption (AES-GCM) rejects a value: the
+ * auth tag does not match, so the key/IV is wrong or the ciphertext was
+ * altered. Kept distinct from ordinary decryption failures because no
+ * plaintext should ever be trusted in this case.
+ *
+ * @class AuthenticationError
+ * @extends DecryptionError
+ */
+export class AuthenticationError extends DecryptionError {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   * @param {string|null} [format=null] - Detected ciphertext encoding, if known
+   */
+  constructor(message, format = null) {
+    super(message, FailureReason.AUTH_FAILED, format);
+    this.name = "AuthenticationError";
+  }
+}
+
 /**
  * Centralized error handler for the application.
  * Handles different types of errors with appropriate user feedback and exit codes.
@@ -24,13 +150,20 @@ export function handleUnexpectedError(err) {
     err?.message?.includes("User force closed") // Explicit prompt cancellation
   ) {
     console.log(chalk.yellow("\n❌ Prompt interrupted by user. Exiting...\n"));
-    process.exit(0); // Clean exit with code 0 (user-initiated)
+    process.exit(130); // 128 + SIGINT, like an interrupted run (see index.js)
+  }
+  // Configuration problems are the user's to fix, not a crash
+  if (err instanceof ConfigError) {
+    console.log(chalk.red("\n❌ Configuration error:\n"), err.message);
+  } else {
+    // Handle all other unexpected errors
+    console.log(
+      chalk.red("\n❌ An unexpected error occurred:\n"),
+      err?.message || err
+    );
   }
-  // Handle all other unexpected errors
-  console.log(
-    chalk.red("\n❌ An unexpected error occurred:\n"),
-    err?.message || err
-  );
+  // Batch runs (cron, scripts) must exit immediately with a failure code
+  if (!interactive) process.exit(1);
   // Ask user to press Enter before exiting
   const rl = readline.createInterface({
     input: process.stdin,
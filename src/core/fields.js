@@ -0,0 +1,311 @@
+// src/core/fields.js
+import { VALUE_VALIDATORS } from "./validate.js";
+
+/**
+ * Field mapping utilities: which parts of a record are encrypted.
+ *
+ * A field path is a dot-separated list of keys. A key may be followed by
+ * `[]` to visit every element of an array, or `[n]` for a single element:
+ *
+ *   socialSecurityNumber        top-level value
+ *   patient.dateOfBirth         nested object
+ *   contacts[].phone            `phone` of every element of `contacts`
+ *   aliases[]                   every element of an array of strings
+ *
+ * CSV rows are flat, so a column literally named `patient.dateOfBirth`
+ * takes precedence over nested lookup.
+ */
+
+/**
+ * @typedef {Object} FieldSpec
+ * @property {string} path - Field path as written in config or on the CLI
+ * @property {string} [label] - Column name used in results (defaults to the path)
+ * @property {RegExp} [pattern] - Shape every plaintext of this field should
+ *   have; used to spot a wrong key before a batch (see `sampling.js`)
+ * @property {string} [validate] - Name of a value validator applied after
+ *   decryption (see `VALUE_VALIDATORS` in `validate.js`), e.g. `ssn`
+ * @property {{display?: string, export?: string}} [mask] - Masking policies
+ *   (see `masking.js`); filled in with defaults by `resolveFieldSpecs`
+ * @property {Array<{key: string, indexes: Array<number|"*">}>} segments - Parsed path
+ */
+
+/**
+ * Encrypted fields used when neither config nor CLI declares any.
+ * @type {Array<{path: string, label: string, pattern?: string, validate?: string}>}
+ */
+export const DEFAULT_FIELDS = [
+  {
+    path: "socialSecurityNumber",
+    label: "SSN",
+    pattern: "^\\d{3}[\\s-]?\\d{2}[\\s-]?\\d{4}$",
+    validate: "ssn",
+  },
+];
+
+/**
+ * @typedef {Object} FieldMatch
+ * @property {string} key - Result column name (label-based, with array indices)
+ * @property {string} path - Concrete path inside the record, e.g. `contacts[1].phone`
+ * @property {*} value - Value found, or undefined if absent
+ * @property {Object|Array|undefined} container - Object/array holding the value,
+ *   or undefined when the path could not be reached
+ * @property {string|number|undefined} property - Key/index of the value in `container`
+ */
+
+/**
+ * Normalizes field declarations from config or CLI into parsed specs.
+ *
+ * @function normalizeFieldSpecs
+ * @param {Array<string|{path: string, label?: string, pattern?: string, validate?: string, mask?: Object}>} fields - Field declarations
+ * @returns {FieldSpec[]}
+ * @throws {Error} If a declaration is malformed
+ *
+ * @example
+ * normalizeFieldSpecs(["contacts[].phone", { path: "socialSecurityNumber", label: "SSN", pattern: "^\\d{3}[\\s-]?\\d{2}[\\s-]?\\d{4}$" }]);
+ */
+export function normalizeFieldSpecs(fields) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error("At least one encrypted field must be configured.");
+  }
+
+  return fields.map((field) => {
+    const spec = typeof field === "string" ? { path: field } : field;
+    if (typeof spec?.path !== "string" || spec.path.trim() === "") {
+      throw new Error(`Invalid field declaration: ${JSON.stringify(field)}`);
+    }
+    if (spec.label !== undefined && typeof spec.label !== "string") {
+      throw new Error(`Field label must be a string: ${JSON.stringify(field)}`);
+    }
+    if (
+      spec.validate !== undefined &&
+      !Object.hasOwn(VALUE_VALIDATORS, spec.validate)
+    ) {
+      throw new Error(
+        `Unknown field validator "${spec.validate}" (expected ${Object.keys(VALUE_VALIDATORS).join(", ")}): ${JSON.stringify(field)}`
+      );
+    }
+    const path = spec.path.trim();
+    return {
+      path,
+      label: spec.label,
+      pattern: parsePattern(spec.pattern, field),
+      validate: spec.validate,
+      mask: spec.mask,
+      segments: parseFieldPath(path),
+    };
+  });
+}
+
+/**
+ * Compiles a field's expected-plaintext pattern.
+ *
+ * @function parsePattern
+ * @param {string|undefined} source - Regular expression source, if any
+ * @param {*} field - Original declaration, for error messages
+ * @returns {RegExp|undefined}
+ * @throws {Error} If the pattern is not a valid regular expression
+ */
+function parsePattern(source, field) {
+  if (source === undefined) return undefined;
+  try {
+    if (typeof source !== "string") throw new Error("must be a string");
+    return new RegExp(source);
+  } catch (err) {
+    throw new Error(
+      `Invalid field pattern (${err.message}): ${JSON.stringify(field)}`
+    );
+  }
+}
+
+/**
+ * Parses a field path into key/index segments.
+ *
+ * @function parseFieldPath
+ * @param {string} path - Field path
+ * @returns {Array<{key: string, indexes: Array<number|"*">}>}
+ * @throws {Error} If a segment is empty or has malformed brackets
+ *
+ * @example
+ * parseFieldPath("contacts[].phone")
+ * // [{ key: "contacts", indexes: ["*"] }, { key: "phone", indexes: [] }]
+ */
+export function parseFieldPath(path) {
+  return path.split(".").map((part) => {
+    const match = /^([^[\]]+)((?:\[\d*\])*)$/.exec(part);
+    if (!match) throw new Error(`Invalid field path: ${path}`);
+    const indexes = [...match[2].matchAll(/\[(\d*)\]/g)].map((m) =>
+      m[1] === "" ? "*" : Number(m[1])
+    );
+    return { key: match[1], indexes };
+  });
+}
+
+/**
+ * Finds every value addressed by a field spec in a record.
+ * Always returns at least one match unless an `[]` expanded to an empty
+ * array; absent values come back with `value: undefined`.
+ *
+ * @function resolveField
+ * @param {Object} record - JSON document or CSV row
+ * @param {FieldSpec} spec - Parsed field spec
+ * @returns {FieldMatch[]}
+ *
+ * @example
+ * resolveField({ contacts: [{ phone: "a1" }, { phone: "b2" }] }, spec)
+ * // [{ key: "contacts[0].phone", path: "contacts[0].phone", value: "a1" }, ...]
+ */
+export function resolveField(record, spec) {
+  // Flat CSV columns may contain dots; match them literally first
+  if (
+    record &&
+    typeof record === "object" &&
+    Object.hasOwn(record, spec.path)
+  ) {
+    return [
+      {
+        key: spec.label ?? spec.path,
+        path: spec.path,
+        value: record[spec.path],
+        container: record,
+        property: spec.path,
+      },
+    ];
+  }
+
+  const matches = [];
+  walk(record, spec.segments, 0, "", [], matches);
+  return matches.map(({ indices, ...match }) => ({
+    key: spec.label
+      ? spec.label + indices.map((i) => `[${i}]`).join("")
+      : match.path,
+    ...match,
+  }));
+}
+
+/**
+ * Finds the spec a result column belongs to. Column names are the spec's
+ * label or path with concrete array indices (see {@link resolveField}),
+ * so indices are ignored when comparing.
+ *
+ * @function findFieldSpec
+ * @param {string} key - Result column name, e.g. `contacts[1].phone`
+ * @param {FieldSpec[]} specs - Field specs of the run
+ * @returns {FieldSpec|undefined}
+ *
+ * @example
+ * findFieldSpec("phone[1]", specs) // spec with label "phone"
+ */
+export function findFieldSpec(key, specs) {
+  const bare = (name) => name.replace(/\[\d*\]/g, "");
+  return (
+    specs.find((spec) => (spec.label ?? spec.path) === key) ??
+    specs.find((spec) => bare(spec.label ?? spec.path) === bare(key))
+  );
+}
+
+/**
+ * Replaces the value at a resolved field location.
+ * Does nothing when the path could not be reached.
+ *
+ * @function setFieldValue
+ * @param {FieldMatch} match - Location returned by `resolveField`
+ * @param {*} value - New value
+ * @returns {boolean} Whether the value was written
+ *
+ * @example
+ * for (const match of resolveField(record, spec)) setFieldValue(match, "***");
+ */
+export function setFieldValue(match, value) {
+  if (!match.container || typeof match.container !== "object") return false;
+  match.container[match.property] = value;
+  return true;
+}
+
+/**
+ * Recursive descent used by `resolveField`.
+ *
+ * @function walk
+ * @param {*} node - Current value
+ * @param {Array<{key: string, indexes: Array<number|"*">}>} segments - Parsed path
+ * @param {number} depth - Index of the segment to apply
+ * @param {string} prefix - Concrete path walked so far
+ * @param {number[]} indices - Array indices expanded from `[]` so far
+ * @param {Array<Object>} out - Collected matches
+ * @param {Object|Array} [parent] - Container of `node`
+ * @param {string|number} [prop] - Key/index of `node` in `parent`
+ * @returns {void}
+ */
+function walk(node, segments, depth, prefix, indices, out, parent, prop) {
+  if (depth === segments.length) {
+    out.push({
+      path: prefix,
+      indices,
+      value: node,
+      container: parent,
+      property: prop,
+    });
+    return;
+  }
+
+  const { key, indexes } = segments[depth];
+  const keyPath = prefix ? `${prefix}.${key}` : key;
+  const isObject = node !== null && typeof node === "object";
+  const child = isObject && Object.hasOwn(node, key) ? node[key] : undefined;
+
+  const applyIndexes = (value, i, path, idx, holder, slot) => {
+    if (i === indexes.length) {
+      walk(value, segments, depth + 1, path, idx, out, holder, slot);
+      return;
+    }
+    const index = indexes[i];
+    if (index === "*") {
+      // Absent array: report one missing value at the pattern path
+      if (!Array.isArray(value)) {
+        out.push({
+          path: `${path}[]${restOf(segments, depth, i + 1)}`,
+          indices: idx,
+          value: undefined,
+          container: undefined,
+          property: undefined,
+        });
+        return;
+      }
+      value.forEach((item, n) =>
+        applyIndexes(item, i + 1, `${path}[${n}]`, [...idx, n], value, n)
+      );
+    } else {
+      const isArray = Array.isArray(value);
+      applyIndexes(
+        isArray ? value[index] : undefined,
+        i + 1,
+        `${path}[${index}]`,
+        idx,
+        isArray ? value : undefined,
+        index
+      );
+    }
+  };
+
+  // Only an existing object can hold the key; otherwise the path is unreachable
+  applyIndexes(child, 0, keyPath, indices, isObject ? node : undefined, key);
+}
+
+/**
+ * Renders the unvisited remainder of a path pattern, used to name
+ * values that could not be reached.
+ *
+ * @function restOf
+ * @param {Array<{key: string, indexes: Array<number|"*">}>} segments - Parsed path
+ * @param {number} depth - Current segment
+ * @param {number} from - First unapplied index of the current segment
+ * @returns {string}
+ */
+function restOf(segments, depth, from) {
+  const brackets = (idx) =>
+    idx.map((i) => (i === "*" ? "[]" : `[${i}]`)).join("");
+  const tail = segments
+    .slice(depth + 1)
+    .map((s) => `.${s.key}${brackets(s.indexes)}`)
+    .join("");
+  return brackets(segments[depth].indexes.slice(from)) + tail;
+}
@@ -1,24 +1,34 @@
 // src/core/csvImport.js
-import fs from "fs";
 import path from "path";
 import chalk from "chalk";
 
-import { parse } from "csv-parse/sync";
-import { exportResultsToFile } from "../cli/exporter.js";
 import { handleUnexpectedError } from "./error.js";
-import { createSpinner } from "../utils/spinner.js";
+import { readCsvRecords } from "./sources.js";
+import { describeCsvDialect, detectCsvDialect } from "./csvDialect.js";
+import { createInputPosition, runImport } from "./pipeline.js";
 
 /**
  * Handles the complete CSV import and decryption workflow including:
- * - File reading and CSV parsing
- * - Batch decryption of social security numbers
+ * - Charset, delimiter and quote detection (see `csvDialect.js`)
+ * - Streaming CSV parsing
+ * - Batch decryption of the configured encrypted fields
  * - Result display and optional export
  *
  * @async
  * @function handleCsvImportFlow
  * @param {Object} encdec - Initialized encryption/decryption utility instance
  * @param {string} csvPath - Path to CSV file containing encrypted data
- * @returns {Promise<void>}
+ * @param {Object} [options] - See `runImport` in `pipeline.js`
+ * @param {boolean} [options.interactive=true] - Show the results table and prompt for export
+ * @param {string} [options.format] - Export format for non-interactive runs
+ * @param {string} [options.output] - Export path for non-interactive runs
+ * @param {import("./fields.js").FieldSpec[]} [options.fields] - Encrypted fields (default: from config)
+ * @param {boolean} [options.sampleCheck=true] - Check a sample for a wrong key first
+ * @param {() => Promise<Object>} [options.reenterCredentials] - Asks for new credentials when the sample looks wrong
+ * @param {string} [options.delimiter] - Field delimiter (default: detected)
+ * @param {string} [options.charset] - `utf8`, `utf16le`, `utf16be` or `latin1` (default: detected)
+ * @returns {Promise<import("./result.js").Summary|undefined>}
+ *   Summary counts, or undefined if the file had no rows
  *
  * @throws {Error} If file operations fail or decryption encounters critical errors
  *
@@ -26,61 +36,25 @@ import { createSpinner } from "../utils/spinner.js";
  * const encdec = new EncDec(key, iv);
  * await handleCsvImportFlow(encdec, './data.csv');
  */
-export async function handleCsvImportFlow(encdec, csvPath) {
+export async function handleCsvImportFlow(encdec, csvPath, options = {}) {
   try {
-    // Resolve absolute path and read file
+    const { delimiter, charset, ...importOptions } = options;
+    // Resolve absolute path and stream rows from disk
     const absPath = path.resolve(csvPath);
-    const content = fs.readFileSync(absPath, "utf8");
-    // Parse CSV with appropriate settings
-    const records = parse(content, {
-      columns: true,
-      skip_empty_lines: true,
-      trim: true,
+    const dialect = detectCsvDialect(absPath, { delimiter, charset });
+    console.log(chalk.gray(`📄 CSV: ${describeCsvDialect(dialect)}`));
+    const input = createInputPosition(absPath);
+    const records = readCsvRecords(absPath, {
+      onRead: input.onRead,
+      dialect,
     });
-    // Initialize decryption process with loading indicator
-    const spinner = createSpinner(
-      "🔍 Decrypting social security numbers..."
-    ).start();
-    const results = [];
-    let success = 0;
-    let failed = 0;
-    // Process each CSV row
-    for (const row of records) {
-      const id = row._id || chalk.gray("N/A");
-      const enc = row.socialSecurityNumber;
-      let dec = chalk.red("❌ Invalid");
-      // Only attempt decryption if valid encrypted data exists
-      if (typeof enc === "string" && enc.length > 0) {
-        try {
-          dec = encdec.decryptPayload(enc);
-          success++;
-        } catch {
-          dec = chalk.red("❌ Failed");
-          failed++;
-        }
-      } else {
-        failed++;
-      }
 
-      results.push({ _id: id, SSN: dec });
-    }
-
-    spinner.succeed("✅ Decryption complete");
-    // Handle empty results case
-    if (results.length === 0) {
-      console.log(chalk.yellow("\n⚠️ No valid rows found.\n"));
-      return;
-    }
-    // Display formatted results table
-    console.log(chalk.cyan.bold("\n📋 Decryption Results:\n"));
-    console.table(results);
-
-    console.log(chalk.yellow("\n📊 Summary:"));
-    console.log(`🧾 Total Records: ${results.length}`);
-    console.log(chalk.green(`✅ Successfully Decrypted: ${success}`));
-    console.log(chalk.red(`❌ Failed: ${failed}`));
-    // Offer results export
-    await exportResultsToFile(results);
+    return await runImport(encdec, records, {
+      ...importOptions,
+      source: absPath,
+      input,
+      idOf: (row) => row._id || null,
+    });
   } catch (err) {
     handleUnexpectedError(err);
   }
@@ -3,27 +3,41 @@
 import fs from "fs";
 import path from "path";
 import chalk from "chalk";
-import { exportResultsToFile } from "../cli/exporter.js";
-import { handleUnexpectedError } from "./error.js";
-import { createSpinner } from "../utils/spinner.js";
+import { ImportFormatError, handleUnexpectedError } from "./error.js";
+import { readJsonArray, readNdjson, recordFormatOf } from "./sources.js";
+import { extendedToString } from "./ejson.js";
+import { createInputPosition, runImport } from "./pipeline.js";
 
 /**
  * Handles the complete JSON import and decryption workflow including:
- * - File validation and parsing
- * - Batch decryption of social security numbers
+ * - File validation and streaming parse (JSON array or NDJSON)
+ * - Batch decryption of the configured encrypted fields
  * - Result display and export
  *
+ * Files ending in `.ndjson` / `.jsonl`, and `.json` files that start
+ * with a document rather than `[` (`mongoexport` output), are read as one
+ * document per line; anything else must contain a top-level JSON array.
+ * Documents may use MongoDB Extended JSON (see `ejson.js`).
+ *
  * @async
  * @function handleJsonImportFlow
  * @param {Object} encdec - Initialized encryption/decryption utility
  * @param {string} jsonPath - Path to JSON file containing encrypted data
- * @returns {Promise<void>}
+ * @param {Object} [options] - See `runImport` in `pipeline.js`
+ * @param {boolean} [options.interactive=true] - Show the results table and prompt for export
+ * @param {string} [options.format] - Export format for non-interactive runs
+ * @param {string} [options.output] - Export path for non-interactive runs
+ * @param {import("./fields.js").FieldSpec[]} [options.fields] - Encrypted fields (default: from config)
+ * @param {boolean} [options.sampleCheck=true] - Check a sample for a wrong key first
+ * @param {() => Promise<Object>} [options.reenterCredentials] - Asks for new credentials when the sample looks wrong
+ * @returns {Promise<import("./result.js").Summary|undefined>}
+ *   Summary counts, or undefined if the file could not be processed
  *
  * @example
  * const encdec = new EncDec(key, iv);
  * await handleJsonImportFlow(encdec, './data.json');
  */
-export async function handleJsonImportFlow(encdec, jsonPath) {
+export async function handleJsonImportFlow(encdec, jsonPath, options = {}) {
   try {
     // Resolve and validate file path
     const absPath = path.resolve(jsonPath);
@@ -31,72 +45,25 @@ export async function handleJsonImportFlow(encdec, jsonPath) {
       console.log(chalk.red(`❌ File not found: ${absPath}`));
       return;
     }
-    // Read and parse JSON file
-    const raw = fs.readFileSync(absPath, "utf8");
-
-    let data;
-    try {
-      data = JSON.parse(raw);
-    } catch (err) {
-      console.log(
-        chalk.red(
-          "❌ Invalid JSON format. Make sure your file contains a valid JSON array."
-        )
-      );
-      return;
-    }
-    // Validate JSON structure
-    if (!Array.isArray(data)) {
-      console.log(chalk.red("❌ JSON root must be an array of records."));
-      return;
-    }
-
-    // Initialize decryption process
-    const spinner = createSpinner("🔍 Decrypting social security numbers...").start();
-    const results = [];
-    let success = 0;
-    let failed = 0;
-    // Process each record
-    for (const record of data) {
-      const id = formatId(record._id);
-      const encSSN = record.socialSecurityNumber;
-      let decrypted = chalk.red("❌ Invalid or missing");
-      // Only attempt decryption if we have valid encrypted data
-      if (typeof encSSN === "string" && encSSN.length > 0) {
-        try {
-          decrypted = encdec.decryptPayload(encSSN);
-          success++;
-        } catch {
-          decrypted = chalk.red("❌ Decryption failed");
-          failed++;
-        }
-      } else {
-        failed++;
-      }
-
-      results.push({ _id: id, SSN: decrypted });
-    }
+    // Records are parsed lazily while decrypting
+    const input = createInputPosition(absPath);
+    const records =
+      recordFormatOf(absPath) === "ndjson"
+        ? readNdjson(absPath, input)
+        : readJsonArray(absPath, input);
 
-    spinner.succeed("✅ Decryption completed");
-    // Handle empty results
-    if (results.length === 0) {
-      console.log(chalk.yellow("\n⚠️ No records found in file.\n"));
+    return await runImport(encdec, records, {
+      ...options,
+      source: absPath,
+      input,
+      idOf: (record) => formatId(record?._id),
+    });
+  } catch (err) {
+    // Malformed JSON or a non-array root
+    if (err instanceof ImportFormatError) {
+      console.log(chalk.red(`❌ ${err.message}`));
       return;
     }
-
-    // Show table
-    console.log(chalk.cyan.bold("\n📋 Decryption Results:\n"));
-    console.table(results);
-
-    // Show stats
-    console.log(chalk.yellow("\n📊 Summary:"));
-    console.log(`🧾 Total Records: ${results.length}`);
-    console.log(chalk.green(`✅ Successfully Decrypted: ${success}`));
-    console.log(chalk.red(`❌ Failed: ${failed}`));
-
-    // Offer export
-    await exportResultsToFile(results);
-  } catch (err) {
     handleUnexpectedError(err);
   }
 }
@@ -104,20 +71,19 @@ export async function handleJsonImportFlow(encdec, jsonPath) {
  * Formats record IDs consistently for display.
  * Handles various ID formats including:
  * - Missing IDs
- * - MongoDB ObjectId format ({ $oid: '...' })
- * - Plain string IDs
+ * - MongoDB Extended JSON ({ $oid: '...' }, { $numberLong: '...' },
+ *   { $uuid: '...' }, { $date: ... }, ...; see `extendedToString`)
+ * - Plain string and number IDs
  * 
  * @function formatId
- * @param {Object|string} id - The record identifier to format
- * @returns {string} Formatted ID string
+ * @param {Object|string|number} id - The record identifier to format
+ * @returns {string|null} Formatted ID string, or null if missing/invalid
  * 
  * @example
  * formatId({ $oid: '507f1f77bcf86cd799439011' }) // Returns the OID string
  * formatId('some-id') // Returns the string as-is
  */
 function formatId(id) {
-  if (!id) return chalk.gray("N/A");
-  if (typeof id === "object" && id.$oid) return id.$oid;
-  if (typeof id === "string") return id;
-  return chalk.gray("Invalid _id");
+  if (id === undefined || id === null || id === "") return null;
+  return extendedToString(id);
 }
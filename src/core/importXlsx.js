@@ -0,0 +1,89 @@
+// src/core/importXlsx.js
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+
+import { ImportFormatError, handleUnexpectedError } from "./error.js";
+import {
+  idColumnOf,
+  listXlsxSheets,
+  mapFieldColumns,
+  openXlsxSheet,
+} from "./xlsx.js";
+import { resolveFieldSpecs } from "./config.js";
+import { createInputPosition, runImport } from "./pipeline.js";
+
+/**
+ * Handles the complete Excel (XLSX) import and decryption workflow including:
+ * - Sheet selection and header row detection
+ * - Matching column names to the configured encrypted fields
+ * - Streaming decryption through the same pipeline as CSV imports
+ *
+ * @async
+ * @function handleXlsxImportFlow
+ * @param {Object} encdec - Initialized encryption/decryption utility instance
+ * @param {string} xlsxPath - Path to the `.xlsx` workbook
+ * @param {Object} [options] - See `runImport` in `pipeline.js`
+ * @param {string|number} [options.sheet] - Sheet name or 1-based position
+ *   (default: chosen with `chooseSheet`, else the first visible sheet)
+ * @param {(sheets: string[]) => Promise<string>} [options.chooseSheet] -
+ *   Asks which sheet to read when the workbook has several
+ * @param {number} [options.headerRow] - Row number of the header row
+ *   (default: detected, see `xlsx.js`)
+ * @param {import("./fields.js").FieldSpec[]} [options.fields] - Encrypted fields (default: from config)
+ * @returns {Promise<import("./result.js").Summary|undefined>}
+ *   Summary counts, or undefined if the workbook could not be processed
+ *
+ * @example
+ * await handleXlsxImportFlow(encdec, './patients.xlsx', { sheet: "Export" });
+ */
+export async function handleXlsxImportFlow(encdec, xlsxPath, options = {}) {
+  try {
+    const { chooseSheet, headerRow, ...importOptions } = options;
+    const absPath = path.resolve(xlsxPath);
+    if (!fs.existsSync(absPath)) {
+      console.log(chalk.red(`❌ File not found: ${absPath}`));
+      return;
+    }
+    let { sheet } = importOptions;
+    if (sheet === undefined && chooseSheet) {
+      const sheets = listXlsxSheets(absPath);
+      if (sheets.length > 1) sheet = await chooseSheet(sheets);
+    }
+
+    const input = createInputPosition(absPath);
+    const configured = options.fields ?? resolveFieldSpecs();
+    const opened = await openXlsxSheet(absPath, {
+      sheet,
+      headerRow,
+      fields: configured,
+      onRead: input.onRead,
+    });
+    // Columns may name fields loosely, e.g. "SSN" for a field labelled SSN
+    const { fields, mapped } = mapFieldColumns(configured, opened.headers);
+    console.log(
+      chalk.gray(
+        `📑 Sheet "${opened.name}", header row ${opened.headerRow ?? "none"}`
+      )
+    );
+    for (const { path: fieldPath, column } of mapped) {
+      console.log(chalk.gray(`   ${fieldPath} ← column "${column}"`));
+    }
+
+    const idColumn = idColumnOf(opened.headers);
+    return await runImport(encdec, opened.records, {
+      ...importOptions,
+      fields,
+      source: absPath,
+      input,
+      idOf: (row) => (idColumn && String(row[idColumn])) || null,
+    });
+  } catch (err) {
+    // Not a workbook, unknown sheet or empty header row
+    if (err instanceof ImportFormatError) {
+      console.log(chalk.red(`❌ ${err.message}`));
+      return;
+    }
+    handleUnexpectedError(err);
+  }
+}
@@ -0,0 +1,205 @@
+// src/core/keyring.js
+import fs from "fs";
+import path from "path";
+import { EncDec } from "../utils/EncDec.js";
+import { validateIV, validateKey } from "./validate.js";
+import { DecryptionError, FailureReason } from "./error.js";
+
+/**
+ * Keyrings hold several named key/IV pairs, e.g. the current key plus
+ * keys that were in use before a rotation. Decryption tries each key in
+ * order and keeps the first plaintext that looks like real data.
+ *
+ * Keyring file format (JSON):
+ *
+ * ```json
+ * {
+ *   "keys": [
+ *     { "id": "2024", "key": "<64 hex chars>", "iv": "<32 hex chars>" },
+ *     { "id": "2019", "key": "<64 hex chars>", "iv": "<32 hex chars>" }
+ *   ]
+ * }
+ * ```
+ *
+ * A bare array of entries is accepted as well.
+ */
+
+/**
+ * @typedef {Object} KeyringEntry
+ * @property {string} id - Key identifier reported in results
+ * @property {Object} encdec - Encryption/decryption utility for this key
+ */
+
+/**
+ * Whether a decrypted string looks like genuine plaintext.
+ * AES-CBC with the wrong key usually fails outright, but occasionally
+ * yields "valid" bytes; those almost always contain replacement or
+ * control characters, which real field values never do.
+ *
+ * @function isPlausiblePlaintext
+ * @param {string} text - Decrypted value
+ * @returns {boolean}
+ *
+ * @example
+ * isPlausiblePlaintext("123-45-6789") // true
+ * isPlausiblePlaintext("\u0007\uFFFD") // false
+ */
+export function isPlausiblePlaintext(text) {
+  return (
+    typeof text === "string" &&
+    text.length > 0 &&
+    !/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\uFFFD]/.test(text)
+  );
+}
+
+/**
+ * Several key/IV pairs used as one. Exposes the same `encryptPayload` /
+ * `decryptPayload` / `decryptDetailed` methods as {@link EncDec}, so it can be passed to
+ * every flow in place of a single key.
+ */
+export class Keyring {
+  /**
+   * @param {KeyringEntry[]} entries - Keys in the order they are tried;
+   *   the first one is used for encryption
+   * @param {Object} [options]
+   * @param {(text: string) => boolean} [options.isPlausible=isPlausiblePlaintext]
+   *   Plaintext check deciding whether a key "fits"
+   * @throws {Error} If the keyring is empty or ids repeat
+   */
+  constructor(entries, options = {}) {
+    if (!entries.length)
+      throw new Error("Keyring must contain at least one key");
+    const ids = new Set();
+    for (const { id } of entries) {
+      if (ids.has(id)) throw new Error(`Duplicate key id in keyring: ${id}`);
+      ids.add(id);
+    }
+
+    /** @type {KeyringEntry[]} */ this.entries = entries;
+    /** @private */ this.isPlausible =
+      options.isPlausible ?? isPlausiblePlaintext;
+  }
+
+  /**
+   * Ids of all keys, in the order they are tried.
+   * @type {string[]}
+   */
+  get ids() {
+    return this.entries.map((entry) => entry.id);
+  }
+
+  /**
+   * Encrypts with the first (current) key.
+   * @param   {string} plaintext UTF-8 string
+   * @returns {string} Ciphertext (hex)
+   */
+  encryptPayload(plaintext) {
+    return this.entries[0].encdec.encryptPayload(plaintext);
+  }
+
+  /**
+   * Decrypts with whichever key yields a plausible plaintext.
+   * @param   {string} payload Ciphertext
+   * @returns {string} Decrypted UTF-8 string
+   * @throws  {Error}  If no key fits
+   */
+  decryptPayload(payload) {
+    return this.decryptDetailed(payload).plaintext;
+  }
+
+  /**
+   * Decrypts with whichever key yields a plausible plaintext and reports
+   * which key that was, plus the ciphertext encoding.
+   *
+   * @param   {string} payload Ciphertext
+   * @param   {string} [encoding] Encoding overriding each key's own
+   *          (see `EncDec#decryptDetailed`)
+   * @returns {{plaintext: string, format: string, keyId: string}}
+   * @throws  {DecryptionError} If no key fits (`no-key-fit`). When
+   *   every key rejects the value for the same reason (e.g. it is not
+   *   valid ciphertext at all), that reason is reported instead.
+   */
+  decryptDetailed(payload, encoding) {
+    // First error seen per distinct message
+    const reasons = new Map();
+    let format = null;
+    for (const { id, encdec } of this.entries) {
+      try {
+        const result = encdec.decryptDetailed(payload, encoding);
+        if (this.isPlausible(result.plaintext)) return { ...result, keyId: id };
+        format = result.format;
+        reasons.set(IMPLAUSIBLE, null);
+      } catch (err) {
+        format = err.format ?? format;
+        if (!reasons.has(err.message)) reasons.set(err.message, err);
+      }
+    }
+    const [only] = reasons.values();
+    if (reasons.size === 1 && only) throw only;
+    throw new DecryptionError(
+      `No key in the keyring produced plausible plaintext (tried: ${this.ids.join(", ")})`,
+      FailureReason.NO_KEY_FIT,
+      format
+    );
+  }
+}
+
+/**
+ * Internal marker for a key that decrypted to implausible plaintext.
+ * @type {string}
+ */
+const IMPLAUSIBLE = "implausible plaintext";
+
+/**
+ * Loads a keyring file (see the format at the top of this module).
+ * Entries without an id are named `key-1`, `key-2`, … by position.
+ * An entry may carry its own `suite` (cipher suite, e.g. `aes-128-cbc`) and
+ * `passphrase` for OpenSSL `Salted__` payloads.
+ *
+ * @function loadKeyring
+ * @param {string} filePath - Path to the keyring JSON file
+ * @param {Object} [options] - EncDec options (`suite`, `encoding`,
+ *   `passphrase`) used for entries that do not set their own
+ * @returns {Keyring}
+ * @throws {Error} If the file is missing, malformed or holds invalid keys
+ *
+ * @example
+ * const keyring = loadKeyring("./keys.json");
+ * keyring.decryptDetailed("7d22...") // { plaintext: "123-45-6789", format: "hex", keyId: "2019" }
+ */
+export function loadKeyring(filePath, options = {}) {
+  const absPath = path.resolve(filePath);
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(absPath, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read keyring ${absPath}: ${err.message}`);
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.keys;
+  if (!Array.isArray(list)) {
+    throw new Error(
+      `Keyring ${absPath} must be an array of keys or an object with a "keys" array`
+    );
+  }
+
+  const entries = list.map((entry, i) => {
+    if (entry === null || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new Error(`Keyring entry ${i + 1} must be an object`);
+    }
+    const id = String(entry.id ?? `key-${i + 1}`);
+    const key = String(entry.key ?? "");
+    const iv = String(entry.iv ?? "");
+    const suite = entry.suite ?? options.suite;
+    for (const check of [validateKey(key, suite), validateIV(iv)]) {
+      if (check !== true) throw new Error(`Keyring entry "${id}": ${check}`);
+    }
+    const encdec = new EncDec(key.trim(), iv.trim(), {
+      ...options,
+      suite,
+      passphrase: entry.passphrase ?? options.passphrase,
+    });
+    return { id, encdec };
+  });
+  return new Keyring(entries);
+}
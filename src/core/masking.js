@@ -0,0 +1,153 @@
+// src/core/masking.js
+import { findFieldSpec } from "./fields.js";
+
+/**
+ * Masking of decrypted values. Each field has two policies: one for the
+ * terminal (`display`) and one for exported files (`export`). Tables are
+ * masked by default; full values are only shown through an explicit
+ * reveal, which is recorded in the audit log (see `audit.js`).
+ *
+ * Policies:
+ *  • none  – full value
+ *  • last4 – letters and digits replaced by `*` except the last four
+ *            (`123-45-6789` → `***-**-6789`); separators are kept
+ *  • all   – every letter and digit replaced by `*`
+ */
+
+/**
+ * Accepted masking policies.
+ * @type {string[]}
+ */
+export const MASK_POLICIES = ["none", "last4", "all"];
+
+/**
+ * @typedef {Object} MaskSettings
+ * @property {string} display - Policy for on-screen tables
+ * @property {string} export - Policy for exported files
+ */
+
+/**
+ * Policies used when neither the field nor `mask` in `app-config.json`
+ * sets one: masked on screen, full in exports.
+ * @type {Readonly<MaskSettings>}
+ */
+export const DEFAULT_MASKING = Object.freeze({
+  display: "last4",
+  export: "none",
+});
+
+/**
+ * Validates a `mask` declaration and fills in missing policies.
+ *
+ * @function parseMasking
+ * @param {{display?: string, export?: string}|undefined} mask - Declaration from config
+ * @param {MaskSettings} [defaults=DEFAULT_MASKING] - Policies to fall back to
+ * @returns {MaskSettings}
+ * @throws {Error} If the declaration is not an object or names an unknown policy
+ *
+ * @example
+ * parseMasking({ export: "last4" }) // { display: "last4", export: "last4" }
+ */
+export function parseMasking(mask, defaults = DEFAULT_MASKING) {
+  if (mask === undefined) return { ...defaults };
+  if (mask === null || typeof mask !== "object" || Array.isArray(mask)) {
+    throw new Error(
+      `Mask must be an object like { "display": "last4", "export": "none" }: ${JSON.stringify(mask)}`
+    );
+  }
+  const settings = { ...defaults };
+  for (const target of ["display", "export"]) {
+    if (mask[target] === undefined) continue;
+    if (!MASK_POLICIES.includes(mask[target])) {
+      throw new Error(
+        `Unknown ${target} mask "${mask[target]}" (expected ${MASK_POLICIES.join(", ")})`
+      );
+    }
+    settings[target] = mask[target];
+  }
+  return settings;
+}
+
+/**
+ * Masks a single value according to a policy.
+ * With `last4`, values of four characters or fewer are masked entirely,
+ * since keeping four would show them in full.
+ *
+ * @function maskValue
+ * @param {string|null} text - Decrypted value
+ * @param {string} policy - One of {@link MASK_POLICIES}
+ * @returns {string|null} Masked value (non-strings are returned as-is)
+ *
+ * @example
+ * maskValue("123-45-6789", "last4") // "***-**-6789"
+ * maskValue("123-45-6789", "all")   // "***-**-****"
+ */
+export function maskValue(text, policy) {
+  if (typeof text !== "string" || policy === "none") return text;
+  const total = (text.match(/[\p{L}\p{N}]/gu) ?? []).length;
+  const keep = policy === "last4" && total > 4 ? 4 : 0;
+  let seen = 0;
+  return text.replace(/[\p{L}\p{N}]/gu, (char) =>
+    ++seen > total - keep ? char : "*"
+  );
+}
+
+/**
+ * Returns a copy of a result row with its plaintext masked for `target`.
+ * Record results are masked per field using the policy of the matching
+ * field spec; manual rows (`Decrypted` column) use the default policies.
+ *
+ * @function maskResult
+ * @param {Object} result - Result row (left untouched)
+ * @param {"display"|"export"} target - Where the row is going
+ * @param {Object} [options]
+ * @param {import("./fields.js").FieldSpec[]} [options.fields=[]] - Field specs of the run
+ * @param {MaskSettings} [options.defaults=DEFAULT_MASKING] - Policies for
+ *   manual rows and fields without a spec
+ * @returns {Object}
+ *
+ * @example
+ * maskResult({ fields: { SSN: { plaintext: "123-45-6789" } } }, "display", { fields: specs });
+ * // { fields: { SSN: { plaintext: "***-**-6789" } } }
+ */
+export function maskResult(result, target, options = {}) {
+  const { fields = [], defaults = DEFAULT_MASKING } = options;
+  if (result.fields) {
+    const masked = {};
+    for (const [key, outcome] of Object.entries(result.fields)) {
+      const policy =
+        findFieldSpec(key, fields)?.mask?.[target] ?? defaults[target];
+      masked[key] =
+        policy === "none" || outcome.plaintext == null
+          ? outcome
+          : { ...outcome, plaintext: maskValue(outcome.plaintext, policy) };
+    }
+    return { ...result, fields: masked };
+  }
+  if (typeof result.Decrypted === "string" && defaults[target] !== "none") {
+    return {
+      ...result,
+      Decrypted: maskValue(result.Decrypted, defaults[target]),
+    };
+  }
+  return result;
+}
+
+/**
+ * Whether showing `results` with the `display` policies hides anything,
+ * i.e. whether a reveal would show more.
+ *
+ * @function hasMaskedValues
+ * @param {Array<Object>} results - Result rows
+ * @param {Object} [options] - Same as {@link maskResult}
+ * @returns {boolean}
+ */
+export function hasMaskedValues(results, options = {}) {
+  return results.some((result) => {
+    const masked = maskResult(result, "display", options);
+    if (!result.fields) return masked.Decrypted !== result.Decrypted;
+    return Object.entries(result.fields).some(
+      ([key, outcome]) => masked.fields[key].plaintext !== outcome.plaintext
+    );
+  });
+}
@@ -0,0 +1,297 @@
+// src/core/parallel.js
+import os from "os";
+import { fileURLToPath } from "url";
+import { Worker, isMainThread, parentPort, workerData } from "worker_threads";
+import { EncDec } from "../utils/EncDec.js";
+import { Keyring, isPlausiblePlaintext } from "./keyring.js";
+import { decryptRecord } from "./result.js";
+
+/**
+ * Parallel record decryption on `worker_threads`.
+ *
+ * Records are read in batches of {@link BATCH_SIZE} and handed to a pool
+ * of workers; results are put back into input order before they are
+ * yielded, so exports look exactly like a single-threaded run. Inputs
+ * that fit in one batch are decrypted on the main thread, since starting
+ * workers would cost more than it saves.
+ *
+ * Credentials reach the workers only through `workerData`, as raw key
+ * bytes transferred (not copied) to each worker and zeroed there once
+ * the decryptor is rebuilt; they never appear in a worker's argv,
+ * environment or on disk.
+ *
+ * Workers run this module's own file, which in the esbuild bundle is the
+ * whole CLI; `index.js` therefore only starts the CLI on the main thread.
+ */
+
+/** Records sent to a worker per message. */
+export const BATCH_SIZE = 256;
+
+/** Marks threads started by this module (see the bottom of the file). */
+const WORKER_ROLE = "truehear-decrypt";
+
+/**
+ * Default number of decryption threads: one per available CPU.
+ *
+ * @function defaultWorkerCount
+ * @returns {number}
+ */
+export function defaultWorkerCount() {
+  // os.availableParallelism is missing before Node 18.14
+  return typeof os.availableParallelism === "function"
+    ? os.availableParallelism()
+    : Math.max(os.cpus().length, 1);
+}
+
+/**
+ * Whether a decryptor can be rebuilt in a worker: an {@link EncDec}, or a
+ * {@link Keyring} of them using the default plausibility check.
+ *
+ * @function canShareDecryptor
+ * @param {Object} encdec - Decryption utility
+ * @returns {boolean}
+ */
+export function canShareDecryptor(encdec) {
+  if (encdec instanceof EncDec) return true;
+  return (
+    encdec instanceof Keyring &&
+    encdec.isPlausible === isPlausiblePlaintext &&
+    encdec.entries.every((entry) => entry.encdec instanceof EncDec)
+  );
+}
+
+/**
+ * Describes a decryptor so a worker can rebuild it: the key material of
+ * an {@link EncDec}, or of every key of a {@link Keyring}. Each call
+ * returns fresh buffers, meant to be transferred to exactly one worker.
+ *
+ * @function shareDecryptor
+ * @param {EncDec|Keyring} encdec - Decryptor accepted by {@link canShareDecryptor}
+ * @returns {{keyring: boolean, keys: Array<Object>}}
+ */
+function shareDecryptor(encdec) {
+  if (encdec instanceof EncDec) {
+    return { keyring: false, keys: [encdec.exportCredentials()] };
+  }
+  return {
+    keyring: true,
+    keys: encdec.entries.map(({ id, encdec: entry }) => ({
+      id,
+      ...entry.exportCredentials(),
+    })),
+  };
+}
+
+/**
+ * Decrypts records on a pool of worker threads and yields each result
+ * (`{ _id, status, fields }`) in input order.
+ *
+ * @async
+ * @generator
+ * @function decryptInParallel
+ * @param {Object} encdec - Initialized encryption/decryption utility instance
+ * @param {AsyncIterable<Object>|Iterable<Object>} records - Source records
+ * @param {Object} options
+ * @param {import("./fields.js").FieldSpec[]} options.fields - Encrypted fields
+ * @param {(record: Object) => (string|null)} options.idOf - Extracts the display id
+ * @param {number} [options.workers] - Thread count (default: {@link defaultWorkerCount});
+ *   1 decrypts on the main thread
+ * @param {boolean} [options.withRecords=false] - Also give each result its
+ *   source record, as `record` (for write-back, see `writeback.js`)
+ * @yields {Object} Record results
+ * @throws {Error} If a worker fails
+ *
+ * @example
+ * for await (const result of decryptInParallel(encdec, records, { fields, idOf, workers: 4 })) {
+ *   await writer.write(result);
+ * }
+ */
+export async function* decryptInParallel(encdec, records, options) {
+  const {
+    fields,
+    idOf,
+    workers = defaultWorkerCount(),
+    withRecords = false,
+  } = options;
+  const source = (async function* () {
+    yield* records;
+  })();
+  const nextBatch = async () => {
+    const batch = [];
+    while (batch.length < BATCH_SIZE) {
+      const { value, done } = await source.next();
+      if (done) break;
+      batch.push(value);
+    }
+    return batch;
+  };
+  const decryptHere = (record) => ({
+    _id: idOf(record),
+    ...decryptRecord(encdec, record, fields),
+    ...(withRecords && { record }),
+  });
+
+  let batch = await nextBatch();
+  const worthIt = workers > 1 && batch.length === BATCH_SIZE;
+  if (!worthIt || !canShareDecryptor(encdec)) {
+    for (const record of batch) yield decryptHere(record);
+    for await (const record of source) yield decryptHere(record);
+    return;
+  }
+
+  const pool = startPool(workers, encdec, fields);
+  // Batches in flight, by sequence number; emitted strictly in order
+  const pending = new Map();
+  let sent = 0;
+  let emitted = 0;
+  const dispatch = (records) => {
+    const ids = records.map(idOf);
+    const results = pool.run(records).then((outcomes) =>
+      outcomes.map((outcome, i) => ({
+        _id: ids[i],
+        ...outcome,
+        ...(withRecords && { record: records[i] }),
+      }))
+    );
+    // Rejections are handled when the batch's turn comes
+    results.catch(() => {});
+    pending.set(sent++, results);
+  };
+
+  try {
+    let exhausted = false;
+    dispatch(batch);
+    while (pending.size > 0) {
+      // Keep every worker busy with one batch queued behind it
+      while (!exhausted && pending.size < workers * 2) {
+        batch = await nextBatch();
+        if (batch.length > 0) dispatch(batch);
+        exhausted = batch.length < BATCH_SIZE;
+      }
+      const results = await pending.get(emitted);
+      pending.delete(emitted++);
+      yield* results;
+    }
+  } finally {
+    await pool.close();
+  }
+}
+
+/**
+ * Starts `size` workers, each with its own copy of the credentials.
+ *
+ * @function startPool
+ * @param {number} size - Thread count
+ * @param {Object} encdec - Decryptor to rebuild in each worker
+ * @param {import("./fields.js").FieldSpec[]} fields - Encrypted fields
+ * @returns {{run: (records: Object[]) => Promise<Object[]>, close: () => Promise<void>}}
+ */
+function startPool(size, encdec, fields) {
+  const idle = [];
+  const queue = [];
+  const jobs = new Map();
+  let failure = null;
+  let closing = false;
+
+  const fail = (err) => {
+    if (failure || closing) return;
+    failure = new Error(
+      `Decryption worker failed: ${err.message} (pass --workers 1 to decrypt on the main thread)`
+    );
+    for (const job of [...jobs.values(), ...queue]) job.reject(failure);
+    jobs.clear();
+    queue.length = 0;
+  };
+  const assign = (worker) => {
+    const job = queue.shift();
+    if (!job) {
+      idle.push(worker);
+      return;
+    }
+    jobs.set(worker, job);
+    worker.postMessage(job.records);
+  };
+
+  const workers = Array.from({ length: size }, () => {
+    const credentials = shareDecryptor(encdec);
+    const worker = new Worker(WORKER_FILE, {
+      workerData: { role: WORKER_ROLE, credentials, fields },
+      transferList: credentials.keys.flatMap(({ key, iv }) => [
+        key.buffer,
+        iv.buffer,
+      ]),
+      argv: [],
+    });
+    worker.on("message", (outcomes) => {
+      const job = jobs.get(worker);
+      jobs.delete(worker);
+      job?.resolve(outcomes);
+      assign(worker);
+    });
+    worker.on("error", fail);
+    worker.on("exit", (code) => {
+      if (code !== 0) fail(new Error(`exited with code ${code}`));
+    });
+    idle.push(worker);
+    return worker;
+  });
+
+  return {
+    run(records) {
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        queue.push({ records, resolve, reject });
+        if (idle.length) assign(idle.shift());
+      });
+    },
+    async close() {
+      closing = true;
+      await Promise.all(workers.map((worker) => worker.terminate()));
+    },
+  };
+}
+
+/**
+ * Rebuilds a decryptor from {@link shareDecryptor} output and zeroes
+ * the received key bytes.
+ *
+ * @function rebuildDecryptor
+ * @param {{keyring: boolean, keys: Array<Object>}} credentials - Shared description
+ * @returns {EncDec|Keyring}
+ */
+function rebuildDecryptor({ keyring, keys }) {
+  const entries = keys.map(({ id, key, iv, ...options }) => {
+    const hex = (bytes) => Buffer.from(bytes).toString("hex");
+    const encdec = new EncDec(hex(key), hex(iv), options);
+    key.fill(0);
+    iv.fill(0);
+    return { id, encdec };
+  });
+  return keyring ? new Keyring(entries) : entries[0].encdec;
+}
+
+/**
+ * Worker side: decrypts each batch of records posted by the pool and
+ * posts the results back in the same order.
+ *
+ * @function serveDecryption
+ * @returns {void}
+ */
+function serveDecryption() {
+  const { credentials, fields } = workerData;
+  const encdec = rebuildDecryptor(credentials);
+  parentPort.on("message", (records) => {
+    parentPort.postMessage(
+      records.map((record) => decryptRecord(encdec, record, fields))
+    );
+  });
+}
+
+/**
+ * File workers are started from: this module, or the bundle it was
+ * built into.
+ * @type {string}
+ */
+const WORKER_FILE = fileURLToPath(import.meta.url);
+
+if (!isMainThread && workerData?.role === WORKER_ROLE) serveDecryption();
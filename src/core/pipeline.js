@@ -0,0 +1,647 @@
+// src/core/pipeline.js
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import { defaultExportPath, exportResultsToFile } from "../cli/exporter.js";
+import {
+  printResultsTable,
+  printSampleWarning,
+  printSummary,
+} from "../cli/display.js";
+import {
+  confirmResume,
+  confirmReveal,
+  promptWrongKeyAction,
+} from "../cli/prompt.js";
+import { createProgress } from "../utils/progress.js";
+import { addToSummary, createSummary } from "./result.js";
+import {
+  TABLE_FORMATS,
+  collectColumns,
+  createResultWriter,
+} from "./writers.js";
+import { openRecordSource, recordFormatOf } from "./sources.js";
+import {
+  resolveFieldSpecs,
+  resolveMaskDefaults,
+  resolveSetting,
+} from "./config.js";
+import { hasMaskedValues, maskResult } from "./masking.js";
+import { AuditEvent, auditEvent, hashFile } from "./audit.js";
+import { checkSample, describeSample, takeSample } from "./sampling.js";
+import { sealedPathFor } from "./sealed.js";
+import { createSpool } from "./spool.js";
+import { decryptInParallel, defaultWorkerCount } from "./parallel.js";
+import {
+  checkpointMismatch,
+  discardCheckpoint,
+  findCheckpoint,
+  openJournal,
+  verifyCheckpointKey,
+} from "./checkpoint.js";
+import { writeBackProblem, writeBackRecord } from "./writeback.js";
+
+/**
+ * Results shown in the interactive table; the rest are only exported.
+ * @type {number}
+ */
+const TABLE_ROWS = 100;
+
+/**
+ * Decrypts a stream of records, handing each result to `onResult` in
+ * input order as soon as it is ready. Large inputs are spread over
+ * worker threads (see `parallel.js`).
+ *
+ * @async
+ * @function decryptRecordStream
+ * @param {Object} encdec - Initialized encryption/decryption utility instance
+ * @param {AsyncIterable<Object>|Iterable<Object>} records - Source records
+ * @param {Object} options
+ * @param {import("./fields.js").FieldSpec[]} options.fields - Encrypted fields
+ * @param {(record: Object) => (string|null)} options.idOf - Extracts the display id
+ * @param {(result: Object) => (void|Promise<void>)} options.onResult - Result consumer
+ * @param {number} [options.workers] - Decryption threads (default: one per CPU)
+ * @param {Object} [options.progress] - Reporter from `createProgress`, given
+ *   the running counts; stopped if decryption fails
+ * @param {import("./result.js").Summary} [options.summary] - Counts to
+ *   continue from (a resumed run); updated in place
+ * @param {boolean} [options.withRecords=false] - Give each result its
+ *   source record, as `record`
+ * @returns {Promise<import("./result.js").Summary>}
+ */
+export async function decryptRecordStream(encdec, records, options) {
+  const { fields, idOf, onResult, workers, progress, withRecords } = options;
+  const summary = options.summary ?? createSummary();
+  const results = decryptInParallel(encdec, records, {
+    fields,
+    idOf,
+    workers,
+    withRecords,
+  });
+  try {
+    for await (const result of results) {
+      addToSummary(summary, result);
+      progress?.update({
+        processed: summary.total,
+        success: summary.success,
+        failed: summary.failed,
+      });
+      await onResult(result);
+    }
+  } catch (err) {
+    progress?.stop();
+    throw err;
+  }
+  return summary;
+}
+
+/**
+ * Shared import workflow behind the JSON and CSV flows.
+ *
+ * Interactive runs show the first {@link TABLE_ROWS} results in a table
+ * and offer an export afterwards, written from the checkpoint journal
+ * or, without one, a temporary spool (see `spool.js`).
+ * Non-interactive runs stream each result into the output file. Either
+ * way memory stays flat regardless of input size.
+ *
+ * Before the full pass the first records are decrypted as a sample (see
+ * `sampling.js`). If most sampled values fail or do not look like the
+ * configured fields, interactive runs offer to re-enter the key or abort;
+ * batch runs stop without writing anything.
+ *
+ * Batch runs can write the input records back with their decrypted
+ * values instead of result rows (`writeBack`, see `writeback.js`).
+ *
+ * Imports of a file are checkpointed: results go to an encrypted journal
+ * that becomes the export once every record is done, and an interrupted
+ * run can be resumed (see `checkpoint.js`).
+ *
+ * Progress (counts, rate and ETA) is reported while decrypting; with an
+ * `input` position the total is estimated from how far the file has been
+ * read (see {@link createInputPosition}).
+ *
+ * The table is masked (see `masking.js`) unless the user explicitly
+ * reveals it; exports use each field's `export` masking policy.
+ * The source file (with its hash), record counts and exports are
+ * recorded in the audit log (see `audit.js`).
+ *
+ * @async
+ * @function runImport
+ * @param {Object} encdec - Initialized encryption/decryption utility instance
+ * @param {AsyncIterable<Object>} records - Source records (see `sources.js`)
+ * @param {Object} options
+ * @param {(record: Object) => (string|null)} options.idOf - Extracts the display id
+ * @param {boolean} [options.interactive=true] - Show table and prompt for export
+ * @param {string} [options.format] - Export format for non-interactive runs
+ * @param {string} [options.output] - Export path for non-interactive runs
+ * @param {import("./fields.js").FieldSpec[]} [options.fields] - Encrypted fields (default: from config)
+ * @param {boolean} [options.sampleCheck=true] - Check a sample for a wrong key first
+ * @param {() => Promise<Object>} [options.reenterCredentials] - Asks for new
+ *   credentials and returns the utility to use instead (interactive runs)
+ * @param {string} [options.source] - Input file, recorded in the audit log
+ * @param {InputPosition} [options.input] - Read position in `source`, for
+ *   estimating the record count
+ * @param {string} [options.password] - Seal the non-interactive export with
+ *   this password (see `sealed.js`)
+ * @param {string} [options.kdf] - KDF for sealing
+ * @param {number} [options.workers] - Decryption threads (default: the
+ *   `workers` setting, else one per CPU; see `parallel.js`)
+ * @param {boolean} [options.checkpoint=true] - Checkpoint the import so
+ *   it can be resumed (see `checkpoint.js`)
+ * @param {boolean} [options.resume] - Continue an earlier run's
+ *   checkpoint; when unset, terminals are asked and other runs resume
+ * @param {string} [options.writeBack] - Export the input records with
+ *   their plaintext (`replace` or `alongside`) instead of result rows;
+ *   non-interactive runs only. Defaults the output to
+ *   `<name>.decrypted.<ext>` next to `source` when the format matches it
+ * @param {string} [options.ejson] - Write the JSON/NDJSON export as
+ *   `canonical` or `relaxed` Extended JSON (see `ejson.js`)
+ * @param {boolean} [options.escapeFormulas=false] - Neutralize formula
+ *   cells in a CSV written back too (other exports always are)
+ * @returns {Promise<import("./result.js").Summary|undefined>}
+ *   Summary counts, or undefined if there was nothing to decrypt or the
+ *   run was stopped by the sample check
+ */
+export async function runImport(encdec, records, options) {
+  const {
+    idOf,
+    interactive = true,
+    format,
+    output,
+    fields = resolveFieldSpecs(),
+    sampleCheck = true,
+    reenterCredentials,
+    source,
+    input,
+    password,
+    kdf,
+    workers = resolveSetting("workers") ?? defaultWorkerCount(),
+    checkpoint = true,
+    resume,
+    writeBack,
+    ejson,
+    escapeFormulas = false,
+  } = options;
+  const masking = { fields, defaults: resolveMaskDefaults() };
+  if (!interactive && writeBack) {
+    const problem =
+      TABLE_FORMATS.includes(format) &&
+      source &&
+      !TABLE_FORMATS.includes(recordFormatOf(source))
+        ? `${format.toUpperCase()} cannot hold JSON documents; export as json or ndjson`
+        : writeBackProblem(fields, writeBack);
+    if (problem) {
+      console.log(chalk.red(`❌ Cannot write back: ${problem}.`));
+      return;
+    }
+  }
+  if (input) records = countReads(records, input);
+  const fileHash = source ? await hashFile(source) : null;
+  if (source) auditEvent(AuditEvent.IMPORT_START, { source, ...fileHash });
+
+  // Continue an interrupted run's checkpoint if wanted
+  const resumeFrom =
+    checkpoint && source
+      ? await pickCheckpoint(source, fileHash, {
+          encdec,
+          fields,
+          writeBack,
+          resume,
+        })
+      : null;
+  if (resumeFrom) {
+    records = skipRecords(records, resumeFrom.records);
+    auditEvent(AuditEvent.IMPORT_RESUME, {
+      source,
+      records: resumeFrom.records,
+    });
+  }
+
+  // Catch a wrong key/IV on the first few records, not after the whole file
+  if (sampleCheck) {
+    const sampled = await takeSample(records);
+    records = sampled.records;
+    let report = checkSample(encdec, sampled.sample, fields);
+    while (report.looksWrong) {
+      if (!interactive) {
+        console.log(
+          chalk.red(
+            `❌ Sample check failed: ${describeSample(report)}. Check --key/--iv/--cipher, or pass --no-sample-check to decrypt anyway.`
+          )
+        );
+        return;
+      }
+      printSampleWarning(report);
+      const action = await promptWrongKeyAction(Boolean(reenterCredentials));
+      if (action === "abort") {
+        console.log(chalk.yellow("\n⏹️ Import aborted.\n"));
+        return;
+      }
+      if (action === "continue") break;
+      encdec = await reenterCredentials();
+      report = checkSample(encdec, sampled.sample, fields);
+    }
+  }
+
+  // Report counts, rate and ETA while decrypting
+  const progress = createProgress("🔍 Decrypting encrypted fields...", {
+    total: () => input && estimateTotal(input),
+    offset: resumeFrom?.summary.total,
+  }).start();
+
+  const summary = resumeFrom?.summary ?? createSummary();
+  const journal =
+    checkpoint && source
+      ? openJournal(
+          source,
+          encdec,
+          { fileHash, fields, writeBack, summary },
+          resumeFrom
+        )
+      : null;
+
+  if (interactive) {
+    // Results wait in the journal (or a spool) for the export; only
+    // the first few stay in memory, for the table
+    const rows = journal ?? createSpool();
+    const preview = [];
+    try {
+      await decryptRecordStream(encdec, records, {
+        fields,
+        idOf,
+        workers,
+        progress,
+        summary,
+        onResult: (result) => {
+          if (!resumeFrom && preview.length < TABLE_ROWS) preview.push(result);
+          return rows.write(maskResult(result, "export", masking));
+        },
+      });
+    } catch (err) {
+      if (journal) await saveProgress(journal);
+      else await rows.discard();
+      throw err;
+    }
+    // Ctrl+C at the prompts below resumes straight to the export
+    await journal?.save();
+    progress.succeed("✅ Decryption completed");
+    auditEvent(AuditEvent.IMPORT_COMPLETE, { source, ...countsOf(summary) });
+    // Handle empty results
+    if (summary.total === 0) {
+      await rows.discard();
+      console.log(chalk.yellow("\n⚠️ No records found in file.\n"));
+      return;
+    }
+    // A resumed run's first records come back from the journal
+    if (resumeFrom) {
+      for await (const row of rows.replay()) {
+        if (preview.length === TABLE_ROWS) break;
+        preview.push(row);
+      }
+    }
+    if (preview.length) printResultsTable(preview, masking);
+    if (preview.length < summary.total) {
+      console.log(
+        chalk.gray(
+          `📋 Showing ${preview.length} of ${summary.total} records; export them to see every one.`
+        )
+      );
+    }
+    printSummary(summary);
+    await offerReveal(preview, masking, source);
+    // Offer export, read back from the journal or spool
+    try {
+      await exportResultsToFile(() => rows.replay());
+    } finally {
+      await rows.discard();
+    }
+    return summary;
+  }
+
+  // Batch mode: write every result as soon as it is decrypted
+  let filepath;
+  if (output) filepath = path.resolve(output);
+  else if (writeBack && source && recordFormatOf(source) === format) {
+    // Records written back sit next to their input, like `encrypt` output
+    filepath = derivedPathFor(source, "decrypted");
+  } else filepath = defaultExportPath(format);
+  if (password) filepath = sealedPathFor(filepath);
+  // Written-back rows keep every cell as it was unless asked otherwise
+  const writerOptions = {
+    password,
+    kdf,
+    ejson,
+    flatten: !writeBack,
+    escapeFormulas: !writeBack || escapeFormulas,
+  };
+  const toRow = writeBack
+    ? ({ record, ...result }) =>
+        writeBackRecord(
+          record,
+          maskResult(result, "export", masking),
+          fields,
+          writeBack
+        )
+    : (result) => maskResult(result, "export", masking);
+  // Without a journal, results go straight into the export
+  let writer = journal
+    ? null
+    : createResultWriter(filepath, format, writerOptions);
+  try {
+    await decryptRecordStream(encdec, records, {
+      fields,
+      idOf,
+      workers,
+      progress,
+      summary,
+      withRecords: Boolean(writeBack),
+      onResult: (result) => (journal ?? writer).write(toRow(result)),
+    });
+  } catch (err) {
+    if (journal) await saveProgress(journal);
+    else await writer.abort();
+    throw err;
+  }
+  if (journal) {
+    // Tables get a column for every field of every row, so read it twice
+    const headers = TABLE_FORMATS.includes(format)
+      ? await collectColumns(journal.replay(), !writeBack)
+      : undefined;
+    writer = createResultWriter(filepath, format, {
+      ...writerOptions,
+      headers,
+    });
+    try {
+      for await (const row of journal.replay()) await writer.write(row);
+    } catch (err) {
+      await writer.abort();
+      throw err;
+    }
+  }
+  await writer.close();
+  await journal?.discard();
+  progress.succeed("✅ Decryption completed");
+  const omitted = writer.omittedColumns();
+  if (omitted.length) {
+    // Only without a journal: the header was written with the first row
+    console.log(
+      chalk.yellow(
+        `⚠️ Left out columns missing from the first row: ${omitted.join(", ")}. Run with checkpoints on to include them.`
+      )
+    );
+  }
+  auditEvent(AuditEvent.IMPORT_COMPLETE, { source, ...countsOf(summary) });
+  auditEvent(AuditEvent.EXPORT, {
+    path: filepath,
+    format,
+    rows: writer.count(),
+    sealed: Boolean(password),
+    ...(writeBack && { writeBack }),
+  });
+  printSummary(summary);
+  console.log(
+    chalk.green(`\n✅ Results exported to ${path.basename(filepath)}\n`)
+  );
+  return summary;
+}
+
+/**
+ * Saves a journal's checkpoint after a failed or interrupted import and
+ * says how to continue.
+ *
+ * @async
+ * @function saveProgress
+ * @param {import("./checkpoint.js").Journal} journal - The import's journal
+ * @returns {Promise<void>}
+ */
+async function saveProgress(journal) {
+  await journal.save();
+  console.log(
+    chalk.yellow(
+      `💾 Progress saved after ${journal.count()} records; importing the same file again resumes it.`
+    )
+  );
+}
+
+/**
+ * Finds an earlier run's checkpoint for `source` and decides whether to
+ * continue it: `resume` if given, else the user's answer in a terminal,
+ * else yes, provided this run has the same key. A checkpoint that is not
+ * continued, or no longer matches the input or fields, is removed.
+ *
+ * @async
+ * @function pickCheckpoint
+ * @param {string} source - Absolute input path
+ * @param {{sha256: string, bytes: number}} fileHash - Current input hash
+ * @param {Object} run
+ * @param {Object} run.encdec - Decryptor of this run
+ * @param {import("./fields.js").FieldSpec[]} run.fields - Encrypted fields
+ * @param {string} [run.writeBack] - Write-back mode, if any
+ * @param {boolean} [run.resume] - Explicit choice (`--resume` / `--no-resume`)
+ * @returns {Promise<import("./checkpoint.js").Checkpoint|null>} Checkpoint to continue
+ * @throws {Error} If `--resume` asks to continue the checkpoint with a different key
+ */
+async function pickCheckpoint(source, fileHash, run) {
+  const { encdec, fields, writeBack, resume } = run;
+  const found = findCheckpoint(source);
+  if (!found) return null;
+  const mismatch = checkpointMismatch(found, fileHash, { fields, writeBack });
+  let wanted = resume;
+  if (!mismatch && wanted === undefined && process.stdin.isTTY) {
+    wanted = await confirmResume(found);
+  }
+  if (mismatch) {
+    console.log(
+      chalk.yellow(
+        `⚠️ Not resuming the interrupted import of ${path.basename(source)}: ${mismatch}. Starting over.`
+      )
+    );
+  } else if (wanted !== false) {
+    try {
+      verifyCheckpointKey(found, encdec);
+      console.log(
+        chalk.cyan(
+          `⏩ Resuming after ${found.records} records (checkpoint of ${found.updated})`
+        )
+      );
+      return found;
+    } catch (err) {
+      if (resume) throw err;
+      console.log(
+        chalk.yellow(
+          `⚠️ Not resuming the interrupted import of ${path.basename(source)}: it was run with a different key. Starting over.`
+        )
+      );
+    }
+  }
+  await discardCheckpoint(source);
+  return null;
+}
+
+/**
+ * Passes records through after dropping the first `count`.
+ *
+ * @async
+ * @generator
+ * @function skipRecords
+ * @param {AsyncIterable<Object>} records - Source records
+ * @param {number} count - Records to drop
+ * @yields {Object} The remaining records
+ */
+async function* skipRecords(records, count) {
+  let skipped = 0;
+  for await (const record of records) {
+    if (skipped < count) skipped++;
+    else yield record;
+  }
+}
+
+/**
+ * How far an import has got through its input file.
+ * @typedef {Object} InputPosition
+ * @property {number} size - File size in bytes
+ * @property {number} bytesRead - Bytes read so far
+ * @property {number} records - Records read so far
+ * @property {boolean} done - Whether every record has been read
+ * @property {(bytesRead: number) => void} onRead - Reader callback
+ *   (`onRead` option of the readers in `sources.js`)
+ */
+
+/**
+ * Creates the read position of an input file, to be passed both to its
+ * reader (`onRead`) and to {@link runImport} (`input`).
+ *
+ * @function createInputPosition
+ * @param {string} filePath - Input file
+ * @returns {InputPosition}
+ *
+ * @example
+ * const input = createInputPosition(absPath);
+ * await runImport(encdec, readCsvRecords(absPath, input), { ...options, input });
+ */
+export function createInputPosition(filePath) {
+  const position = {
+    size: fs.statSync(filePath).size,
+    bytesRead: 0,
+    records: 0,
+    done: false,
+    onRead: (bytesRead) => {
+      position.bytesRead = bytesRead;
+    },
+  };
+  return position;
+}
+
+/**
+ * Passes records through while counting them into `position`.
+ *
+ * @async
+ * @generator
+ * @function countReads
+ * @param {AsyncIterable<Object>|Iterable<Object>} records - Source records
+ * @param {InputPosition} position - Position to update
+ * @yields {Object} The same records
+ */
+async function* countReads(records, position) {
+  for await (const record of records) {
+    position.records++;
+    yield record;
+  }
+  position.done = true;
+}
+
+/**
+ * Expected record count: exact once the input is fully read, else
+ * extrapolated from the records per byte read so far.
+ *
+ * @function estimateTotal
+ * @param {InputPosition} position - Input read position
+ * @returns {import("../utils/progress.js").Total|undefined}
+ */
+function estimateTotal({ size, bytesRead, records, done }) {
+  if (done) return { count: records };
+  if (!bytesRead || !records) return undefined;
+  return { count: Math.round((records * size) / bytesRead), approximate: true };
+}
+
+/**
+ * Record counts of a summary, as recorded in the audit log.
+ *
+ * @function countsOf
+ * @param {import("./result.js").Summary} summary - Run summary
+ * @returns {{total: number, success: number, partial: number, invalid: number, failed: number, empty: number}}
+ */
+export function countsOf({ total, success, partial, invalid, failed, empty }) {
+  return { total, success, partial, invalid, failed, empty };
+}
+
+/**
+ * Offers to show masked values in full. A reveal is recorded in the
+ * audit log (see `audit.js`) before anything is printed.
+ *
+ * @async
+ * @function offerReveal
+ * @param {Array<Object>} results - Result rows already shown masked
+ * @param {Object} masking - Options passed to `printResultsTable`
+ * @param {string} [source="manual entry"] - What the rows came from
+ * @returns {Promise<boolean>} Whether the values were revealed
+ */
+export async function offerReveal(results, masking, source = "manual entry") {
+  if (!hasMaskedValues(results, masking)) return false;
+  if (!(await confirmReveal())) return false;
+  auditEvent(AuditEvent.REVEAL, { source, rows: results.length });
+  console.log(chalk.gray("📝 Reveal recorded in the audit log"));
+  printResultsTable(results, { ...masking, reveal: true });
+  return true;
+}
+
+/**
+ * Streams every record of a JSON, NDJSON or CSV file through `transform`
+ * (which mutates it) and writes the records to `outputPath` in the same
+ * format (CSV as comma-separated UTF-8, whatever the input's dialect).
+ * The output is removed if anything fails part-way.
+ *
+ * @async
+ * @function transformRecordFile
+ * @param {string} inputPath - Absolute input path
+ * @param {string} outputPath - Absolute output path (must differ from input)
+ * @param {(record: Object) => (void|Promise<void>)} transform - In-place record transform
+ * @returns {Promise<number>} Number of records written
+ *
+ * @example
+ * await transformRecordFile(input, output, (r) => encryptRecord(encdec, r, fields));
+ */
+export async function transformRecordFile(inputPath, outputPath, transform) {
+  // Ciphertext is written verbatim: base64 may start with "+"
+  const writer = createResultWriter(outputPath, recordFormatOf(inputPath), {
+    flatten: false,
+    escapeFormulas: false,
+  });
+  let records = 0;
+  try {
+    for await (const record of openRecordSource(inputPath)) {
+      await transform(record);
+      await writer.write(record);
+      records++;
+    }
+  } catch (err) {
+    await writer.abort();
+    throw err;
+  }
+  await writer.close();
+  return records;
+}
+
+/**
+ * Builds a sibling path with a suffix before the extension,
+ * e.g. `data.json` → `data.encrypted.json`.
+ *
+ * @function derivedPathFor
+ * @param {string} inputPath - Absolute input path
+ * @param {string} suffix - Suffix to insert (without dots)
+ * @returns {string}
+ */
+export function derivedPathFor(inputPath, suffix) {
+  const { dir, name, ext } = path.parse(inputPath);
+  return path.join(dir, `${name}.${suffix}${ext}`);
+}
@@ -0,0 +1,322 @@
+// src/core/result.js
+import { resolveField } from "./fields.js";
+import { Keyring } from "./keyring.js";
+import { DecryptionError, FailureReason } from "./error.js";
+import { VALUE_VALIDATORS } from "./validate.js";
+import { binaryPayload, readBinary } from "./ejson.js";
+
+/**
+ * Structured result model shared by all decryption flows.
+ * Results hold plain data only (no chalk/ANSI codes) so they can be
+ * exported as-is; coloring happens in `src/cli/display.js`.
+ */
+
+/**
+ * Status of a single decrypted value.
+ * @readonly
+ * @enum {string}
+ */
+export const ResultStatus = Object.freeze({
+  /** Decrypted successfully */
+  DECRYPTED: "decrypted",
+  /** Decrypted, but the plaintext failed the field's validator */
+  INVALID: "invalid",
+  /** Ciphertext present but decryption threw */
+  FAILED: "failed",
+  /** No ciphertext to decrypt (absent or empty) */
+  MISSING: "missing",
+  /** Collected but not decrypted yet (manual flow) */
+  PENDING: "pending",
+  /** Record where some fields decrypted and others did not */
+  PARTIAL: "partial",
+  /** Record with no values to decrypt (its fields resolve to empty arrays) */
+  EMPTY: "empty",
+});
+
+/**
+ * @typedef {Object} DecryptOutcome
+ * @property {string} status - One of {@link ResultStatus}
+ * @property {string|null} plaintext - Decrypted value, or null on failure
+ * @property {string|null} reason - Failure reason, or null on success
+ * @property {string|null} reasonCode - Failure class (see `FailureReason` in
+ *   `error.js`, or `InvalidReason` in `validate.js` for invalid values),
+ *   or null on success
+ * @property {string|null} [format] - Ciphertext encoding (`hex`, `base64`, …;
+ *   see `utils/encoding.js`), null when it could not be detected
+ * @property {string|null} [keyId] - Id of the key that decrypted the value
+ *   (keyring runs only; null when no key fit)
+ */
+
+/**
+ * Decrypts a single value and captures the outcome without throwing.
+ * The outcome records the detected ciphertext encoding and, when `encdec`
+ * is a keyring (see `keyring.js`), which key decrypted the value.
+ *
+ * Besides strings, the ciphertext may be an Extended JSON `$binary`
+ * value (see `ejson.js`) holding the raw ciphertext bytes, or an
+ * OpenSSL `Salted__` blob; `--encoding` does not apply to those.
+ *
+ * @function decryptToResult
+ * @param {Object} encdec - Initialized encryption/decryption utility instance
+ * @param {*} encrypted - Ciphertext as found in the record
+ * @returns {DecryptOutcome}
+ *
+ * @example
+ * decryptToResult(encdec, "7d224f...") // { status: "decrypted", plaintext: "123-45-6789", reason: null, reasonCode: null, ... }
+ * decryptToResult(encdec, "")          // { status: "missing", plaintext: null, reason: "...", reasonCode: "missing", ... }
+ */
+export function decryptToResult(encdec, encrypted) {
+  const detailed = typeof encdec.decryptDetailed === "function";
+  const isKeyring = encdec instanceof Keyring;
+  let encoding;
+  const binary = readBinary(encrypted);
+  if (binary) ({ payload: encrypted, encoding } = binaryPayload(binary.bytes));
+  if (typeof encrypted !== "string" || encrypted.length === 0) {
+    return {
+      status: ResultStatus.MISSING,
+      plaintext: null,
+      reason: "Encrypted value is missing or empty",
+      reasonCode: FailureReason.MISSING,
+      ...(detailed && { format: null }),
+      ...(isKeyring && { keyId: null }),
+    };
+  }
+
+  try {
+    if (detailed) {
+      const { plaintext, ...info } = encdec.decryptDetailed(
+        encrypted,
+        encoding
+      );
+      return {
+        status: ResultStatus.DECRYPTED,
+        plaintext,
+        reason: null,
+        reasonCode: null,
+        ...info,
+      };
+    }
+    return {
+      status: ResultStatus.DECRYPTED,
+      plaintext: encdec.decryptPayload(encrypted),
+      reason: null,
+      reasonCode: null,
+    };
+  } catch (err) {
+    return {
+      status: ResultStatus.FAILED,
+      plaintext: null,
+      reason: err.message,
+      reasonCode:
+        err instanceof DecryptionError ? err.code : FailureReason.OTHER,
+      ...(detailed && { format: err.format ?? null }),
+      ...(isKeyring && { keyId: null }),
+    };
+  }
+}
+
+/**
+ * Runs a field's value validator (e.g. `ssn`) on a decrypted outcome.
+ * The plaintext is replaced by its normalized form; values that fail
+ * the check get status `invalid` with the reason. Outcomes that were not
+ * decrypted, or fields without a validator, are returned unchanged.
+ *
+ * @function validateOutcome
+ * @param {DecryptOutcome} outcome - Result of {@link decryptToResult}
+ * @param {string} [validator] - Name in `VALUE_VALIDATORS` (`validate.js`)
+ * @returns {DecryptOutcome}
+ *
+ * @example
+ * validateOutcome({ status: "decrypted", plaintext: "123456789", ... }, "ssn")
+ * // { status: "decrypted", plaintext: "123-45-6789", ... }
+ * validateOutcome({ status: "decrypted", plaintext: "000-12-3456", ... }, "ssn")
+ * // { status: "invalid", plaintext: "000-12-3456", reasonCode: "invalid-area", ... }
+ */
+export function validateOutcome(outcome, validator) {
+  if (!validator || outcome.status !== ResultStatus.DECRYPTED) return outcome;
+  const { value, code, message } = VALUE_VALIDATORS[validator](
+    outcome.plaintext
+  );
+  if (!code) return { ...outcome, plaintext: value };
+  return {
+    ...outcome,
+    status: ResultStatus.INVALID,
+    plaintext: value,
+    reason: message,
+    reasonCode: code,
+  };
+}
+
+/**
+ * @typedef {Object} RecordResult
+ * @property {string} status - Overall status (see {@link recordStatus})
+ * @property {Record<string, DecryptOutcome>} fields - Outcome per field key
+ */
+
+/**
+ * Decrypts every configured field of a record and runs each field's
+ * validator, if any (see {@link validateOutcome}).
+ *
+ * @function decryptRecord
+ * @param {Object} encdec - Initialized encryption/decryption utility instance
+ * @param {Object} record - JSON document or CSV row
+ * @param {import("./fields.js").FieldSpec[]} fieldSpecs - Encrypted fields
+ * @returns {RecordResult}
+ *
+ * @example
+ * decryptRecord(encdec, { socialSecurityNumber: "7d22..." }, specs)
+ * // { status: "decrypted", fields: { SSN: { status: "decrypted", plaintext: "123-45-6789", reason: null } } }
+ */
+export function decryptRecord(encdec, record, fieldSpecs) {
+  const fields = {};
+  for (const spec of fieldSpecs) {
+    for (const { key, value } of resolveField(record, spec)) {
+      fields[key] = validateOutcome(
+        decryptToResult(encdec, value),
+        spec.validate
+      );
+    }
+  }
+  return { status: recordStatus(Object.values(fields)), fields };
+}
+
+/**
+ * Derives a record's overall status from its field outcomes:
+ * all decrypted → decrypted; all decrypted but some invalid → invalid;
+ * some decrypted → partial; any failure → failed; no outcomes at all →
+ * empty; otherwise missing.
+ *
+ * @function recordStatus
+ * @param {DecryptOutcome[]} outcomes - Field outcomes
+ * @returns {string} One of {@link ResultStatus}
+ */
+export function recordStatus(outcomes) {
+  if (outcomes.length === 0) return ResultStatus.EMPTY;
+  const count = (status) => outcomes.filter((o) => o.status === status).length;
+  const decrypted = count(ResultStatus.DECRYPTED);
+  const readable = decrypted + count(ResultStatus.INVALID);
+  if (decrypted > 0 && decrypted === outcomes.length) {
+    return ResultStatus.DECRYPTED;
+  }
+  if (readable > 0 && readable === outcomes.length) {
+    return ResultStatus.INVALID;
+  }
+  if (readable > 0) return ResultStatus.PARTIAL;
+  if (outcomes.some((o) => o.status === ResultStatus.FAILED)) {
+    return ResultStatus.FAILED;
+  }
+  return ResultStatus.MISSING;
+}
+
+/**
+ * Flattens a record result into a single-level row for CSV export:
+ * each field key becomes `<key>`, `<key>.status`, `<key>.reason` and
+ * `<key>.reasonCode`
+ * (plus `<key>.format` and, for keyring runs, `<key>.keyId`).
+ * Rows without a `fields` map are returned unchanged.
+ *
+ * @function flattenResult
+ * @param {Object} result - Result row
+ * @returns {Object} Flat row
+ *
+ * @example
+ * flattenResult({ _id: "1", status: "decrypted", fields: { SSN: { status: "decrypted", plaintext: "123", reason: null, reasonCode: null } } })
+ * // { _id: "1", status: "decrypted", SSN: "123", "SSN.status": "decrypted", "SSN.reason": null, "SSN.reasonCode": null }
+ */
+export function flattenResult(result) {
+  if (!result.fields) return result;
+  const { fields, ...rest } = result;
+  const flat = { ...rest };
+  for (const [key, outcome] of Object.entries(fields)) {
+    flat[key] = outcome.plaintext;
+    flat[`${key}.status`] = outcome.status;
+    flat[`${key}.reason`] = outcome.reason;
+    flat[`${key}.reasonCode`] = outcome.reasonCode;
+    if ("format" in outcome) flat[`${key}.format`] = outcome.format;
+    if ("keyId" in outcome) flat[`${key}.keyId`] = outcome.keyId;
+  }
+  return flat;
+}
+
+/**
+ * @typedef {Object} Summary
+ * @property {number} total - Records processed
+ * @property {number} success - Fully decrypted records
+ * @property {number} partial - Records with only some fields decrypted
+ * @property {number} invalid - Records whose fields all decrypted but at
+ *   least one failed validation
+ * @property {number} failed - Records with nothing decrypted
+ * @property {number} empty - Records with nothing to decrypt
+ * @property {Record<string, number>} keys - Values decrypted per key id
+ *   (keyring runs only; empty otherwise)
+ * @property {Record<string, number>} formats - Values decrypted per ciphertext encoding
+ * @property {Record<string, number>} reasons - Values not decrypted, per
+ *   `FailureReason` code
+ * @property {Record<string, number>} invalidReasons - Values decrypted but
+ *   invalid, per `InvalidReason` code
+ */
+
+/**
+ * Creates an empty summary for incremental counting.
+ *
+ * @function createSummary
+ * @returns {Summary}
+ */
+export function createSummary() {
+  return {
+    total: 0,
+    success: 0,
+    partial: 0,
+    invalid: 0,
+    failed: 0,
+    empty: 0,
+    keys: {},
+    formats: {},
+    reasons: {},
+    invalidReasons: {},
+  };
+}
+
+/**
+ * Adds one result to a running summary (mutates and returns it).
+ *
+ * @function addToSummary
+ * @param {Summary} summary - Running summary
+ * @param {{status: string, fields?: Object, keyId?: string, format?: string}} result - Result row
+ * @returns {Summary}
+ */
+export function addToSummary(summary, result) {
+  summary.total++;
+  if (result.status === ResultStatus.DECRYPTED) summary.success++;
+  else if (result.status === ResultStatus.PARTIAL) summary.partial++;
+  else if (result.status === ResultStatus.INVALID) summary.invalid++;
+  else if (result.status === ResultStatus.EMPTY) summary.empty++;
+  else summary.failed++;
+  const outcomes = result.fields ? Object.values(result.fields) : [result];
+  for (const { status, keyId, format, reasonCode } of outcomes) {
+    if (status === ResultStatus.INVALID) {
+      summary.invalidReasons[reasonCode] =
+        (summary.invalidReasons[reasonCode] ?? 0) + 1;
+    } else if (status !== ResultStatus.DECRYPTED) {
+      const code = reasonCode ?? FailureReason.OTHER;
+      summary.reasons[code] = (summary.reasons[code] ?? 0) + 1;
+      continue;
+    }
+    if (keyId) summary.keys[keyId] = (summary.keys[keyId] ?? 0) + 1;
+    if (format) summary.formats[format] = (summary.formats[format] ?? 0) + 1;
+  }
+  return summary;
+}
+
+/**
+ * Counts results by outcome. Partially decrypted, invalid and empty
+ * records are counted separately; anything else not decrypted counts as
+ * failed.
+ *
+ * @function summarizeResults
+ * @param {Array<{status: string}>} results - Result rows
+ * @returns {Summary}
+ */
+export function summarizeResults(results) {
+  return results.reduce(addToSummary, createSummary());
+}
@@ -0,0 +1,172 @@
+// src/core/rotate.js
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import { createSpinner } from "../utils/spinner.js";
+import { ImportFormatError, handleUnexpectedError } from "./error.js";
+import { resolveField, setFieldValue } from "./fields.js";
+import { derivedPathFor, transformRecordFile } from "./pipeline.js";
+import { resolveFieldSpecs } from "./config.js";
+import { binaryPayload, readBinary, replaceBinary } from "./ejson.js";
+import { AuditEvent, auditEvent, hashFile } from "./audit.js";
+
+/**
+ * How many failing records are listed individually in the summary.
+ * @type {number}
+ */
+const MAX_REPORTED_FAILURES = 10;
+
+/**
+ * Outcome of rotating one record.
+ * @readonly
+ * @enum {string}
+ */
+export const RotationStatus = Object.freeze({
+  /** Every encrypted value now uses the new key */
+  ROTATED: "rotated",
+  /** No encrypted values present; record unchanged */
+  SKIPPED: "skipped",
+  /** A value failed to decrypt or verify; record left on the old key */
+  FAILED: "failed",
+});
+
+/**
+ * Re-encrypts the configured fields of a record from the old key to the
+ * new one, in place. Each new ciphertext is decrypted again and compared
+ * with the original plaintext before it is accepted. The record is only
+ * changed if every value rotates, so a record never mixes keys.
+ * Plaintext exists only in memory for the duration of the call.
+ * Extended JSON `$binary` ciphertext is decrypted from its bytes, as on
+ * import, and the new ciphertext written back in the same wrapper.
+ *
+ * @function rotateRecord
+ * @param {Object} oldEncdec - Utility holding the current (old) key/IV
+ * @param {Object} newEncdec - Utility holding the new key/IV
+ * @param {Object} record - JSON document or CSV row (mutated on success)
+ * @param {import("./fields.js").FieldSpec[]} fieldSpecs - Encrypted fields
+ * @returns {{status: string, reason: string|null}} See {@link RotationStatus}
+ *
+ * @example
+ * rotateRecord(oldEncdec, newEncdec, { socialSecurityNumber: "7d22..." }, specs);
+ * // { status: "rotated", reason: null }
+ */
+export function rotateRecord(oldEncdec, newEncdec, record, fieldSpecs) {
+  const updates = [];
+  for (const spec of fieldSpecs) {
+    for (const match of resolveField(record, spec)) {
+      const { value, path: fieldPath } = match;
+      const binary = readBinary(value);
+      if (!binary && (typeof value !== "string" || value.length === 0)) {
+        continue;
+      }
+
+      let rotated;
+      try {
+        const { payload, encoding } = binary
+          ? binaryPayload(binary.bytes)
+          : { payload: value };
+        const { plaintext } = oldEncdec.decryptDetailed(payload, encoding);
+        rotated = newEncdec.encryptPayload(plaintext);
+        if (newEncdec.decryptPayload(rotated) !== plaintext) {
+          throw new Error("re-encrypted value did not verify");
+        }
+        if (binary) rotated = replaceBinary(value, rotated);
+      } catch (err) {
+        return {
+          status: RotationStatus.FAILED,
+          reason: `${fieldPath}: ${err.message}`,
+        };
+      }
+      updates.push([match, rotated]);
+    }
+  }
+
+  if (updates.length === 0) {
+    return { status: RotationStatus.SKIPPED, reason: null };
+  }
+  for (const [match, rotated] of updates) setFieldValue(match, rotated);
+  return { status: RotationStatus.ROTATED, reason: null };
+}
+
+/**
+ * Rotates every record of a JSON, NDJSON or CSV file from one key/IV to
+ * another in a single streaming pass. Only ciphertext is ever written.
+ *
+ * @async
+ * @function handleRotationFlow
+ * @param {Object} oldEncdec - Utility holding the current (old) key/IV
+ * @param {Object} newEncdec - Utility holding the new key/IV
+ * @param {string} inputPath - Encrypted `.json`, `.ndjson`/`.jsonl` or `.csv` file
+ * @param {Object} [options]
+ * @param {string} [options.output] - Destination (default: `<name>.rotated.<ext>` next to the input)
+ * @param {import("./fields.js").FieldSpec[]} [options.fields] - Encrypted fields (default: from config)
+ * @returns {Promise<{total: number, rotated: number, skipped: number, failed: number}|undefined>}
+ *   Record counts, or undefined if the input could not be processed
+ *
+ * @example
+ * await handleRotationFlow(oldEncdec, newEncdec, "./records.json");
+ */
+export async function handleRotationFlow(
+  oldEncdec,
+  newEncdec,
+  inputPath,
+  options = {}
+) {
+  try {
+    const { fields = resolveFieldSpecs() } = options;
+    const absPath = path.resolve(inputPath);
+    if (!fs.existsSync(absPath)) {
+      console.log(chalk.red(`❌ File not found: ${absPath}`));
+      return;
+    }
+    const output = path.resolve(
+      options.output ?? derivedPathFor(absPath, "rotated")
+    );
+    if (output === absPath) {
+      console.log(chalk.red("❌ Output must differ from the input file."));
+      return;
+    }
+
+    const spinner = createSpinner("🔁 Rotating encrypted fields...").start();
+    const counts = { total: 0, rotated: 0, skipped: 0, failed: 0 };
+    const failures = [];
+    await transformRecordFile(absPath, output, (record) => {
+      const { status, reason } = rotateRecord(
+        oldEncdec,
+        newEncdec,
+        record,
+        fields
+      );
+      counts.total++;
+      counts[status]++;
+      // Keep a few examples for the summary; record numbers, never values
+      if (reason && failures.length < MAX_REPORTED_FAILURES) {
+        failures.push(`#${counts.total} ${reason}`);
+      }
+    });
+    spinner.succeed("✅ Rotation completed");
+    auditEvent(AuditEvent.ROTATE, {
+      source: absPath,
+      ...(await hashFile(absPath)),
+      output,
+      ...counts,
+    });
+
+    console.log(chalk.yellow("\n📊 Summary:"));
+    console.log(`🧾 Total Records: ${counts.total}`);
+    console.log(chalk.green(`🔁 Rotated: ${counts.rotated}`));
+    console.log(
+      chalk.gray(`⏭️ Skipped (no encrypted values): ${counts.skipped}`)
+    );
+    console.log(chalk.red(`❌ Failed (left on old key): ${counts.failed}`));
+    for (const failure of failures) console.log(chalk.red(`   • ${failure}`));
+    console.log(chalk.green(`\n✅ Rotated file written to ${output}\n`));
+    return counts;
+  } catch (err) {
+    if (err instanceof ImportFormatError) {
+      console.log(chalk.red(`❌ ${err.message}`));
+      return;
+    }
+    handleUnexpectedError(err);
+  }
+}
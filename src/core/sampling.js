@@ -0,0 +1,134 @@
+// src/core/sampling.js
+import { isPlausiblePlaintext } from "./keyring.js";
+import { resolveField } from "./fields.js";
+import { ResultStatus, decryptToResult } from "./result.js";
+
+/**
+ * Wrong-key early warning. Before a batch, the first few records are
+ * decrypted and their plaintext is checked against each field's expected
+ * `pattern` (or, without one, for plausible text). A mistyped key or IV
+ * then shows up after a handful of records instead of after the whole file.
+ */
+
+/**
+ * Records decrypted by the sampling pass.
+ * @type {number}
+ */
+export const SAMPLE_SIZE = 10;
+
+/**
+ * Share of sampled values that must look right for the key to be trusted.
+ * @type {number}
+ */
+const MIN_MATCH_RATIO = 0.5;
+
+/**
+ * @typedef {Object} SampleReport
+ * @property {number} records - Records sampled
+ * @property {number} checked - Non-empty encrypted values tried
+ * @property {number} matched - Values that decrypted to the expected shape
+ * @property {Record<string, number>} reasons - Mismatches per `FailureReason`
+ *   code, plus `pattern` for values that decrypted but do not match
+ * @property {boolean} looksWrong - Whether the key/IV is probably wrong
+ */
+
+/**
+ * Splits off the first `size` records of a stream so they can be checked
+ * before the main pass, and returns a stream that replays them followed by
+ * the rest. The source is only read once.
+ *
+ * @async
+ * @function takeSample
+ * @param {AsyncIterable<Object>|Iterable<Object>} records - Source records
+ * @param {number} [size=SAMPLE_SIZE] - Records to take
+ * @returns {Promise<{sample: Object[], records: AsyncIterable<Object>}>}
+ */
+export async function takeSample(records, size = SAMPLE_SIZE) {
+  const iterator = (
+    records[Symbol.asyncIterator] ?? records[Symbol.iterator]
+  ).call(records);
+  const sample = [];
+  let done = false;
+  while (sample.length < size) {
+    const next = await iterator.next();
+    if (next.done) {
+      done = true;
+      break;
+    }
+    sample.push(next.value);
+  }
+
+  async function* replay() {
+    yield* sample;
+    if (done) return;
+    for (
+      let next = await iterator.next();
+      !next.done;
+      next = await iterator.next()
+    ) {
+      yield next.value;
+    }
+  }
+  return { sample, records: replay() };
+}
+
+/**
+ * Decrypts the encrypted fields of sampled records and judges whether the
+ * key/IV fits. Missing values are ignored; when nothing could be checked
+ * the key is given the benefit of the doubt.
+ *
+ * @function checkSample
+ * @param {Object} encdec - Initialized encryption/decryption utility instance
+ * @param {Object[]} sample - Records from {@link takeSample}
+ * @param {import("./fields.js").FieldSpec[]} fieldSpecs - Encrypted fields
+ * @returns {SampleReport}
+ *
+ * @example
+ * const report = checkSample(encdec, sample, specs);
+ * if (report.looksWrong) { ... }
+ */
+export function checkSample(encdec, sample, fieldSpecs) {
+  const report = {
+    records: sample.length,
+    checked: 0,
+    matched: 0,
+    reasons: {},
+    looksWrong: false,
+  };
+  for (const record of sample) {
+    for (const spec of fieldSpecs) {
+      for (const { value } of resolveField(record, spec)) {
+        const outcome = decryptToResult(encdec, value);
+        if (outcome.status === ResultStatus.MISSING) continue;
+        report.checked++;
+
+        let reason = outcome.reasonCode;
+        if (outcome.status === ResultStatus.DECRYPTED) {
+          const fits = spec.pattern
+            ? spec.pattern.test(outcome.plaintext)
+            : isPlausiblePlaintext(outcome.plaintext);
+          reason = fits ? null : "pattern";
+        }
+        if (!reason) report.matched++;
+        else report.reasons[reason] = (report.reasons[reason] ?? 0) + 1;
+      }
+    }
+  }
+  report.looksWrong =
+    report.checked > 0 && report.matched / report.checked < MIN_MATCH_RATIO;
+  return report;
+}
+
+/**
+ * One-line description of a sample report for warnings and errors.
+ *
+ * @function describeSample
+ * @param {SampleReport} report - Report from {@link checkSample}
+ * @returns {string}
+ *
+ * @example
+ * describeSample(report) // "only 1 of 10 sampled values decrypted as expected"
+ */
+export function describeSample({ checked, matched }) {
+  return `only ${matched} of ${checked} sampled values decrypted as expected`;
+}
@@ -0,0 +1,335 @@
+// src/core/sealed.js
+import crypto from "crypto";
+import fs from "fs";
+import { finished } from "stream/promises";
+import { AuthenticationError } from "./error.js";
+
+/**
+ * Password-protected ("sealed") export files, so decrypted data never
+ * sits on disk in the clear.
+ *
+ * Layout:
+ *
+ *   THSEALED1\n | header length (uint32 BE) | header JSON | ciphertext | tag
+ *
+ * The header names the KDF and its parameters, the random salt and
+ * nonce, and what the plaintext is (`format`, `name`, `created`). The
+ * key is derived from the password (scrypt by default, PBKDF2-SHA256 as
+ * an alternative) and the content is encrypted with AES-256-GCM; the
+ * magic and header are authenticated as additional data, so changing
+ * any byte of the file makes opening it fail. Files are written and read
+ * as streams, so exports of any size work.
+ */
+
+/**
+ * Extension appended to sealed exports (`results.csv` → `results.csv.enc`).
+ * @type {string}
+ */
+export const SEALED_EXTENSION = ".enc";
+
+/**
+ * Key derivation functions accepted for sealing.
+ * @type {string[]}
+ */
+export const SEAL_KDFS = ["scrypt", "pbkdf2"];
+
+/** Minimum password length for new sealed files. */
+export const MIN_PASSWORD_LENGTH = 12;
+
+const MAGIC = Buffer.from("THSEALED1\n");
+const TAG_BYTES = 16;
+const NONCE_BYTES = 12;
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+/** Upper bound on KDF memory accepted from a file header (256 MiB). */
+const MAX_SCRYPT_MEMORY = 256 * 1024 * 1024;
+
+/** Upper bound on scrypt parallelism accepted from a file header. */
+const MAX_SCRYPT_P = 16;
+
+/**
+ * Upper bound on scrypt work (`N * r * p`) accepted from a file header:
+ * 16 times the default's.
+ */
+const MAX_SCRYPT_WORK = 2 ** 22;
+
+/** Upper bound on PBKDF2 iterations accepted from a file header. */
+const MAX_PBKDF2_ITERATIONS = 10000000;
+
+/**
+ * Default parameters per KDF (scrypt: 32 MiB of memory per derivation).
+ * @type {Record<string, Object>}
+ */
+const KDF_DEFAULTS = {
+  scrypt: { N: 2 ** 15, r: 8, p: 1 },
+  pbkdf2: { iterations: 600000, digest: "sha256" },
+};
+
+/**
+ * @typedef {Object} SealedHeader
+ * @property {number} version - Layout version (1)
+ * @property {{name: string, salt: string}} kdf - KDF name, base64 salt and parameters
+ * @property {string} cipher - Always `aes-256-gcm`
+ * @property {string} nonce - Base64 GCM nonce
+ * @property {string} [format] - Format of the plaintext (`json`, `csv`, `ndjson`)
+ * @property {string} [name] - Original file name
+ * @property {string} created - ISO timestamp
+ */
+
+/**
+ * Checks a password chosen for a new sealed file.
+ *
+ * @function validateExportPassword
+ * @param {string} input - Candidate password
+ * @returns {true|string} True if acceptable, or an error message
+ */
+export const validateExportPassword = (input) =>
+  (typeof input === "string" && input.length >= MIN_PASSWORD_LENGTH) ||
+  `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+
+/**
+ * Adds {@link SEALED_EXTENSION} to a path unless it already ends with it.
+ *
+ * @function sealedPathFor
+ * @param {string} filepath - Plain export path
+ * @returns {string}
+ */
+export function sealedPathFor(filepath) {
+  return filepath.endsWith(SEALED_EXTENSION)
+    ? filepath
+    : `${filepath}${SEALED_EXTENSION}`;
+}
+
+/**
+ * Opens a sealed file for writing. Plaintext written to `stream` is
+ * encrypted into `file`; ending `stream` writes the auth tag and closes
+ * `file` (wait on `file` to know it is on disk).
+ *
+ * @function createSealedStream
+ * @param {string} filepath - Destination (overwritten, mode 0600)
+ * @param {string} password - Password to derive the key from
+ * @param {Object} [meta] - Unencrypted description stored in the header
+ * @param {string} [meta.format] - Plaintext format
+ * @param {string} [meta.name] - Original file name
+ * @param {Object} [options]
+ * @param {string} [options.kdf="scrypt"] - One of {@link SEAL_KDFS}
+ * @returns {{stream: import("stream").Transform, file: import("fs").WriteStream}}
+ * @throws {Error} If the password is unacceptable or the KDF unknown
+ *
+ * @example
+ * const { stream, file } = createSealedStream("out.csv.enc", password, { format: "csv" });
+ * stream.end("a,b\n1,2\n");
+ * await finished(file);
+ */
+export function createSealedStream(
+  filepath,
+  password,
+  meta = {},
+  options = {}
+) {
+  const { kdf = "scrypt" } = options;
+  const check = validateExportPassword(password);
+  if (check !== true) throw new Error(check);
+  if (!SEAL_KDFS.includes(kdf)) throw new Error(`Unsupported KDF: ${kdf}`);
+
+  const header = {
+    version: 1,
+    kdf: {
+      name: kdf,
+      salt: crypto.randomBytes(SALT_BYTES).toString("base64"),
+      ...KDF_DEFAULTS[kdf],
+    },
+    cipher: "aes-256-gcm",
+    nonce: crypto.randomBytes(NONCE_BYTES).toString("base64"),
+    ...meta,
+    created: new Date().toISOString(),
+  };
+  const prefix = encodePrefix(header);
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    deriveKey(password, header.kdf),
+    Buffer.from(header.nonce, "base64")
+  );
+  cipher.setAAD(prefix);
+
+  const file = fs.createWriteStream(filepath, { mode: 0o600 });
+  file.write(prefix);
+  cipher.pipe(file, { end: false });
+  cipher.on("end", () => file.end(cipher.getAuthTag()));
+  cipher.on("error", (err) => file.destroy(err));
+  return { stream: cipher, file };
+}
+
+/**
+ * Reads the header of a sealed file without the password.
+ *
+ * @function readSealedHeader
+ * @param {string} filepath - Sealed file
+ * @returns {{header: SealedHeader, prefixBytes: number, size: number}}
+ *   Header, length of magic + header, and total file size
+ * @throws {Error} If the file is not a sealed export
+ */
+export function readSealedHeader(filepath) {
+  const fd = fs.openSync(filepath, "r");
+  try {
+    const size = fs.fstatSync(fd).size;
+    const start = Buffer.alloc(MAGIC.length + 4);
+    fs.readSync(fd, start, 0, start.length, 0);
+    if (!start.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw new Error(`${filepath} is not a sealed TrueHear export`);
+    }
+    const length = start.readUInt32BE(MAGIC.length);
+    const prefixBytes = start.length + length;
+    if (prefixBytes + TAG_BYTES > size) {
+      throw new Error(`${filepath} is truncated`);
+    }
+    const json = Buffer.alloc(length);
+    fs.readSync(fd, json, 0, length, start.length);
+    return { header: JSON.parse(json.toString("utf8")), prefixBytes, size };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Decrypts a sealed file. Without `outputPath` the content is only
+ * verified (nothing is written), which checks the password and that the
+ * file is intact. A partially written output is removed on failure.
+ *
+ * @async
+ * @function openSealedFile
+ * @param {string} filepath - Sealed file
+ * @param {string} password - Password it was sealed with
+ * @param {string} [outputPath] - Where to write the plaintext (mode 0600)
+ * @returns {Promise<{header: SealedHeader, bytes: number, lines: number}>}
+ *   Header plus plaintext size and line count
+ * @throws {AuthenticationError} If the password is wrong or the file was modified
+ * @throws {Error} If the file is not a sealed export
+ */
+export async function openSealedFile(filepath, password, outputPath) {
+  const { header, prefixBytes, size } = readSealedHeader(filepath);
+  const prefix = Buffer.alloc(prefixBytes);
+  const tag = Buffer.alloc(TAG_BYTES);
+  const fd = fs.openSync(filepath, "r");
+  try {
+    fs.readSync(fd, prefix, 0, prefixBytes, 0);
+    fs.readSync(fd, tag, 0, TAG_BYTES, size - TAG_BYTES);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    deriveKey(password, header.kdf),
+    Buffer.from(header.nonce, "base64")
+  );
+  decipher.setAAD(prefix);
+  decipher.setAuthTag(tag);
+
+  const out = outputPath
+    ? fs.createWriteStream(outputPath, { mode: 0o600 })
+    : null;
+  let bytes = 0;
+  let lines = 0;
+  let last = 0x0a;
+  const consume = async (chunk) => {
+    if (chunk.length === 0) return;
+    bytes += chunk.length;
+    for (const byte of chunk) if (byte === 0x0a) lines++;
+    last = chunk[chunk.length - 1];
+    if (out && !out.write(chunk)) {
+      await new Promise((resolve) => out.once("drain", resolve));
+    }
+  };
+
+  try {
+    // A file with empty content has nothing between header and tag
+    if (size - TAG_BYTES > prefixBytes) {
+      const source = fs.createReadStream(filepath, {
+        start: prefixBytes,
+        end: size - TAG_BYTES - 1,
+      });
+      for await (const chunk of source) await consume(decipher.update(chunk));
+    }
+    try {
+      await consume(decipher.final());
+    } catch {
+      throw new AuthenticationError(
+        "Wrong password, or the file was modified or truncated"
+      );
+    }
+    if (out) {
+      out.end();
+      await finished(out);
+    }
+  } catch (err) {
+    if (out) {
+      out.destroy();
+      await fs.promises.rm(outputPath, { force: true });
+    }
+    throw err;
+  }
+  // Count a final line without a trailing newline
+  return { header, bytes, lines: last === 0x0a ? lines : lines + 1 };
+}
+
+/**
+ * Serializes the magic and header (the authenticated prefix).
+ *
+ * @function encodePrefix
+ * @param {SealedHeader} header - Header to store
+ * @returns {Buffer}
+ */
+function encodePrefix(header) {
+  const json = Buffer.from(JSON.stringify(header), "utf8");
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(json.length);
+  return Buffer.concat([MAGIC, length, json]);
+}
+
+/**
+ * Derives the 32-byte content key from a password and KDF description.
+ * Parameters come from the file header, so excessive costs are refused
+ * rather than letting a crafted file exhaust memory or CPU.
+ *
+ * @function deriveKey
+ * @param {string} password - Password
+ * @param {Object} kdf - `kdf` entry of a {@link SealedHeader}
+ * @returns {Buffer}
+ * @throws {Error} If the KDF is unknown or its parameters are out of range
+ */
+function deriveKey(password, kdf) {
+  const salt = Buffer.from(kdf.salt, "base64");
+  if (kdf.name === "scrypt") {
+    const { N, r, p } = kdf;
+    const memory = 128 * N * r;
+    if (
+      ![N, r, p].every(Number.isSafeInteger) ||
+      !(memory > 0 && memory <= MAX_SCRYPT_MEMORY) ||
+      !(p > 0 && p <= MAX_SCRYPT_P) ||
+      N * r * p > MAX_SCRYPT_WORK
+    ) {
+      throw new Error("scrypt parameters in the file header are out of range");
+    }
+    return crypto.scryptSync(password, salt, KEY_BYTES, {
+      N,
+      r,
+      p,
+      maxmem: 2 * memory,
+    });
+  }
+  if (kdf.name === "pbkdf2") {
+    if (!(kdf.iterations > 0 && kdf.iterations <= MAX_PBKDF2_ITERATIONS)) {
+      throw new Error("PBKDF2 iterations in the file header are out of range");
+    }
+    return crypto.pbkdf2Sync(
+      password,
+      salt,
+      kdf.iterations,
+      KEY_BYTES,
+      kdf.digest
+    );
+  }
+  throw new Error(`Unsupported KDF: ${kdf.name}`);
+}
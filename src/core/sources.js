@@ -0,0 +1,294 @@
+// src/core/sources.js
+import fs from "fs";
+import readline from "readline";
+import { pipeline } from "stream";
+import { parse } from "csv-parse";
+import { ImportFormatError } from "./error.js";
+import { readXlsxRecords } from "./xlsx.js";
+import { detectCsvDialect, openCsvStream } from "./csvDialect.js";
+
+/**
+ * Streaming record readers. Each reader is an async generator yielding
+ * one record at a time, so memory use does not grow with file size.
+ *
+ * Readers take an optional `onRead(bytesRead)` callback reporting how far
+ * into the file they have read, which progress reporting uses to
+ * estimate the record count (see `pipeline.js`).
+ */
+
+/**
+ * @typedef {Object} ReaderOptions
+ * @property {(bytesRead: number) => void} [onRead] - Called as the file is read
+ */
+
+/**
+ * Chunk size for file reads.
+ * @type {number}
+ */
+const READ_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Whether a path looks like newline-delimited JSON (`.ndjson` / `.jsonl`).
+ *
+ * @function isNdjsonPath
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+export function isNdjsonPath(filePath) {
+  return /\.(ndjson|jsonl)$/i.test(filePath);
+}
+
+/**
+ * Bytes read from the start of a `.json` file to tell an array from
+ * NDJSON.
+ * @type {number}
+ */
+const SNIFF_BYTES = 4096;
+
+/**
+ * Detects a record file's format from its extension. A `.json` file
+ * whose content opens with `{` rather than `[` is NDJSON, as written by
+ * `mongoexport` unless given `--jsonArray`.
+ *
+ * @function recordFormatOf
+ * @param {string} filePath - File path
+ * @returns {"json"|"ndjson"|"csv"|"xlsx"}
+ */
+export function recordFormatOf(filePath) {
+  if (/\.csv$/i.test(filePath)) return "csv";
+  if (/\.xlsx$/i.test(filePath)) return "xlsx";
+  if (isNdjsonPath(filePath)) return "ndjson";
+  return opensWithDocument(filePath) ? "ndjson" : "json";
+}
+
+/**
+ * Whether a file's first non-blank character is `{`.
+ *
+ * @function opensWithDocument
+ * @param {string} filePath - File path
+ * @returns {boolean} False also when the file cannot be read
+ */
+function opensWithDocument(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, "r");
+    const head = Buffer.alloc(SNIFF_BYTES);
+    const length = fs.readSync(fd, head, 0, SNIFF_BYTES, 0);
+    return /^\uFEFF?\s*\{/.test(head.toString("utf8", 0, length));
+  } catch {
+    return false;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Opens the streaming reader matching a file's format.
+ *
+ * @function openRecordSource
+ * @param {string} filePath - Path to a `.json`, `.ndjson`/`.jsonl`, `.csv`
+ *   or `.xlsx` file (its first visible sheet)
+ * @param {ReaderOptions} [options]
+ * @returns {AsyncIterable<Object>} Records
+ */
+export function openRecordSource(filePath, options) {
+  const readers = {
+    json: readJsonArray,
+    ndjson: readNdjson,
+    csv: readCsvRecords,
+    xlsx: readXlsxRecords,
+  };
+  return readers[recordFormatOf(filePath)](filePath, options);
+}
+
+/**
+ * Streams the elements of a top-level JSON array.
+ * Only one element is buffered at a time; each is parsed with `JSON.parse`.
+ *
+ * @async
+ * @generator
+ * @function readJsonArray
+ * @param {string} filePath - Path to a file containing a JSON array
+ * @param {ReaderOptions} [options]
+ * @yields {*} Each array element
+ * @throws {ImportFormatError} If the root is not an array or the JSON is malformed
+ *
+ * @example
+ * for await (const record of readJsonArray("./data.json")) { ... }
+ */
+export async function* readJsonArray(filePath, options = {}) {
+  const stream = fs.createReadStream(filePath, {
+    encoding: "utf8",
+    highWaterMark: READ_CHUNK_SIZE,
+  });
+
+  let started = false; // saw the opening "["
+  let ended = false; // saw the closing "]"
+  let depth = 0; // nesting depth inside the current element
+  let inString = false;
+  let escaped = false;
+  let element = ""; // text of the element being read
+  let index = 0;
+
+  const parseElement = (text) => {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new ImportFormatError(
+        `Invalid JSON in array element ${index}: ${err.message}`
+      );
+    }
+  };
+
+  for await (const chunk of stream) {
+    options.onRead?.(stream.bytesRead);
+    let start = 0; // start of the unconsumed slice in this chunk
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+
+      if (ended) {
+        if (!/\s/.test(ch)) throw invalidJson("unexpected data after array");
+        continue;
+      }
+      if (!started) {
+        if (/\s/.test(ch) || ch === "\uFEFF") continue;
+        if (ch !== "[") throw new ImportFormatError(ROOT_NOT_ARRAY);
+        started = true;
+        start = i + 1;
+        continue;
+      }
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === "{" || ch === "[") {
+        depth++;
+      } else if (ch === "}" || ch === "]") {
+        if (depth > 0) {
+          depth--;
+          continue;
+        }
+        // Closing bracket of the root array
+        if (ch !== "]") throw invalidJson("unbalanced brackets");
+        element += chunk.slice(start, i);
+        if (element.trim()) {
+          yield parseElement(element);
+        } else if (index > 0) {
+          throw invalidJson("trailing comma");
+        }
+        element = "";
+        ended = true;
+      } else if (ch === "," && depth === 0) {
+        element += chunk.slice(start, i);
+        if (!element.trim()) throw invalidJson("empty array element");
+        yield parseElement(element);
+        index++;
+        element = "";
+        start = i + 1;
+      }
+    }
+    if (started && !ended) element += chunk.slice(start);
+  }
+
+  if (!ended) throw invalidJson("unexpected end of file");
+}
+
+/**
+ * Streams records from newline-delimited JSON (one document per line).
+ * Blank lines are skipped.
+ *
+ * @async
+ * @generator
+ * @function readNdjson
+ * @param {string} filePath - Path to an NDJSON file
+ * @param {ReaderOptions} [options]
+ * @yields {*} Each parsed line
+ * @throws {ImportFormatError} If a line is not valid JSON
+ */
+export async function* readNdjson(filePath, options = {}) {
+  const input = trackReads(
+    fs.createReadStream(filePath, { encoding: "utf8" }),
+    options.onRead
+  );
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    const text = lineNumber === 1 ? line.replace(/^\uFEFF/, "") : line;
+    if (!text.trim()) continue;
+    try {
+      yield JSON.parse(text);
+    } catch (err) {
+      throw new ImportFormatError(
+        `Invalid JSON on line ${lineNumber}: ${err.message}`
+      );
+    }
+  }
+}
+
+/**
+ * Streams CSV rows as objects keyed by header, using async `csv-parse`.
+ * The charset, delimiter and quote character are detected unless given
+ * (see `csvDialect.js`).
+ *
+ * @function readCsvRecords
+ * @param {string} filePath - Path to a CSV file
+ * @param {ReaderOptions & {dialect?: import("./csvDialect.js").CsvDialect}} [options]
+ * @returns {AsyncIterable<Object>} Parsed rows
+ */
+export function readCsvRecords(filePath, options = {}) {
+  const dialect = options.dialect ?? detectCsvDialect(filePath);
+  const parser = parse({
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    delimiter: dialect.delimiter,
+    quote: dialect.quote,
+    escape: dialect.quote,
+    from_line: dialect.fromLine,
+  });
+  // pipeline() forwards read errors to the parser, so iteration rejects
+  const { file, stream } = openCsvStream(filePath, dialect);
+  trackReads(file, options.onRead);
+  pipeline(stream, parser, () => {});
+  return parser;
+}
+
+/**
+ * Reports a piped file stream's read position on every chunk.
+ *
+ * @function trackReads
+ * @param {import("fs").ReadStream} stream - Stream consumed by a pipe/readline
+ * @param {(bytesRead: number) => void} [onRead] - Position callback
+ * @returns {import("fs").ReadStream} The same stream
+ */
+function trackReads(stream, onRead) {
+  // Safe only because the consumer already reads in flowing mode
+  if (onRead) stream.on("data", () => onRead(stream.bytesRead));
+  return stream;
+}
+
+/**
+ * Message used when a JSON file's root is not an array.
+ * @type {string}
+ */
+const ROOT_NOT_ARRAY = "JSON root must be an array of records.";
+
+/**
+ * Builds the error for malformed JSON input.
+ *
+ * @function invalidJson
+ * @param {string} detail - What went wrong
+ * @returns {ImportFormatError}
+ */
+function invalidJson(detail) {
+  return new ImportFormatError(
+    `Invalid JSON format (${detail}). Make sure your file contains a valid JSON array.`
+  );
+}
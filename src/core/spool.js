@@ -0,0 +1,124 @@
+// src/core/spool.js
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import readline from "readline";
+import { once } from "events";
+import { finished } from "stream/promises";
+
+/**
+ * Temporary store for the results of an interactive import, so they can
+ * be exported after the table is shown without holding them all in
+ * memory.
+ *
+ * Rows are appended to a file in the system temp directory, one line
+ * each, encrypted with AES-256-GCM under a random key that only this
+ * process knows: decrypted values never sit on disk in the clear, and
+ * a spool left behind by a crash cannot be read.
+ */
+
+const NONCE_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * @typedef {Object} Spool
+ * @property {(row: Object) => Promise<void>} write - Appends a row
+ * @property {() => AsyncGenerator<Object>} replay - Rows in order; can be called again
+ * @property {() => Promise<void>} discard - Closes and removes the file
+ * @property {() => number} count - Rows written
+ */
+
+/**
+ * Creates an empty spool.
+ *
+ * @function createSpool
+ * @returns {Spool}
+ *
+ * @example
+ * const spool = createSpool();
+ * await spool.write({ _id: "a1", status: "decrypted" });
+ * for await (const row of spool.replay()) console.log(row);
+ * await spool.discard();
+ */
+export function createSpool() {
+  const key = crypto.randomBytes(32);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "truehear-"));
+  const file = path.join(dir, "results.spool");
+  const stream = fs.createWriteStream(file, { mode: 0o600 });
+  let rows = 0;
+  let closed = false;
+
+  return {
+    async write(row) {
+      rows++;
+      if (!stream.write(`${sealLine(key, JSON.stringify(row))}\n`)) {
+        await once(stream, "drain");
+      }
+    },
+    async *replay() {
+      if (!closed) {
+        closed = true;
+        stream.end();
+        await finished(stream);
+      }
+      const input = fs.createReadStream(file, { encoding: "utf8" });
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+      try {
+        for await (const line of lines) {
+          if (line) yield JSON.parse(openLine(key, line));
+        }
+      } finally {
+        input.destroy(); // also when the caller stops early
+      }
+    },
+    async discard() {
+      if (!closed) {
+        closed = true;
+        stream.end();
+        await finished(stream);
+      }
+      key.fill(0);
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    },
+    count: () => rows,
+  };
+}
+
+/**
+ * Encrypts one line: base64 of nonce, ciphertext and tag.
+ *
+ * @function sealLine
+ * @param {Buffer} key - 32-byte key
+ * @param {string} text - Plaintext line
+ * @returns {string}
+ */
+export function sealLine(key, text) {
+  const nonce = crypto.randomBytes(NONCE_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, nonce);
+  const body = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return Buffer.concat([nonce, body, cipher.getAuthTag()]).toString("base64");
+}
+
+/**
+ * Decrypts a line written by {@link sealLine}.
+ *
+ * @function openLine
+ * @param {Buffer} key - 32-byte key
+ * @param {string} line - Base64 line
+ * @returns {string}
+ * @throws {Error} If the line was modified or the key is wrong
+ */
+export function openLine(key, line) {
+  const bytes = Buffer.from(line, "base64");
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    bytes.subarray(0, NONCE_BYTES)
+  );
+  decipher.setAuthTag(bytes.subarray(bytes.length - TAG_BYTES));
+  return Buffer.concat([
+    decipher.update(bytes.subarray(NONCE_BYTES, bytes.length - TAG_BYTES)),
+    decipher.final(),
+  ]).toString("utf8");
+}
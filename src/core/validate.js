@@ -1,23 +1,31 @@
 // src/core/validate.js
+import { CIPHER_SUITES, DEFAULT_CIPHER_SUITE } from "../utils/EncDec.js";
+
 /**
  * Validation utilities for cryptographic parameters and inputs.
  * Provides consistent validation with clear error messages.
  */
 
 /**
- * Validates an AES encryption key format.
+ * Validates an AES encryption key format for a cipher suite.
  * 
  * @function validateKey
  * @param {string} input - The key to validate
+ * @param {string} [suite="aes-256-cbc"] - Cipher suite (see `CIPHER_SUITES`)
  * @returns {true|string} Returns true if valid, or an error message if invalid
  * 
  * @example
  * validateKey('1234...') // "Key must be a 64-character hexadecimal string"
  * validateKey('a1b2...64chars') // true
+ * validateKey('a1b2...32chars', 'aes-128-cbc') // true
  */
-export const validateKey = (input) =>
-  /^[0-9a-fA-F]{64}$/.test(input.trim()) ||
-  "Key must be a 64-character hexadecimal string";
+export const validateKey = (input, suite = DEFAULT_CIPHER_SUITE) => {
+  const chars = (CIPHER_SUITES[suite]?.keyBytes ?? 32) * 2;
+  return (
+    new RegExp(`^[0-9a-fA-F]{${chars}}$`).test(input.trim()) ||
+    `Key must be a ${chars}-character hexadecimal string`
+  );
+};
 /**
  * Validates an AES initialization vector (IV) format.
  * 
@@ -45,3 +53,161 @@ export const validateIV = (input) =>
  */
 export const validateEncryptedKey = (input) =>
   input.trim() !== "" || "Encrypted key cannot be empty";
+/**
+ * Why a decrypted value, though readable, is not a valid value for its
+ * field. Exported per field as `reasonCode` with status `invalid`.
+ * @readonly
+ * @enum {string}
+ */
+export const InvalidReason = Object.freeze({
+  /** Not nine digits once dashes and whitespace are removed */
+  FORMAT: "invalid-format",
+  /** Area number 000, 666 or 900–999 */
+  AREA: "invalid-area",
+  /** Group number 00 */
+  GROUP: "invalid-group",
+  /** Serial number 0000 */
+  SERIAL: "invalid-serial",
+});
+/**
+ * Normalizes an SSN to `AAA-GG-SSSS`, accepting it with or without
+ * dashes and with stray whitespace.
+ *
+ * @function normalizeSsn
+ * @param {string} input - Decrypted value
+ * @returns {string|null} Normalized SSN, or null if it is not nine digits
+ *
+ * @example
+ * normalizeSsn(" 123 45 6789 ") // "123-45-6789"
+ * normalizeSsn("123456789")     // "123-45-6789"
+ * normalizeSsn("12-345")        // null
+ */
+export const normalizeSsn = (input) => {
+  const digits = String(input).replace(/[\s-]/g, "");
+  if (!/^\d{9}$/.test(digits)) return null;
+  return `${digits.slice(0, 3)}-${digits.slice(3, 5)}-${digits.slice(5)}`;
+};
+/**
+ * Normalizes an SSN and checks its structure: area 000, 666 and 9xx,
+ * group 00 and serial 0000 are never issued.
+ *
+ * @function validateSsn
+ * @param {string} input - Decrypted value
+ * @returns {{value: string, code: string|null, message: string|null}}
+ *   Normalized value (the input unchanged if it could not be normalized)
+ *   and, when invalid, one of {@link InvalidReason} with a message
+ *
+ * @example
+ * validateSsn("123456789") // { value: "123-45-6789", code: null, message: null }
+ * validateSsn("666-12-3456") // { value: "666-12-3456", code: "invalid-area", message: "..." }
+ */
+export const validateSsn = (input) => {
+  const value = normalizeSsn(input);
+  if (value === null) {
+    return {
+      value: input,
+      code: InvalidReason.FORMAT,
+      message: "SSN must be 9 digits (AAA-GG-SSSS)",
+    };
+  }
+  const [area, group, serial] = value.split("-");
+  if (area === "000" || area === "666" || area.startsWith("9")) {
+    return {
+      value,
+      code: InvalidReason.AREA,
+      message: `SSN area number ${area} is never issued`,
+    };
+  }
+  if (group === "00") {
+    return {
+      value,
+      code: InvalidReason.GROUP,
+      message: "SSN group number 00 is never issued",
+    };
+  }
+  if (serial === "0000") {
+    return {
+      value,
+      code: InvalidReason.SERIAL,
+      message: "SSN serial number 0000 is never issued",
+    };
+  }
+  return { value, code: null, message: null };
+};
+/**
+ * Value validators selectable per field with `"validate": "<name>"`
+ * in the field mapping.
+ * @type {Record<string, (input: string) => {value: string, code: string|null, message: string|null}>}
+ */
+export const VALUE_VALIDATORS = {
+  ssn: validateSsn,
+};
+/**
+ * Describes the expected shape of a configuration value for
+ * {@link validateSchema}.
+ *
+ * @typedef {Object} Schema
+ * @property {"string"|"number"|"boolean"|"object"|"array"} [type] - Expected type
+ * @property {Array<*>} [enum] - Allowed values
+ * @property {Record<string, Schema>} [properties] - Known keys of an object;
+ *   any other key is reported as unknown (catches typos)
+ * @property {Schema} [values] - Schema of every value of an object used as
+ *   a map (e.g. named profiles)
+ * @property {string[]} [required] - Keys an object must have
+ * @property {Schema} [items] - Schema of every array element
+ * @property {(value: *) => (true|string)} [check] - Further validation,
+ *   with the same contract as the validators above
+ */
+/**
+ * Validates a value (typically parsed configuration) against a schema
+ * and collects every problem instead of stopping at the first one.
+ *
+ * @function validateSchema
+ * @param {*} value - Value to check
+ * @param {Schema} schema - Expected shape
+ * @param {string} [where=""] - Dotted path of `value`, prefixed to messages
+ * @returns {string[]} Problems, e.g. `profiles.prod.exportFormat: must be one of json, csv (got "xml")`; empty if valid
+ *
+ * @example
+ * validateSchema({ exportFormat: "xml" }, { type: "object", properties: { exportFormat: { enum: ["json", "csv"] } } })
+ * // ['exportFormat: must be one of json, csv (got "xml")']
+ */
+export const validateSchema = (value, schema, where = "") => {
+  const at = where || "(root)";
+  let actual = typeof value;
+  if (Array.isArray(value)) actual = "array";
+  else if (value === null) actual = "null";
+  if (schema.type && actual !== schema.type) {
+    return [`${at}: must be of type ${schema.type} (got ${actual})`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [
+      `${at}: must be one of ${schema.enum.join(", ")} (got ${JSON.stringify(value)})`,
+    ];
+  }
+  const problems = [];
+  const child = (key) => (where ? `${where}.${key}` : key);
+  if (actual === "object") {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) problems.push(`${child(key)}: is required`);
+    }
+    for (const [key, entry] of Object.entries(value)) {
+      const entrySchema = schema.properties?.[key] ?? schema.values;
+      if (entrySchema) {
+        problems.push(...validateSchema(entry, entrySchema, child(key)));
+      } else if (schema.properties) {
+        problems.push(`${child(key)}: unknown setting`);
+      }
+    }
+  }
+  if (actual === "array" && schema.items) {
+    value.forEach((item, i) =>
+      problems.push(...validateSchema(item, schema.items, `${at}[${i}]`))
+    );
+  }
+  if (problems.length === 0 && schema.check) {
+    const result = schema.check(value);
+    if (result !== true) problems.push(`${at}: ${result}`);
+  }
+  return problems;
+};
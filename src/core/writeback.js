@@ -0,0 +1,117 @@
+// src/core/writeback.js
+import { resolveField, setFieldValue } from "./fields.js";
+
+/**
+ * Write-back exports: instead of one `{ _id, status, fields }` result per
+ * record, the input records themselves are written out with their
+ * decrypted values, so the file can be loaded straight back into the
+ * system it came from.
+ *
+ * Every other field keeps its value, type and position: JSON documents
+ * keep their key order and nesting, CSV rows their column order. Modes:
+ *  • replace   – each ciphertext is replaced by its plaintext
+ *  • alongside – the ciphertext stays and the plaintext is added right
+ *                after it, as `<field>_decrypted`
+ *
+ * Values that could not be decrypted keep their ciphertext (`replace`)
+ * or get an empty companion (`alongside`); the run summary reports them.
+ * Plaintexts are masked with each field's `export` policy first, like
+ * any export (see `masking.js`). CSV cells, plaintexts included, are
+ * written as they are unless the writer is asked to neutralize formulas
+ * (`escapeFormulas`, see `writers.js`), which then covers every cell.
+ */
+
+/**
+ * Accepted write-back modes.
+ * @type {string[]}
+ */
+export const WRITE_BACK_MODES = ["replace", "alongside"];
+
+/**
+ * Appended to a field's name for its plaintext in `alongside` mode.
+ * @type {string}
+ */
+export const DECRYPTED_SUFFIX = "_decrypted";
+
+/**
+ * Why records cannot be written back with these fields and mode, if
+ * they cannot: in `alongside` mode a value held directly in an array
+ * (e.g. `aliases[]`) has no key to put its plaintext next to.
+ *
+ * @function writeBackProblem
+ * @param {import("./fields.js").FieldSpec[]} fields - Encrypted fields
+ * @param {string} mode - One of {@link WRITE_BACK_MODES}
+ * @returns {string|null} Reason, or null if fine
+ *
+ * @example
+ * writeBackProblem(normalizeFieldSpecs(["aliases[]"]), "alongside");
+ * // "aliases[] holds values directly in an array, ..."
+ */
+export function writeBackProblem(fields, mode) {
+  if (mode !== "alongside") return null;
+  const inArray = fields.find(
+    ({ segments }) => segments[segments.length - 1].indexes.length > 0
+  );
+  if (!inArray) return null;
+  return `${inArray.path} holds values directly in an array, so there is no key to add the plaintext next to; use --write-back replace`;
+}
+
+/**
+ * Writes a record's decrypted values back into it (mutates and returns
+ * the record).
+ *
+ * @function writeBackRecord
+ * @param {Object} record - JSON document or CSV row the result came from
+ * @param {import("./result.js").RecordResult} result - Its decryption
+ *   result, already masked for export
+ * @param {import("./fields.js").FieldSpec[]} fields - Encrypted fields
+ * @param {string} mode - One of {@link WRITE_BACK_MODES}
+ * @returns {Object} The record
+ *
+ * @example
+ * writeBackRecord({ _id: "1", ssn: "7d22...", zip: 10001 }, result, specs, "alongside");
+ * // { _id: "1", ssn: "7d22...", ssn_decrypted: "123-45-6789", zip: 10001 }
+ */
+export function writeBackRecord(record, result, fields, mode) {
+  for (const spec of fields) {
+    for (const match of resolveField(record, spec)) {
+      const plaintext = result.fields[match.key]?.plaintext ?? null;
+      if (mode === "replace") {
+        if (plaintext !== null) setFieldValue(match, plaintext);
+      } else if (match.container) {
+        insertAfter(
+          match.container,
+          match.property,
+          `${match.property}${DECRYPTED_SUFFIX}`,
+          plaintext
+        );
+      }
+    }
+  }
+  return record;
+}
+
+/**
+ * Sets `key` on an object, placing it right after `property` (or last,
+ * if `property` is absent) so the key order, and thus CSV column order,
+ * stays predictable.
+ *
+ * @function insertAfter
+ * @param {Object} container - Object to update (mutated)
+ * @param {string} property - Existing key to follow
+ * @param {string} key - Key to add
+ * @param {*} value - Its value
+ * @returns {void}
+ */
+function insertAfter(container, property, key, value) {
+  if (Object.hasOwn(container, key)) {
+    container[key] = value;
+    return;
+  }
+  const entries = Object.entries(container);
+  const at = entries.findIndex(([name]) => name === property);
+  entries.splice(at === -1 ? entries.length : at + 1, 0, [key, value]);
+  // Objects keep insertion order, so rebuild from the reordered entries
+  for (const name of Object.keys(container)) delete container[name];
+  for (const [name, entry] of entries) container[name] = entry;
+}
@@ -0,0 +1,238 @@
+// src/core/writers.js
+import fs from "fs";
+import path from "path";
+import { once } from "events";
+import { finished } from "stream/promises";
+import { flattenResult } from "./result.js";
+import { SEALED_EXTENSION, createSealedStream } from "./sealed.js";
+import { toExtendedJson } from "./ejson.js";
+import { createXlsxWorkbook } from "./xlsx.js";
+
+/**
+ * Incremental result writers. Rows are written as they arrive so large
+ * batches never have to be held in memory.
+ */
+
+/**
+ * Supported output formats (lowercase, as used in file extensions).
+ * @type {string[]}
+ */
+export const OUTPUT_FORMATS = ["json", "csv", "ndjson", "xlsx"];
+
+/**
+ * Output formats holding flat rows, which cannot nest documents.
+ * @type {string[]}
+ */
+export const TABLE_FORMATS = ["csv", "xlsx"];
+
+/**
+ * Cell text a spreadsheet would evaluate as a formula (CSV injection).
+ * @type {RegExp}
+ */
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Plain numbers such as `-12.5`, which are left as they are.
+ * @type {RegExp}
+ */
+const PLAIN_NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * @typedef {Object} ResultWriter
+ * @property {(row: Object) => Promise<void>} write - Appends one row (waits on backpressure)
+ * @property {() => Promise<void>} close - Writes any trailer and closes the file
+ * @property {() => Promise<void>} abort - Closes and deletes the file, so no
+ *   truncated output is left behind after a failure
+ * @property {() => number} count - Rows written so far
+ * @property {() => string[]} omittedColumns - CSV/XLSX columns that first
+ *   appeared after the header was written, whose values were left out
+ */
+
+/**
+ * Opens a streaming writer for the given format.
+ * JSON output matches `JSON.stringify(rows, null, 2)`; NDJSON writes one
+ * compact row per line. CSV and XLSX write the given `headers`, else the
+ * first row's columns (see {@link collectColumns} to cover every row).
+ * XLSX rows are deflated as they arrive and the workbook is written on
+ * close (see `xlsx.js`).
+ *
+ * CSV cells that a spreadsheet would run as a formula (starting with `=`,
+ * `+`, `-`, `@`, tab or carriage return) are prefixed with `'`, so opening
+ * an export cannot execute anything. XLSX cells are always written as
+ * text, never as formulas.
+ *
+ * @function createResultWriter
+ * @param {string} filepath - Destination path (overwritten)
+ * @param {string} format - One of {@link OUTPUT_FORMATS}
+ * @param {Object} [options]
+ * @param {boolean} [options.flatten=true] - Flatten per-field results for CSV/XLSX;
+ *   disable when writing source records rather than results
+ * @param {string} [options.password] - Seal the file with this password
+ *   (see `sealed.js`); the plaintext never touches the disk
+ * @param {string} [options.kdf] - KDF for sealing (see `SEAL_KDFS`)
+ * @param {string} [options.ejson] - Write JSON/NDJSON rows as `canonical`
+ *   or `relaxed` MongoDB Extended JSON (see `ejson.js`); CSV/XLSX are unaffected
+ * @param {string[]} [options.headers] - CSV/XLSX columns (default: the first row's)
+ * @param {boolean} [options.escapeFormulas=true] - Neutralize formula cells in
+ *   CSV; disable for ciphertext, which may start with `+` (base64), and for
+ *   records written back unless asked, so they load back unchanged
+ * @returns {ResultWriter}
+ * @throws {Error} If the format is unsupported or the password too short
+ *
+ * @example
+ * const writer = createResultWriter("out.csv", "csv");
+ * await writer.write({ _id: "1", status: "decrypted" });
+ * await writer.close();
+ */
+export function createResultWriter(filepath, format, options = {}) {
+  const {
+    flatten = true,
+    escapeFormulas = true,
+    password,
+    kdf,
+    ejson,
+  } = options;
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  // `stream` takes the text; `file` is what reaches the disk
+  let stream;
+  let file;
+  if (password) {
+    const name = path.basename(filepath, SEALED_EXTENSION);
+    ({ stream, file } = createSealedStream(
+      filepath,
+      password,
+      { format, name },
+      { kdf }
+    ));
+  } else {
+    stream = file = fs.createWriteStream(filepath, { encoding: "utf8" });
+  }
+  let written = 0;
+  let headers = options.headers ?? null;
+  const omitted = new Set();
+  const known = new Set(headers);
+  // XLSX rows go into the workbook's sheet, which reaches `stream` on close
+  const workbook = format === "xlsx" ? createXlsxWorkbook() : null;
+  const target = workbook?.stream ?? stream;
+
+  const put = async (text) => {
+    if (!target.write(text)) await once(target, "drain");
+  };
+
+  const document = (row) => (ejson ? toExtendedJson(row, ejson) : row);
+  // CSV/XLSX: header before the first row, then the row's cells in header
+  // order; `line(values, isHeader)` serializes one row
+  const tableRow = (row, line) => {
+    const flat = flatten ? flattenResult(row) : row;
+    let text = "";
+    if (written === 0) {
+      headers ??= Object.keys(flat);
+      headers.forEach((h) => known.add(h));
+      text = line(headers, true);
+    }
+    for (const key of Object.keys(flat)) {
+      if (!known.has(key)) omitted.add(key);
+    }
+    const cells = headers.map((h) => flat[h]);
+    return text + line(cells, false);
+  };
+  const encoders = {
+    json: (row) =>
+      (written === 0 ? "[\n" : ",\n") +
+      JSON.stringify(document(row), null, 2).replace(/^/gm, "  "),
+    ndjson: (row) => `${JSON.stringify(document(row))}\n`,
+    csv: (row) =>
+      tableRow(
+        row,
+        (values, isHeader) =>
+          (isHeader ? "" : "\n") + toCsvLine(values, escapeFormulas)
+      ),
+    xlsx: (row) => tableRow(row, (values) => workbook.row(values)),
+  };
+
+  const trailers = {
+    json: () => (written === 0 ? "[]" : "\n]"),
+    ndjson: () => "",
+    csv: () => "",
+  };
+
+  return {
+    async write(row) {
+      await put(encoders[format](row));
+      written++;
+    },
+    async close() {
+      stream.end(workbook ? await workbook.finish() : trailers[format]());
+      await finished(file);
+    },
+    async abort() {
+      workbook?.stream.destroy();
+      stream.end();
+      await finished(file);
+      await fs.promises.rm(filepath, { force: true });
+    },
+    count: () => written,
+    omittedColumns: () => [...omitted],
+  };
+}
+
+/**
+ * Columns of every row as CSV/XLSX would write them, in order of first
+ * appearance, so rows with fields missing from the first (e.g. longer
+ * arrays) still get a column.
+ *
+ * @async
+ * @function collectColumns
+ * @param {Iterable<Object>|AsyncIterable<Object>} rows - Rows to be written
+ * @param {boolean} [flatten=true] - Whether the writer flattens results
+ * @returns {Promise<string[]>}
+ */
+export async function collectColumns(rows, flatten = true) {
+  const columns = new Set();
+  for await (const row of rows) {
+    for (const key of Object.keys(flatten ? flattenResult(row) : row)) {
+      columns.add(key);
+    }
+  }
+  return [...columns];
+}
+
+/**
+ * Serializes values as one CSV line, quoting every cell.
+ *
+ * @function toCsvLine
+ * @param {Array<*>} values - Cell values (null/undefined become empty)
+ * @param {boolean} [escapeFormulas=false] - Prefix formula cells with `'`
+ *   (see {@link neutralizeFormula})
+ * @returns {string}
+ */
+export function toCsvLine(values, escapeFormulas = false) {
+  return values
+    .map((v) => {
+      const text = String(v ?? "");
+      const cell = escapeFormulas ? neutralizeFormula(text) : text;
+      return `"${cell.replace(/"/g, '""')}"`;
+    })
+    .join(",");
+}
+
+/**
+ * Prefixes text a spreadsheet would evaluate as a formula with `'`, which
+ * makes it plain text. Plain numbers such as `-3` are left alone.
+ *
+ * @function neutralizeFormula
+ * @param {string} text - Cell text
+ * @returns {string}
+ *
+ * @example
+ * neutralizeFormula('=HYPERLINK("http://x")') // '\'=HYPERLINK("http://x")'
+ * neutralizeFormula("-3")                      // "-3"
+ */
+export function neutralizeFormula(text) {
+  return FORMULA_START.test(text) && !PLAIN_NUMBER.test(text)
+    ? `'${text}`
+    : text;
+}
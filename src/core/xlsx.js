@@ -0,0 +1,876 @@
+// src/core/xlsx.js
+import path from "path";
+import { StringDecoder } from "string_decoder";
+import { ImportFormatError } from "./error.js";
+import {
+  buildZip,
+  createEntryStream,
+  deflateEntry,
+  openZipEntry,
+  readZipEntries,
+  readZipEntry,
+} from "../utils/zip.js";
+
+/**
+ * Excel workbooks (`.xlsx`), read and written without a spreadsheet
+ * library: a workbook is a ZIP archive of XML parts (see `utils/zip.js`).
+ *
+ * Reading streams one worksheet row by row. Rows above the header row
+ * (titles, notes) and empty rows are skipped; each other row becomes an
+ * object keyed by header, like a CSV row. Cells come back as trimmed
+ * strings, numbers or booleans, and cells formatted as dates as ISO
+ * text (`2024-03-01`, `2024-03-01T09:30:00`). The header row is:
+ *  • the row given as `headerRow`, else
+ *  • the first row naming `_id` or an encrypted field, else
+ *  • the first of the widest all-text rows near the top
+ *
+ * Column names are matched to encrypted fields loosely (case, spaces
+ * and punctuation ignored), so "Social Security Number" holds
+ * `socialSecurityNumber` (see {@link mapFieldColumns}).
+ *
+ * Writing produces a single-sheet workbook with a bold, frozen header
+ * row; text is stored inline, so rows can be deflated as they arrive.
+ */
+
+/**
+ * Most rows an Excel worksheet can hold.
+ * @type {number}
+ */
+export const MAX_ROWS = 1048576;
+
+/** Non-empty rows searched for a header when none is named. */
+const HEADER_SCAN_ROWS = 20;
+
+/** Name of the sheet in written workbooks. */
+const SHEET_NAME = "Sheet1";
+
+/** Relationship types, by their last path segment. */
+const RELATIONSHIP_TYPES = {
+  officeDocument: "/officeDocument",
+  worksheet: "/worksheet",
+  sharedStrings: "/sharedStrings",
+  styles: "/styles",
+};
+
+/** Built-in number formats showing a date or time. */
+const DATE_FORMAT_IDS = new Set([
+  14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
+  45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58,
+]);
+
+/** Day zero of the 1900 and 1904 date systems, in ms since the epoch. */
+const EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EPOCH_1904 = Date.UTC(1904, 0, 1);
+
+const DAY_SECONDS = 86400;
+
+/**
+ * XML element pattern; matches prefixed names (`x:row`) too.
+ *
+ * @function elementPattern
+ * @param {string} name - Local element name
+ * @returns {RegExp} Global pattern capturing attributes and content
+ *   (undefined for self-closing elements)
+ */
+function elementPattern(name) {
+  return new RegExp(
+    `<(?:[\\w.-]+:)?${name}(?=[\\s/>])([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/(?:[\\w.-]+:)?${name}>)`,
+    "g"
+  );
+}
+
+const CELL_PATTERN = elementPattern("c");
+
+/**
+ * @typedef {Object} XlsxSheet
+ * @property {string} name - Sheet name
+ * @property {number|null} headerRow - Spreadsheet row number of the
+ *   header, or null for an empty sheet
+ * @property {string[]} headers - Column names, left to right
+ * @property {AsyncIterable<Object>} records - Rows below the header, keyed
+ *   by column name (empty cells as `""`)
+ */
+
+/**
+ * Names of a workbook's visible worksheets, in tab order.
+ *
+ * @function listXlsxSheets
+ * @param {string} filePath - `.xlsx` file
+ * @returns {string[]}
+ * @throws {ImportFormatError} If the file is not a readable workbook
+ */
+export function listXlsxSheets(filePath) {
+  return openWorkbook(filePath)
+    .sheets.filter((sheet) => !sheet.hidden)
+    .map((sheet) => sheet.name);
+}
+
+/**
+ * Opens a worksheet and finds its header row; the rows below it are then
+ * streamed through `records`.
+ *
+ * @async
+ * @function openXlsxSheet
+ * @param {string} filePath - `.xlsx` file
+ * @param {Object} [options]
+ * @param {string|number} [options.sheet] - Sheet name, or 1-based
+ *   position (default: the first visible sheet)
+ * @param {number} [options.headerRow] - Spreadsheet row number of the
+ *   header (default: detected)
+ * @param {import("./fields.js").FieldSpec[]} [options.fields] - Encrypted
+ *   fields, whose names mark the header row
+ * @param {(bytesRead: number) => void} [options.onRead] - Called as the
+ *   file is read
+ * @returns {Promise<XlsxSheet>}
+ * @throws {ImportFormatError} If the file is not a readable workbook,
+ *   the sheet does not exist or the header row is empty
+ *
+ * @example
+ * const sheet = await openXlsxSheet("./patients.xlsx", { sheet: "Export" });
+ * for await (const row of sheet.records) { ... }
+ */
+export async function openXlsxSheet(filePath, options = {}) {
+  const { headerRow, fields = [], onRead } = options;
+  const workbook = openWorkbook(filePath);
+  const sheet = pickSheet(workbook.sheets, options.sheet);
+  const entry = sheet.path && workbook.entries.get(sheet.path);
+  if (!entry) {
+    throw new ImportFormatError(
+      `Sheet "${sheet.name}" is not a worksheet or is missing from the workbook.`
+    );
+  }
+  const context = {
+    sharedStrings: workbook.readSharedStrings(),
+    dateStyles: workbook.readDateStyles(),
+    date1904: workbook.date1904,
+  };
+  const rows = readRows(filePath, entry, context, onRead);
+
+  // Rows read while looking for the header that belong below it
+  let pending = [];
+  let header;
+  if (headerRow) {
+    while (!header) {
+      const { value: row, done } = await rows.next();
+      if (done || row.number > headerRow) break;
+      if (row.number === headerRow && !isEmptyRow(row)) header = row;
+    }
+    if (!header) {
+      throw new ImportFormatError(
+        `Row ${headerRow} of sheet "${sheet.name}" is empty, so it cannot be the header row.`
+      );
+    }
+  } else {
+    const scanned = [];
+    while (scanned.length < HEADER_SCAN_ROWS) {
+      const { value: row, done } = await rows.next();
+      if (done) break;
+      if (!isEmptyRow(row)) scanned.push(row);
+    }
+    header = detectHeaderRow(scanned, fields);
+    pending = scanned.slice(scanned.indexOf(header) + 1);
+  }
+
+  // Columns without a name are not read
+  const columns = (header?.values ?? [])
+    .map((value, index) => ({ index, name: cellText(value) }))
+    .filter(({ name }) => name !== "");
+  const toRecord = (row) => {
+    const record = {};
+    for (const { index, name } of columns) {
+      const value = row.values[index];
+      record[name] = value === undefined || value === null ? "" : value;
+    }
+    return record;
+  };
+
+  return {
+    name: sheet.name,
+    headerRow: header?.number ?? null,
+    headers: columns.map(({ name }) => name),
+    records: (async function* () {
+      if (!header) return;
+      for (const row of pending) yield toRecord(row);
+      for await (const row of rows) {
+        if (!isEmptyRow(row)) yield toRecord(row);
+      }
+    })(),
+  };
+}
+
+/**
+ * Streams the rows of a workbook's first visible sheet, as
+ * {@link openXlsxSheet} does; for readers that only need the records
+ * (see `openRecordSource` in `sources.js`).
+ *
+ * @async
+ * @generator
+ * @function readXlsxRecords
+ * @param {string} filePath - `.xlsx` file
+ * @param {Object} [options] - See {@link openXlsxSheet}
+ * @yields {Object} Rows keyed by column name
+ * @throws {ImportFormatError} If the workbook cannot be read
+ */
+export async function* readXlsxRecords(filePath, options = {}) {
+  yield* (await openXlsxSheet(filePath, options)).records;
+}
+
+/**
+ * Points flat encrypted fields at the columns holding them when no
+ * column has the field's exact path but one matches its path or label
+ * loosely (see {@link normalizeName}). The field keeps its original name
+ * in results, as its label.
+ *
+ * @function mapFieldColumns
+ * @param {import("./fields.js").FieldSpec[]} fields - Encrypted fields
+ * @param {string[]} headers - Column names
+ * @returns {{fields: import("./fields.js").FieldSpec[], mapped: Array<{path: string, column: string}>}}
+ *   Fields to decrypt with, and the fields that were remapped
+ *
+ * @example
+ * mapFieldColumns(normalizeFieldSpecs(["socialSecurityNumber"]), ["ID", "Social Security Number"]);
+ * // { fields: [{ path: "Social Security Number", label: "socialSecurityNumber", ... }],
+ * //   mapped: [{ path: "socialSecurityNumber", column: "Social Security Number" }] }
+ */
+export function mapFieldColumns(fields, headers) {
+  const mapped = [];
+  const mappedFields = fields.map((spec) => {
+    if (!isColumnField(spec) || headers.includes(spec.path)) return spec;
+    const wanted = [spec.path, spec.label].filter(Boolean).map(normalizeName);
+    const column = headers.find((name) => wanted.includes(normalizeName(name)));
+    if (!column) return spec;
+    mapped.push({ path: spec.path, column });
+    return {
+      ...spec,
+      path: column,
+      label: spec.label ?? spec.path,
+      segments: [{ key: column, indexes: [] }],
+    };
+  });
+  return { fields: mappedFields, mapped };
+}
+
+/**
+ * Column holding record ids: `_id`, else one named like "ID" or "Id".
+ *
+ * @function idColumnOf
+ * @param {string[]} headers - Column names
+ * @returns {string|undefined}
+ */
+export function idColumnOf(headers) {
+  return (
+    headers.find((name) => name === "_id") ??
+    headers.find((name) => normalizeName(name) === "id")
+  );
+}
+
+/**
+ * Opens a workbook for writing. Rows are rendered with `row()` and
+ * written to `stream`, which deflates them straight away; `finish()`
+ * ends the sheet and assembles the `.xlsx` file.
+ *
+ * @function createXlsxWorkbook
+ * @returns {{stream: import("stream").Writable, row: (values: Array<*>) => string, finish: () => Promise<Buffer>}}
+ *
+ * @example
+ * const workbook = createXlsxWorkbook();
+ * workbook.stream.write(workbook.row(["_id", "SSN"]));
+ * workbook.stream.write(workbook.row(["1", "123-45-6789"]));
+ * fs.writeFileSync("out.xlsx", await workbook.finish());
+ */
+export function createXlsxWorkbook() {
+  const { stream, entry } = createEntryStream("xl/worksheets/sheet1.xml");
+  stream.write(SHEET_HEAD);
+  let rows = 0;
+
+  return {
+    stream,
+    row(values) {
+      if (rows === MAX_ROWS) {
+        throw new Error(
+          `XLSX sheets hold at most ${MAX_ROWS.toLocaleString("en-US")} rows; export as csv or ndjson instead`
+        );
+      }
+      rows++;
+      // The first row is the header, shown in bold (style 1)
+      const style = rows === 1 ? ' s="1"' : "";
+      const cells = values
+        .map((value, index) =>
+          cellXml(`${columnName(index)}${rows}`, value, style)
+        )
+        .join("");
+      return `<row r="${rows}">${cells}</row>`;
+    },
+    async finish() {
+      stream.end(SHEET_TAIL);
+      return buildZip([
+        ...WORKBOOK_PARTS.map(([name, xml]) => deflateEntry(name, xml)),
+        await entry,
+      ]);
+    },
+  };
+}
+
+/**
+ * Reads the parts describing a workbook: its sheets and the date system.
+ * Shared strings and styles are read on demand.
+ *
+ * @function openWorkbook
+ * @param {string} filePath - `.xlsx` file
+ * @returns {{entries: Map<string, import("../utils/zip.js").ZipEntry>, sheets: Array<{name: string, hidden: boolean, path: string|undefined}>, date1904: boolean, readSharedStrings: () => string[], readDateStyles: () => Set<number>}}
+ * @throws {ImportFormatError} If the file is not a readable workbook
+ */
+function openWorkbook(filePath) {
+  let entries;
+  try {
+    entries = readZipEntries(filePath);
+  } catch (err) {
+    throw notAWorkbook(filePath, err.message);
+  }
+  const read = (name) => {
+    const entry = name && entries.get(name);
+    return entry ? readZipEntry(filePath, entry).toString("utf8") : null;
+  };
+
+  const workbookPath =
+    readRelationships(read, "").find(({ type }) =>
+      type.endsWith(RELATIONSHIP_TYPES.officeDocument)
+    )?.target ?? "xl/workbook.xml";
+  const workbookXml = read(workbookPath);
+  if (workbookXml === null) throw notAWorkbook(filePath, "no workbook part");
+  const relationships = readRelationships(read, workbookPath);
+  const targetOf = (type) =>
+    relationships.find((rel) => rel.type.endsWith(type))?.target;
+
+  const sheets = [...workbookXml.matchAll(elementPattern("sheet"))].map(
+    ([, attributes]) => {
+      const attrs = parseAttributes(attributes);
+      // The relationship id is `r:id`, whatever the prefix
+      const [, id] =
+        Object.entries(attrs).find(([name]) => /(^|:)id$/.test(name)) ?? [];
+      const rel = relationships.find((candidate) => candidate.id === id);
+      return {
+        name: attrs.name ?? "",
+        hidden: attrs.state === "hidden" || attrs.state === "veryHidden",
+        path: rel?.type.endsWith(RELATIONSHIP_TYPES.worksheet)
+          ? rel.target
+          : undefined,
+      };
+    }
+  );
+  const [, properties = ""] =
+    elementPattern("workbookPr").exec(workbookXml) ?? [];
+  const { date1904 } = parseAttributes(properties);
+
+  return {
+    entries,
+    sheets,
+    date1904: date1904 === "1" || date1904 === "true",
+    readSharedStrings: () =>
+      parseSharedStrings(read(targetOf(RELATIONSHIP_TYPES.sharedStrings))),
+    readDateStyles: () =>
+      parseDateStyles(read(targetOf(RELATIONSHIP_TYPES.styles))),
+  };
+}
+
+/**
+ * Picks the sheet to read: by name (ignoring case), else by 1-based
+ * position, else the first visible sheet.
+ *
+ * @function pickSheet
+ * @param {Array<{name: string, hidden: boolean}>} sheets - Workbook sheets
+ * @param {string|number} [wanted] - Requested sheet
+ * @returns {Object} The sheet
+ * @throws {ImportFormatError} If there is no such sheet
+ */
+function pickSheet(sheets, wanted) {
+  if (sheets.length === 0) {
+    throw new ImportFormatError("The workbook has no sheets.");
+  }
+  if (wanted === undefined || wanted === null || wanted === "") {
+    return sheets.find((sheet) => !sheet.hidden) ?? sheets[0];
+  }
+  const text = String(wanted).trim();
+  const byName = sheets.find(
+    (sheet) => sheet.name.toLowerCase() === text.toLowerCase()
+  );
+  if (byName) return byName;
+  const position = /^\d+$/.test(text) ? Number(text) : 0;
+  if (position >= 1 && position <= sheets.length) return sheets[position - 1];
+  throw new ImportFormatError(
+    `Sheet "${text}" not found; the workbook has ${sheets.map((sheet) => `"${sheet.name}"`).join(", ")}.`
+  );
+}
+
+/**
+ * Streams a worksheet's rows as `{ number, values }`, `values` being
+ * indexed by column (sparse where cells are absent).
+ *
+ * @async
+ * @generator
+ * @function readRows
+ * @param {string} filePath - `.xlsx` file
+ * @param {import("../utils/zip.js").ZipEntry} entry - Worksheet part
+ * @param {{sharedStrings: string[], dateStyles: Set<number>, date1904: boolean}} context
+ * @param {(bytesRead: number) => void} [onRead] - Read position callback
+ * @yields {{number: number, values: Array<*>}}
+ */
+async function* readRows(filePath, entry, context, onRead) {
+  const decoder = new StringDecoder("utf8");
+  const rowPattern = elementPattern("row");
+  let text = "";
+  let previous = 0;
+  for await (const chunk of openZipEntry(filePath, entry, onRead)) {
+    text += decoder.write(chunk);
+    // Only complete rows match; the rest waits for the next chunk
+    let consumed = 0;
+    rowPattern.lastIndex = 0;
+    let match;
+    while ((match = rowPattern.exec(text))) {
+      consumed = rowPattern.lastIndex;
+      const { r } = parseAttributes(match[1]);
+      // Row and cell references are optional; without them, count on
+      previous = r ? Number(r) : previous + 1;
+      yield { number: previous, values: parseCells(match[2] ?? "", context) };
+    }
+    text = text.slice(consumed);
+  }
+}
+
+/**
+ * Values of a row's cells, by column index.
+ *
+ * @function parseCells
+ * @param {string} xml - Content of a `<row>` element
+ * @param {{sharedStrings: string[], dateStyles: Set<number>, date1904: boolean}} context
+ * @returns {Array<*>}
+ */
+function parseCells(xml, context) {
+  const values = [];
+  let column = -1;
+  for (const [, attributes, content = ""] of xml.matchAll(CELL_PATTERN)) {
+    const attrs = parseAttributes(attributes);
+    column = attrs.r ? columnIndex(attrs.r) : column + 1;
+    values[column] = cellValue(attrs, content, context);
+  }
+  return values;
+}
+
+/**
+ * Value of one cell: text (shared, inline or a formula's result),
+ * a number, a boolean, or ISO text for numbers formatted as dates.
+ *
+ * @function cellValue
+ * @param {Object} attrs - Cell attributes (`t` type, `s` style)
+ * @param {string} content - Cell content
+ * @param {{sharedStrings: string[], dateStyles: Set<number>, date1904: boolean}} context
+ * @returns {string|number|boolean|null} Null for empty cells
+ */
+function cellValue(attrs, content, context) {
+  if (attrs.t === "inlineStr") {
+    const [, , inline = ""] = elementPattern("is").exec(content) ?? [];
+    return richText(inline).trim();
+  }
+  const [, , raw] = elementPattern("v").exec(content) ?? [];
+  if (raw === undefined) return null;
+  const value = unescapeXml(raw);
+  switch (attrs.t) {
+    case "s":
+      return (context.sharedStrings[Number(value)] ?? "").trim();
+    case "b":
+      return value === "1" || value === "true";
+    case "str": // formula result
+    case "e": // error such as #N/A
+    case "d": // ISO date
+      return decodeEscapes(value).trim();
+    default: {
+      const number = Number(value);
+      if (value.trim() === "" || !Number.isFinite(number)) return value.trim();
+      return context.dateStyles.has(Number(attrs.s ?? 0))
+        ? serialToDate(number, context.date1904)
+        : number;
+    }
+  }
+}
+
+/**
+ * Chooses the header row among the first non-empty rows (see the module
+ * description).
+ *
+ * @function detectHeaderRow
+ * @param {Array<{number: number, values: Array<*>}>} rows - Non-empty rows
+ * @param {import("./fields.js").FieldSpec[]} fields - Encrypted fields
+ * @returns {{number: number, values: Array<*>}|undefined}
+ */
+function detectHeaderRow(rows, fields) {
+  const names = new Set(
+    [
+      "_id",
+      ...fields
+        .filter(isColumnField)
+        .flatMap((spec) => [spec.path, spec.label]),
+    ]
+      .filter(Boolean)
+      .map(normalizeName)
+  );
+  const named = rows.find((row) =>
+    row.values.some(
+      (value) => typeof value === "string" && names.has(normalizeName(value))
+    )
+  );
+  if (named) return named;
+
+  const filled = (row) => row.values.filter((value) => cellText(value) !== "");
+  const widest = Math.max(0, ...rows.map((row) => filled(row).length));
+  return (
+    rows.find(
+      (row) =>
+        filled(row).length === widest &&
+        filled(row).every((value) => typeof value === "string")
+    ) ?? rows[0]
+  );
+}
+
+/**
+ * Whether a field addresses a single top-level column (no nesting or
+ * array indexes), and so can be matched to a header.
+ *
+ * @function isColumnField
+ * @param {import("./fields.js").FieldSpec} spec - Field spec
+ * @returns {boolean}
+ */
+function isColumnField(spec) {
+  return spec.segments.length === 1 && spec.segments[0].indexes.length === 0;
+}
+
+/**
+ * Loose form of a column or field name: lowercase letters and digits.
+ *
+ * @function normalizeName
+ * @param {string} name - Name
+ * @returns {string}
+ *
+ * @example
+ * normalizeName("Social Security #") // "socialsecurity"
+ */
+function normalizeName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+/**
+ * Trimmed text of a cell value; empty for empty cells.
+ *
+ * @function cellText
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function cellText(value) {
+  return value === undefined || value === null ? "" : String(value).trim();
+}
+
+/**
+ * Whether a row has no non-empty cell.
+ *
+ * @function isEmptyRow
+ * @param {{values: Array<*>}} row - Row
+ * @returns {boolean}
+ */
+function isEmptyRow(row) {
+  return row.values.every((value) => cellText(value) === "");
+}
+
+/**
+ * Reads a part's relationships (`_rels/<name>.rels`), with targets
+ * resolved to entry names.
+ *
+ * @function readRelationships
+ * @param {(name: string) => (string|null)} read - Reads an entry's text
+ * @param {string} part - Part the relationships belong to ("" for the package)
+ * @returns {Array<{id: string, type: string, target: string}>}
+ */
+function readRelationships(read, part) {
+  const dir = path.posix.dirname(part);
+  const xml =
+    read(path.posix.join(dir, "_rels", `${path.posix.basename(part)}.rels`)) ??
+    "";
+  return [...xml.matchAll(elementPattern("Relationship"))].map(
+    ([, attributes]) => {
+      const { Id = "", Type = "", Target = "" } = parseAttributes(attributes);
+      // Targets are relative to the part's folder, or absolute from the root
+      const target = Target.startsWith("/")
+        ? Target.slice(1)
+        : path.posix.normalize(path.posix.join(dir, Target));
+      return { id: Id, type: Type, target };
+    }
+  );
+}
+
+/**
+ * Parses the shared string table.
+ *
+ * @function parseSharedStrings
+ * @param {string|null} xml - `sharedStrings.xml`, if the workbook has one
+ * @returns {string[]}
+ */
+function parseSharedStrings(xml) {
+  if (!xml) return [];
+  return [...xml.matchAll(elementPattern("si"))].map(([, , content = ""]) =>
+    richText(content)
+  );
+}
+
+/**
+ * Indexes of cell styles whose number format shows a date or time.
+ *
+ * @function parseDateStyles
+ * @param {string|null} xml - `styles.xml`, if the workbook has one
+ * @returns {Set<number>}
+ */
+function parseDateStyles(xml) {
+  const styles = new Set();
+  if (!xml) return styles;
+  const custom = new Map(
+    [...xml.matchAll(elementPattern("numFmt"))].map(([, attributes]) => {
+      const { numFmtId, formatCode = "" } = parseAttributes(attributes);
+      return [Number(numFmtId), formatCode];
+    })
+  );
+  const [, , cellXfs = ""] = elementPattern("cellXfs").exec(xml) ?? [];
+  [...cellXfs.matchAll(elementPattern("xf"))].forEach(([, attributes], i) => {
+    const id = Number(parseAttributes(attributes).numFmtId ?? 0);
+    const isDate = custom.has(id)
+      ? isDateFormatCode(custom.get(id))
+      : DATE_FORMAT_IDS.has(id);
+    if (isDate) styles.add(i);
+  });
+  return styles;
+}
+
+/**
+ * Whether a custom number format shows a date or time: it has day,
+ * month, year, hour or second tokens outside quoted text, escaped
+ * characters and `[...]` sections (colours, locales).
+ *
+ * @function isDateFormatCode
+ * @param {string} code - Format code, e.g. `yyyy-mm-dd`
+ * @returns {boolean}
+ */
+function isDateFormatCode(code) {
+  return /[dmyhs]/i.test(code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, ""));
+}
+
+/**
+ * ISO text of a date serial number: a date, a date and time, or a time
+ * of day (serials below 1).
+ *
+ * @function serialToDate
+ * @param {number} serial - Days since the epoch of the date system
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 system
+ * @returns {string}
+ *
+ * @example
+ * serialToDate(45352, false)     // "2024-03-01"
+ * serialToDate(45352.396, false) // "2024-03-01T09:30:14"
+ */
+function serialToDate(serial, date1904) {
+  // Excel's 1900 system counts 1900-02-29, which never existed
+  const days = !date1904 && serial < 60 ? serial + 1 : serial;
+  const seconds = Math.round(days * DAY_SECONDS);
+  const iso = new Date(
+    (date1904 ? EPOCH_1904 : EPOCH_1900) + seconds * 1000
+  ).toISOString();
+  if (serial < 1) return iso.slice(11, 19);
+  return seconds % DAY_SECONDS === 0 ? iso.slice(0, 10) : iso.slice(0, 19);
+}
+
+/**
+ * Text of a string item: its `<t>` runs, without phonetic guides.
+ *
+ * @function richText
+ * @param {string} xml - Content of `<si>` or `<is>`
+ * @returns {string}
+ */
+function richText(xml) {
+  const text = xml.replace(elementPattern("rPh"), "");
+  return [...text.matchAll(elementPattern("t"))]
+    .map(([, , content = ""]) => decodeEscapes(unescapeXml(content)))
+    .join("");
+}
+
+/**
+ * Parses XML attributes into an object (entities decoded).
+ *
+ * @function parseAttributes
+ * @param {string} text - Attribute text of a tag
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(text) {
+  const attrs = {};
+  for (const [, name, double, single] of text.matchAll(
+    /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+  )) {
+    attrs[name] = unescapeXml(double ?? single);
+  }
+  return attrs;
+}
+
+/** Predefined XML entities. */
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+/**
+ * Decodes XML entities and character references.
+ *
+ * @function unescapeXml
+ * @param {string} text - XML text
+ * @returns {string}
+ */
+function unescapeXml(text) {
+  return text.replace(
+    /&(?:#x([0-9a-f]+)|#(\d+)|(amp|lt|gt|quot|apos));/gi,
+    (entity, hex, decimal, name) => {
+      if (hex) return String.fromCodePoint(parseInt(hex, 16));
+      if (decimal) return String.fromCodePoint(Number(decimal));
+      return ENTITIES[name.toLowerCase()];
+    }
+  );
+}
+
+/**
+ * Decodes Excel's `_xHHHH_` escapes, used for characters XML cannot
+ * hold (and `_x005F_` for a literal underscore before such a pattern).
+ *
+ * @function decodeEscapes
+ * @param {string} text - Cell text
+ * @returns {string}
+ */
+function decodeEscapes(text) {
+  return text.replace(/_x([0-9a-f]{4})_/gi, (escape, hex) =>
+    String.fromCharCode(parseInt(hex, 16))
+  );
+}
+
+/**
+ * Escapes cell text for XML, the reverse of {@link unescapeXml} and
+ * {@link decodeEscapes}.
+ *
+ * @function escapeCellText
+ * @param {string} text - Cell text
+ * @returns {string}
+ */
+function escapeCellText(text) {
+  return text
+    .replace(/_(x[0-9a-f]{4}_)/gi, "_x005F_$1")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(
+      /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g,
+      (char) =>
+        `_x${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, "0")}_`
+    );
+}
+
+/**
+ * XML of one cell; empty for null, undefined and empty strings. Text is
+ * written inline, never as a formula, whatever it starts with.
+ *
+ * @function cellXml
+ * @param {string} ref - Cell reference, e.g. `B2`
+ * @param {*} value - Cell value (objects as JSON text)
+ * @param {string} style - Style attribute, or ""
+ * @returns {string}
+ */
+function cellXml(ref, value, style) {
+  if (value === undefined || value === null || value === "") return "";
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+  }
+  if (typeof value === "boolean") {
+    return `<c r="${ref}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeCellText(text)}</t></is></c>`;
+}
+
+/**
+ * Column letters of a 0-based column index (`0` → `A`, `26` → `AA`).
+ *
+ * @function columnName
+ * @param {number} index - Column index
+ * @returns {string}
+ */
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * 0-based column index of a cell reference (`B12` → `1`).
+ *
+ * @function columnIndex
+ * @param {string} ref - Cell reference
+ * @returns {number}
+ */
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/i.exec(ref)?.[0].toUpperCase() ?? "A";
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Builds the error for files that are not XLSX workbooks.
+ *
+ * @function notAWorkbook
+ * @param {string} filePath - File
+ * @param {string} detail - What went wrong
+ * @returns {ImportFormatError}
+ */
+function notAWorkbook(filePath, detail) {
+  return new ImportFormatError(
+    `${path.basename(filePath)} is not a readable XLSX workbook (${detail}). Older .xls files must be saved as .xlsx first.`
+  );
+}
+
+const XML_DECLARATION =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const RELS_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+const DOC_RELS =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+/** Start of a written worksheet, with the header row frozen. */
+const SHEET_HEAD = `${XML_DECLARATION}<worksheet xmlns="${MAIN_NS}" xmlns:r="${DOC_RELS}"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>`;
+
+const SHEET_TAIL = "</sheetData></worksheet>";
+
+/**
+ * Fixed parts of a written workbook, as `[entry name, XML]`.
+ * @type {Array<[string, string]>}
+ */
+const WORKBOOK_PARTS = [
+  [
+    "[Content_Types].xml",
+    `${XML_DECLARATION}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`,
+  ],
+  [
+    "_rels/.rels",
+    `${XML_DECLARATION}<Relationships xmlns="${RELS_NS}"><Relationship Id="rId1" Type="${DOC_RELS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+  ],
+  [
+    "xl/workbook.xml",
+    `${XML_DECLARATION}<workbook xmlns="${MAIN_NS}" xmlns:r="${DOC_RELS}"><sheets><sheet name="${SHEET_NAME}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+  ],
+  [
+    "xl/_rels/workbook.xml.rels",
+    `${XML_DECLARATION}<Relationships xmlns="${RELS_NS}"><Relationship Id="rId1" Type="${DOC_RELS}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${DOC_RELS}/styles" Target="styles.xml"/></Relationships>`,
+  ],
+  [
+    "xl/styles.xml",
+    `${XML_DECLARATION}<styleSheet xmlns="${MAIN_NS}"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs><cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>`,
+  ],
+];
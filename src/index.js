@@ -1,52 +1,126 @@
 /**
  * @fileoverview
  * Entry point for the TrueHear Decryption CLI.
- * Allows AES-256-CBC decryption through manual entry or JSON import.
+ * Allows AES-256-CBC decryption through manual entry or JSON import,
+ * and encryption of values or whole files.
  * Designed for terminal use with graceful error handling and export options.
+ * Subcommands (see `src/cli/commands.js`) run the same flows without prompts;
+ * with no subcommand the interactive menu starts.
  */
 
 import chalk from "chalk";
-import { askForCredentials, mainMenu, promptCsvFile, promptJsonFile } from "./cli/prompt.js";
+import { isMainThread } from "worker_threads";
+import { hideBin } from "yargs/helpers";
+import {
+  askForCredentials,
+  mainMenu,
+  promptCsvFile,
+  promptJsonFile,
+  promptKeyringFile,
+  promptProfile,
+  promptRecordFile,
+  promptSheet,
+  promptXlsxFile,
+} from "./cli/prompt.js";
 import { EncDec } from "./utils/EncDec.js";
 import { handleDecryptionFlow } from "./core/decrypt.js";
 import { handleJsonImportFlow } from "./core/importJson.js";
 import { handleUnexpectedError } from "./core/error.js";
 import { handleCsvImportFlow } from "./core/importCsv.js";
+import { handleXlsxImportFlow } from "./core/importXlsx.js";
+import { runCli } from "./cli/commands.js";
+import {
+  handleEncryptionFlow,
+  handleFileEncryptionFlow,
+} from "./core/encrypt.js";
+import { handleRotationFlow } from "./core/rotate.js";
+import { Keyring, loadKeyring } from "./core/keyring.js";
+import { startAuditSession } from "./core/audit.js";
+import { saveActiveCheckpoint } from "./core/checkpoint.js";
+import { resolveCredentialSource } from "./core/credentials.js";
+import { listProfiles, resolveSetting, selectProfile } from "./core/config.js";
 
 /**
  * Global encryption/decryption handler instance.
- * @type {EncDec}
+ * Becomes a {@link Keyring} once a keyring file is loaded.
+ * @type {EncDec|Keyring}
  */
 let encdec;
 
+/**
+ * Key entered at startup; always tried first, even with a keyring loaded.
+ * @type {EncDec}
+ */
+let enteredEncdec;
+
+/**
+ * Set once Ctrl+C has been handled, so a second press does not save twice.
+ * @type {boolean}
+ */
+let interrupted = false;
+
 /**
  * Handle graceful shutdown on Ctrl+C.
  * Prevents raw exit and gives user-friendly message.
+ * An import in progress saves its checkpoint first (see `core/checkpoint.js`).
+ * Exits with 130 (128 + SIGINT), so scripts can tell an interrupted run
+ * from a finished one.
  * @event SIGINT
  */
-process.on("SIGINT", () => {
+process.on("SIGINT", async () => {
+  if (interrupted) return;
+  interrupted = true;
   console.log(chalk.yellow("\n❌ Process interrupted by user. Exiting...\n"));
-  process.exit(0);
+  try {
+    if (await saveActiveCheckpoint()) {
+      console.log(
+        chalk.yellow(
+          "💾 Progress saved; importing the same file again resumes it."
+        )
+      );
+    }
+  } catch (err) {
+    console.error(chalk.red(`Could not save progress: ${err.message}`));
+  }
+  process.exit(130);
 });
 
 /**
  * Starts the interactive CLI flow.
- * Handles user authentication and menu loop.
+ * Handles profile selection, user authentication and menu loop.
  * Wraps entire lifecycle in error handling.
  *
  * @async
  * @function start
+ * @param {string} [profile] - Profile from `--profile` or `$TRUEHEAR_PROFILE`;
+ *   asked for when omitted and `app-config.json` defines profiles
  * @returns {Promise<void>}
  */
-async function start() {
+async function start(profile) {
   try {
     // Clear terminal and show app banner
     console.clear();
     showBanner();
-    // Prompt user to input AES credentials
-    const { key, iv } = await askForCredentials();
-    // Initialize encryption instance with the provided key/iv
-    encdec = new EncDec(key, iv);
+    // Settings (fields, masking, export defaults, key file) come from the profile
+    const profiles = listProfiles();
+    if (!profile && profiles.length) profile = await promptProfile(profiles);
+    selectProfile(profile);
+    // Use configured credentials if any, else prompt for them
+    const { key, iv, suite, from } = await obtainCredentials();
+    // Initialize encryption instance with the provided key/iv and suite
+    enteredEncdec = new EncDec(key, iv, {
+      suite,
+      encoding: resolveSetting("encoding"),
+      passphrase: process.env.AES_PASSPHRASE,
+    });
+    encdec = enteredEncdec;
+    // Every interactive session is recorded in the audit log
+    startAuditSession({
+      mode: "interactive",
+      suite,
+      profile: profile || null,
+      credentials: from,
+    });
 
     let running = true;
 
@@ -63,13 +137,75 @@ async function start() {
         case "import": {
           // Prompt for .json path and run import/decrypt
           const path = await promptJsonFile();
-          await handleJsonImportFlow(encdec, path);
+          await handleJsonImportFlow(encdec, path, { reenterCredentials });
           break;
         }
         case "importCsv":
           const csvPath = await promptCsvFile();
-          await handleCsvImportFlow(encdec, csvPath);
+          await handleCsvImportFlow(encdec, csvPath, { reenterCredentials });
+          break;
+
+        case "importXlsx": {
+          // Ask for the sheet when the workbook has several
+          const xlsxPath = await promptXlsxFile();
+          await handleXlsxImportFlow(encdec, xlsxPath, {
+            reenterCredentials,
+            chooseSheet: promptSheet,
+          });
+          break;
+        }
+
+        // Manual entry + encryption
+        case "encrypt":
+          await handleEncryptionFlow(encdec);
+          break;
+
+        case "encryptFile": {
+          // Prompt for a plaintext file and write an encrypted copy
+          const recordPath = await promptRecordFile([
+            "The configured fields will be encrypted in place.",
+            "The result is saved next to it as <name>.encrypted.<ext>.",
+          ]);
+          await handleFileEncryptionFlow(encdec, recordPath);
+          break;
+        }
+
+        case "rotate": {
+          // Current credentials are the old key; ask for the new pair
+          const rotatePath = await promptRecordFile([
+            "Records are re-encrypted from the current key to a new one.",
+            "The result is saved next to it as <name>.rotated.<ext>.",
+          ]);
+          const next = await askForCredentials("New AES Credentials");
+          await handleRotationFlow(
+            encdec,
+            new EncDec(next.key, next.iv, { suite: next.suite }),
+            rotatePath
+          );
+          break;
+        }
+
+        case "keyring": {
+          // Entered key first, then the keyring's keys in file order
+          const keyringPath = await promptKeyringFile();
+          try {
+            const keyring = loadKeyring(keyringPath, {
+              suite: resolveSetting("suite"),
+              encoding: resolveSetting("encoding"),
+              passphrase: process.env.AES_PASSPHRASE,
+            });
+            encdec = new Keyring([
+              { id: "entered", encdec: enteredEncdec },
+              ...keyring.entries,
+            ]);
+            console.log(
+              chalk.green(`\n✅ Keyring loaded: ${encdec.ids.join(", ")}\n`)
+            );
+          } catch (err) {
+            console.log(chalk.red(`\n❌ ${err.message}\n`));
+          }
           break;
+        }
 
         case "exit":
           // User chooses to exit
@@ -85,6 +221,57 @@ async function start() {
   }
 }
 
+/**
+ * Gets the startup credentials without a prompt when the active profile,
+ * the environment or the config provides them (see `credentials.js`),
+ * else through the masked prompt. A broken source is reported and the
+ * prompt is used instead.
+ *
+ * @async
+ * @function obtainCredentials
+ * @returns {Promise<{key: string, iv: string, suite: string, from: string}>}
+ */
+async function obtainCredentials() {
+  try {
+    const found = resolveCredentialSource({});
+    if (found) {
+      console.log(chalk.green(`🔑 Using credentials from ${found.from}\n`));
+      return found;
+    }
+  } catch (err) {
+    console.log(chalk.red(`\n❌ ${err.message}\n`));
+  }
+  return { ...(await askForCredentials()), from: "prompt" };
+}
+
+/**
+ * Asks for the key/IV again after the sample check flagged them as wrong.
+ * Replaces the entered key; with a keyring loaded, its other keys stay.
+ *
+ * @async
+ * @function reenterCredentials
+ * @returns {Promise<EncDec|Keyring>} The utility to use from now on
+ */
+async function reenterCredentials() {
+  const { key, iv, suite } = await askForCredentials(
+    "Re-enter AES Credentials"
+  );
+  const fresh = new EncDec(key, iv, {
+    suite,
+    encoding: resolveSetting("encoding"),
+    passphrase: process.env.AES_PASSPHRASE,
+  });
+  encdec =
+    encdec instanceof Keyring
+      ? new Keyring([
+          { id: "entered", encdec: fresh },
+          ...encdec.entries.filter((entry) => entry.encdec !== enteredEncdec),
+        ])
+      : fresh;
+  enteredEncdec = fresh;
+  return encdec;
+}
+
 /**
  * Displays the application banner and usage instructions.
  * Helps orient users with available functionality.
@@ -97,7 +284,9 @@ function showBanner() {
   console.log(
     chalk.gray("💡 A secure CLI tool to decrypt AES-encrypted data.")
   );
-  console.log(chalk.gray("📂 Supports manual entry and JSON file imports."));
+  console.log(
+    chalk.gray("📂 Supports manual entry, JSON/CSV/XLSX imports and encryption.")
+  );
   console.log(
     chalk.gray("🛑 Exit at any time using ") +
       chalk.yellow("Ctrl+C") +
@@ -106,5 +295,7 @@ function showBanner() {
   console.log(chalk.whiteBright("----------------------------------------\n"));
 }
 
-// Run the application
-start();
+// Run the application (interactive menu unless a subcommand is given).
+// Decryption workers load the bundled CLI too (see `core/parallel.js`).
+if (isMainThread) runCli(hideBin(process.argv), start);
+
@@ -1,40 +1,104 @@
+import crypto from "crypto";
 import CryptoJS from "crypto-js";
+import { CIPHERTEXT_ENCODINGS, decodePayload } from "./encoding.js";
+import {
+  AuthenticationError,
+  DecryptionError,
+  FailureReason,
+} from "../core/error.js";
+
+/**
+ * Supported cipher suites and their key sizes.
+ *  • aes-256-cbc – the original TrueHear format (default)
+ *  • aes-128-cbc – legacy data with 16-byte keys
+ *  • aes-256-gcm – authenticated; the 16-byte tag follows the ciphertext
+ * @type {Record<string, {keyBytes: number, mode: "cbc"|"gcm"}>}
+ */
+export const CIPHER_SUITES = Object.freeze({
+  "aes-256-cbc": { keyBytes: 32, mode: "cbc" },
+  "aes-128-cbc": { keyBytes: 16, mode: "cbc" },
+  "aes-256-gcm": { keyBytes: 32, mode: "gcm" },
+});
+
+/** @type {string} */
+export const DEFAULT_CIPHER_SUITE = "aes-256-cbc";
+
+/** GCM auth tag length in bytes. */
+const GCM_TAG_BYTES = 16;
+
+/** Fresh GCM nonce length in bytes. */
+const GCM_NONCE_BYTES = 12;
 
 /**
  * EncDec – Utility class for:
- *  • AES-256-CBC encryption / decryption (PKCS#7 padding)
+ *  • AES-256-CBC encryption / decryption (PKCS#7 padding), plus the
+ *    AES-128-CBC and AES-256-GCM suites (see `CIPHER_SUITES`)
+ *  • Ciphertext in hex, base64, base64url, OpenSSL `Salted__` or
+ *    `iv:ciphertext` form (see `encoding.js`)
  *  • SHA-256 hashing
  *
- * Pure-JS implementation (crypto-js) → safe in pkg-built executables.
+ * CBC uses crypto-js; GCM, which crypto-js lacks, uses Node's built-in
+ * `crypto`. Both are safe in pkg-built executables.
  */
 export class EncDec {
   /**
-   * @param {string} secretKeyHex 64-char hex string (32 bytes)
+   * @param {string} secretKeyHex 64-char hex string (32 bytes; 32 chars for AES-128)
    * @param {string} ivHex        32-char hex string (16 bytes)
+   * @param {Object} [options]
+   * @param {string} [options.suite="aes-256-cbc"] Cipher suite (key of `CIPHER_SUITES`)
+   * @param {string} [options.encoding="auto"] Ciphertext encoding accepted by
+   *        decryption (one of `CIPHERTEXT_ENCODINGS`); `auto` detects it per value
+   * @param {string} [options.passphrase] Passphrase for OpenSSL `Salted__` payloads
    * @throws {Error} If key/IV format invalid
    */
-  constructor(secretKeyHex, ivHex) {
+  constructor(secretKeyHex, ivHex, options = {}) {
     try {
-      if (!/^[0-9a-fA-F]{64}$/.test(secretKeyHex))
-        throw new Error("Secret key must be 64-character hexadecimal");
+      const { suite = DEFAULT_CIPHER_SUITE, encoding = "auto", passphrase } =
+        options;
+      const spec = CIPHER_SUITES[suite];
+      if (!spec) throw new Error(`Unsupported cipher suite: ${suite}`);
+      const keyChars = spec.keyBytes * 2;
+      if (!new RegExp(`^[0-9a-fA-F]{${keyChars}}$`).test(secretKeyHex))
+        throw new Error(`Secret key must be ${keyChars}-character hexadecimal`);
       if (!/^[0-9a-fA-F]{32}$/.test(ivHex))
         throw new Error("IV must be 32-character hexadecimal");
 
       /** @private */ this.key = CryptoJS.enc.Hex.parse(secretKeyHex);
       /** @private */ this.iv = CryptoJS.enc.Hex.parse(ivHex);
+      /** @readonly */ this.suite = suite;
+      /** @private */ this.mode = spec.mode;
+
+      if (!CIPHERTEXT_ENCODINGS.includes(encoding))
+        throw new Error(`Unsupported ciphertext encoding: ${encoding}`);
+      /** @private */ this.encoding = encoding;
+      /** @private */ this.passphrase = passphrase;
     } catch (err) {
       throw new Error(`EncDec init failed: ${err.message}`);
     }
   }
 
   /**
-   * Encrypt plaintext with AES-256-CBC.
+   * Encrypt plaintext with the configured suite.
+   * CBC returns hex ciphertext under the configured IV. GCM never reuses
+   * a nonce: it returns `<nonce>:<ciphertext+tag>` (hex) with a fresh
+   * 12-byte nonce per value.
    * @param   {string} plaintext UTF-8 string
-   * @returns {string} Ciphertext (hex)
+   * @returns {string} Ciphertext (hex, or IV-prefixed hex for GCM)
    * @throws  {Error}  If encryption fails
    */
   encryptPayload(plaintext) {
     try {
+      if (this.mode === "gcm") {
+        const nonce = crypto.randomBytes(GCM_NONCE_BYTES);
+        const cipher = crypto.createCipheriv(this.suite, this.keyBytes(), nonce);
+        const body = Buffer.concat([
+          cipher.update(plaintext, "utf8"),
+          cipher.final(),
+          cipher.getAuthTag(),
+        ]);
+        return `${nonce.toString("hex")}:${body.toString("hex")}`;
+      }
+
       const encrypted = CryptoJS.AES.encrypt(plaintext, this.key, {
         iv: this.iv,
         mode: CryptoJS.mode.CBC,
@@ -47,30 +111,172 @@ export class EncDec {
   }
 
   /**
-   * Decrypt hex ciphertext with AES-256-CBC.
-   * @param   {string} cipherHex Hex string (multiple of 32 chars)
+   * Decrypt ciphertext with the configured suite.
+   * @param   {string} payload Ciphertext in any accepted encoding
    * @returns {string} Decrypted UTF-8 string
-   * @throws  {Error}  If validation or decryption fails
+   * @throws  {DecryptionError} If validation or decryption fails
    */
-  decryptPayload(cipherHex) {
-    // Validate hex format & block alignment (16-byte blocks → 32 hex chars)
-    if (!/^[0-9a-fA-F]+$/.test(cipherHex) || cipherHex.length % 32 !== 0) {
-      throw new Error(
-        "Ciphertext must be hexadecimal and block-aligned (32, 64, … chars)"
+  decryptPayload(payload) {
+    return this.decryptDetailed(payload).plaintext;
+  }
+
+  /**
+   * Decrypt ciphertext and report which encoding it was in.
+   * @param   {string} payload Ciphertext in any accepted encoding
+   * @param   {string} [encoding] Encoding of this payload, overriding the
+   *          configured one (e.g. `hex` for raw bytes from a `$binary` value)
+   * @returns {{plaintext: string, format: string}} Plaintext and encoding
+   * @throws  {AuthenticationError} If a GCM auth tag does not verify
+   * @throws  {DecryptionError} If validation or decryption fails; the
+   *          `code` classifies the failure and `format` is the detected encoding
+   */
+  decryptDetailed(payload, encoding = this.encoding) {
+    const { format, ciphertext, iv, salt } = decodePayload(
+      payload,
+      encoding,
+      { aligned: this.mode === "cbc" }
+    );
+    const fail = (message, code) => new DecryptionError(message, code, format);
+
+    if (this.mode === "gcm") {
+      return { plaintext: this.decryptGcm(ciphertext, iv, format), format };
+    }
+    if (iv && iv.sigBytes !== 16)
+      throw fail("CBC needs a 16-byte IV", FailureReason.MISALIGNED);
+    if (salt && !this.passphrase)
+      throw fail(
+        "OpenSSL Salted__ payload needs a passphrase",
+        FailureReason.MISSING_PASSPHRASE
       );
+
+    let decrypted;
+    try {
+      let key = this.key;
+      let blockIv = iv ?? this.iv;
+      if (salt) {
+        // OpenSSL EVP_BytesToKey (MD5), as used by `openssl enc -md md5` and CryptoJS
+        const derived = CryptoJS.kdf.OpenSSL.execute(
+          this.passphrase,
+          this.key.sigBytes / 4,
+          128 / 32,
+          salt
+        );
+        key = derived.key;
+        blockIv = derived.iv;
+      }
+
+      // Padding is checked below; crypto-js would strip it without checking
+      decrypted = CryptoJS.AES.decrypt({ ciphertext }, key, {
+        iv: blockIv,
+        mode: CryptoJS.mode.CBC,
+        padding: CryptoJS.pad.NoPadding,
+      });
+    } catch (err) {
+      throw fail(`Decryption failed: ${err.message}`, FailureReason.OTHER);
     }
 
+    if (!stripPkcs7(decrypted))
+      throw fail(
+        "Invalid PKCS#7 padding (likely wrong key/IV)",
+        FailureReason.BAD_PADDING
+      );
+    let plaintext;
     try {
-      const cipherWords = CryptoJS.enc.Hex.parse(cipherHex);
-      const decrypted = CryptoJS.AES.decrypt(
-        { ciphertext: cipherWords },
-        this.key,
-        { iv: this.iv, mode: CryptoJS.mode.CBC, padding: CryptoJS.pad.Pkcs7 }
+      plaintext = CryptoJS.enc.Utf8.stringify(decrypted);
+    } catch {
+      throw fail(
+        "Decrypted bytes are not valid UTF-8 (likely wrong key/IV)",
+        FailureReason.MALFORMED_UTF8
+      );
+    }
+    if (plaintext === "")
+      throw fail("Decrypted value is empty", FailureReason.EMPTY_PLAINTEXT);
+    return { plaintext, format };
+  }
+
+  /**
+   * AES-GCM decryption of `ciphertext || tag`.
+   * @private
+   * @param   {CryptoJS.lib.WordArray} body Ciphertext followed by the auth tag
+   * @param   {CryptoJS.lib.WordArray} [iv] Per-record nonce (default: configured IV)
+   * @param   {string} format Detected encoding, attached to errors
+   * @returns {string} Decrypted UTF-8 string
+   * @throws  {AuthenticationError} If the tag does not verify
+   * @throws  {DecryptionError} If the body is shorter than the tag, or the
+   *          plaintext is not UTF-8 or empty
+   */
+  decryptGcm(body, iv, format) {
+    const bytes = Buffer.from(body.toString(CryptoJS.enc.Hex), "hex");
+    if (bytes.length < GCM_TAG_BYTES)
+      throw new DecryptionError(
+        `GCM ciphertext is too short to hold the 16-byte auth tag (got ${bytes.length} bytes)`,
+        FailureReason.MISALIGNED,
+        format
+      );
+    const nonce = Buffer.from((iv ?? this.iv).toString(CryptoJS.enc.Hex), "hex");
+    const decipher = crypto.createDecipheriv(this.suite, this.keyBytes(), nonce);
+
+    let plain;
+    try {
+      decipher.setAuthTag(bytes.subarray(bytes.length - GCM_TAG_BYTES));
+      plain = Buffer.concat([
+        decipher.update(bytes.subarray(0, bytes.length - GCM_TAG_BYTES)),
+        decipher.final(),
+      ]);
+    } catch {
+      throw new AuthenticationError(
+        "GCM authentication failed: wrong key/IV or tampered ciphertext",
+        format
+      );
+    }
+    let plaintext;
+    try {
+      plaintext = new TextDecoder("utf-8", { fatal: true }).decode(plain);
+    } catch {
+      throw new DecryptionError(
+        "Decrypted bytes are not valid UTF-8",
+        FailureReason.MALFORMED_UTF8,
+        format
       );
-      return CryptoJS.enc.Utf8.stringify(decrypted);
-    } catch (err) {
-      throw new Error(`Decryption failed: ${err.message}`);
     }
+    if (plaintext === "")
+      throw new DecryptionError(
+        "Decrypted value is empty",
+        FailureReason.EMPTY_PLAINTEXT,
+        format
+      );
+    return plaintext;
+  }
+
+  /**
+   * Raw key bytes for Node's `crypto`.
+   * @private
+   * @returns {Buffer}
+   */
+  keyBytes() {
+    return Buffer.from(this.key.toString(CryptoJS.enc.Hex), "hex");
+  }
+
+  /**
+   * Fresh copy of the key material and options, for rebuilding this
+   * instance in a worker thread (see `core/parallel.js`). Key and IV are
+   * raw bytes so they can be transferred and zeroed once used.
+   * @returns {{key: Uint8Array, iv: Uint8Array, suite: string, encoding: string, passphrase?: string}}
+   */
+  exportCredentials() {
+    const key = this.keyBytes();
+    const iv = Buffer.from(this.iv.toString(CryptoJS.enc.Hex), "hex");
+    const copy = {
+      key: new Uint8Array(key),
+      iv: new Uint8Array(iv),
+      suite: this.suite,
+      encoding: this.encoding,
+      passphrase: this.passphrase,
+    };
+    // Small Buffers share a pooled slab; do not leave key bytes behind in it
+    key.fill(0);
+    iv.fill(0);
+    return copy;
   }
 
   /**
@@ -80,6 +286,16 @@ export class EncDec {
    * @throws  {Error}   If hashing fails
    */
   hashPayload(data) {
+    return EncDec.hashPayload(data);
+  }
+
+  /**
+   * SHA-256 hash helper that needs no key, e.g. for the audit log.
+   * @param   {string} data Input string
+   * @returns {string}  Hex-encoded SHA-256 digest
+   * @throws  {Error}   If hashing fails
+   */
+  static hashPayload(data) {
     try {
       return CryptoJS.SHA256(data).toString(CryptoJS.enc.Hex);
     } catch (err) {
@@ -87,3 +303,21 @@ export class EncDec {
     }
   }
 }
+
+/**
+ * Validates and removes PKCS#7 padding in place: the last byte gives the
+ * pad length (1–16) and every pad byte must equal it.
+ * @param   {CryptoJS.lib.WordArray} data Decrypted blocks (mutated)
+ * @returns {boolean} False if the padding is invalid
+ */
+function stripPkcs7(data) {
+  const byteAt = (i) => (data.words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+  const size = data.sigBytes;
+  const pad = size > 0 ? byteAt(size - 1) : 0;
+  if (pad < 1 || pad > 16 || pad > size) return false;
+  for (let i = size - pad; i < size; i++) {
+    if (byteAt(i) !== pad) return false;
+  }
+  data.sigBytes -= pad;
+  return true;
+}
@@ -0,0 +1,278 @@
+import CryptoJS from "crypto-js";
+import { DecryptionError, FailureReason } from "../core/error.js";
+
+/**
+ * Ciphertext encodings understood by {@link EncDec}:
+ *  • hex         – block-aligned hex (the original TrueHear format)
+ *  • base64      – standard base64 of the raw ciphertext
+ *  • base64url   – URL-safe base64 (`-`/`_`, padding optional)
+ *  • openssl     – OpenSSL / CryptoJS `Salted__` blob (base64), key derived from a passphrase
+ *  • iv-prefixed – `<iv>:<ciphertext>` with a per-record IV, each part hex or base64
+ *
+ * `auto` picks one of the above per value (see {@link detectEncoding}).
+ */
+
+/**
+ * Accepted values for the encoding option.
+ * @type {string[]}
+ */
+export const CIPHERTEXT_ENCODINGS = [
+  "auto",
+  "hex",
+  "base64",
+  "base64url",
+  "openssl",
+  "iv-prefixed",
+];
+
+/** AES block size in bytes. */
+const BLOCK_BYTES = 16;
+
+/** GCM authentication tag size in bytes (appended to the ciphertext). */
+const TAG_BYTES = 16;
+
+/** Recommended GCM nonce size in bytes. */
+const GCM_NONCE_BYTES = 12;
+
+const HEX = /^[0-9a-fA-F]+$/;
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+const BASE64URL = /^[A-Za-z0-9_-]+={0,2}$/;
+
+/** base64 of the 8-byte `Salted__` magic that opens every OpenSSL blob. */
+const OPENSSL_PREFIX = "U2FsdGVkX1";
+
+/**
+ * @typedef {Object} DecodedPayload
+ * @property {string} format - Concrete encoding (never `auto`)
+ * @property {CryptoJS.lib.WordArray} ciphertext - Raw ciphertext bytes
+ * @property {CryptoJS.lib.WordArray} [iv] - Per-record IV (`iv-prefixed`)
+ * @property {CryptoJS.lib.WordArray} [salt] - KDF salt (`openssl`)
+ */
+
+/**
+ * Guesses the encoding of a ciphertext string.
+ * Anything made only of hex digits is treated as hex, so existing hex
+ * data keeps its exact error messages.
+ *
+ * @param   {string} payload Ciphertext as found in the record
+ * @returns {string|null} Concrete encoding, or null if none fits
+ *
+ * @example
+ * detectEncoding("7d224f6cc6557e10a099c4d095f344dc") // "hex"
+ * detectEncoding("U2FsdGVkX1+...")                   // "openssl"
+ * detectEncoding("MTIzNDU2Nzg5MGFiY2RlZg==:fSJP...")  // "iv-prefixed"
+ */
+export function detectEncoding(payload) {
+  if (payload.includes(":")) return "iv-prefixed";
+  if (HEX.test(payload)) return "hex";
+  if (payload.startsWith(OPENSSL_PREFIX)) return "openssl";
+  if (BASE64.test(payload)) return "base64";
+  if (BASE64URL.test(payload)) return "base64url";
+  return null;
+}
+
+/**
+ * Decodes a ciphertext string into raw bytes (plus IV or salt where the
+ * format carries one) and checks its length.
+ *
+ * @param   {string} payload  Ciphertext as found in the record
+ * @param   {string} [encoding="auto"] One of {@link CIPHERTEXT_ENCODINGS}
+ * @param   {Object} [options]
+ * @param   {boolean} [options.aligned=true] Expect whole 16-byte blocks (CBC);
+ *          when false (GCM) any length holding at least the 16-byte auth tag
+ *          is accepted, as are 12-byte per-record IVs
+ * @returns {DecodedPayload}
+ * @throws  {DecryptionError} If the payload does not match the encoding
+ *   (`non-hex` or `misaligned`). The error carries the attempted `format`
+ *   (null if none could be detected). With `auto`, a value that only looked
+ *   like base64 but does not decode to a ciphertext length (e.g. `zzzz`)
+ *   is reported as unrecognized (`non-hex`, format null), not misaligned.
+ */
+export function decodePayload(payload, encoding = "auto", options = {}) {
+  const { aligned = true } = options;
+  const format = encoding === "auto" ? detectEncoding(payload) : encoding;
+  try {
+    switch (format) {
+      case "hex":
+        return { format, ciphertext: parseHexBlocks(payload, aligned) };
+      case "base64":
+      case "base64url":
+        return {
+          format,
+          ciphertext: parseBase64Blocks(payload, format, aligned),
+        };
+      case "openssl":
+        return { format, ...parseOpenSSL(payload) };
+      case "iv-prefixed":
+        return { format, ...parseIvPrefixed(payload, aligned) };
+      default:
+        throw unrecognizedEncoding();
+    }
+  } catch (err) {
+    // base64 is the last guess, and most text matches its alphabet
+    if (encoding === "auto" && (format === "base64" || format === "base64url"))
+      throw unrecognizedEncoding();
+    err.format = format ?? null;
+    throw err;
+  }
+}
+
+/**
+ * @returns {DecryptionError} Error for a value no encoding fits (`format` null)
+ */
+function unrecognizedEncoding() {
+  return new DecryptionError(
+    "Unrecognized ciphertext encoding (expected hex, base64, base64url, OpenSSL Salted__ or iv:ciphertext)",
+    FailureReason.NON_HEX
+  );
+}
+
+/**
+ * @param   {string} text Hex ciphertext
+ * @param   {boolean} aligned Expect whole blocks (see {@link decodePayload})
+ * @returns {CryptoJS.lib.WordArray}
+ * @throws  {DecryptionError} If not hex or of the wrong length
+ */
+function parseHexBlocks(text, aligned) {
+  if (!HEX.test(text)) {
+    throw new DecryptionError(
+      "Ciphertext must be hexadecimal (found non-hex characters)",
+      FailureReason.NON_HEX
+    );
+  }
+  if (!aligned) {
+    if (text.length % 2 !== 0 || text.length < TAG_BYTES * 2) {
+      throw new DecryptionError(
+        `Ciphertext must be whole bytes and include the 16-byte auth tag (32+ hex chars; got ${text.length})`,
+        FailureReason.MISALIGNED
+      );
+    }
+    return CryptoJS.enc.Hex.parse(text);
+  }
+  // 16-byte blocks → 32 hex chars
+  if (text.length % (BLOCK_BYTES * 2) !== 0) {
+    throw new DecryptionError(
+      `Ciphertext must be block-aligned (32, 64, … hex chars; got ${text.length})`,
+      FailureReason.MISALIGNED
+    );
+  }
+  return CryptoJS.enc.Hex.parse(text);
+}
+
+/**
+ * @param   {string} text Base64 or base64url ciphertext
+ * @param   {"base64"|"base64url"} alphabet Expected alphabet
+ * @param   {boolean} aligned Expect whole blocks (see {@link decodePayload})
+ * @returns {CryptoJS.lib.WordArray}
+ * @throws  {DecryptionError} If not valid in that alphabet or of the wrong length
+ */
+function parseBase64Blocks(text, alphabet, aligned) {
+  const bytes = parseBase64(text, alphabet);
+  if (!aligned) {
+    if (bytes.sigBytes < TAG_BYTES) {
+      throw new DecryptionError(
+        `${alphabet} ciphertext is too short to hold the 16-byte auth tag (got ${bytes.sigBytes} bytes)`,
+        FailureReason.MISALIGNED
+      );
+    }
+    return bytes;
+  }
+  if (bytes.sigBytes === 0 || bytes.sigBytes % BLOCK_BYTES !== 0) {
+    throw new DecryptionError(
+      `${alphabet} ciphertext must decode to whole 16-byte blocks (got ${bytes.sigBytes} bytes)`,
+      FailureReason.MISALIGNED
+    );
+  }
+  return bytes;
+}
+
+/**
+ * @param   {string} text Base64 or base64url text
+ * @param   {"base64"|"base64url"} alphabet Expected alphabet
+ * @returns {CryptoJS.lib.WordArray}
+ * @throws  {DecryptionError} If the text uses other characters
+ */
+function parseBase64(text, alphabet) {
+  const pattern = alphabet === "base64url" ? BASE64URL : BASE64;
+  if (!pattern.test(text) || text.replace(/=+$/, "").length % 4 === 1) {
+    throw new DecryptionError(
+      `Ciphertext is not valid ${alphabet}`,
+      FailureReason.NON_HEX
+    );
+  }
+  const standard = text
+    .replace(/=+$/, "")
+    .replace(/-/g, "+")
+    .replace(/_/g, "/");
+  return CryptoJS.enc.Base64.parse(
+    standard.padEnd(Math.ceil(standard.length / 4) * 4, "=")
+  );
+}
+
+/**
+ * Splits an OpenSSL `Salted__` blob: 8-byte magic, 8-byte salt, ciphertext.
+ *
+ * @param   {string} text Base64 blob
+ * @returns {{ciphertext: CryptoJS.lib.WordArray, salt: CryptoJS.lib.WordArray}}
+ * @throws  {DecryptionError} If the blob is malformed
+ */
+function parseOpenSSL(text) {
+  const bytes = parseBase64(text, "base64");
+  const hex = bytes.toString(CryptoJS.enc.Hex);
+  const magic = CryptoJS.enc.Latin1.stringify(
+    CryptoJS.enc.Hex.parse(hex.slice(0, 16))
+  );
+  const body = hex.slice(32);
+  if (magic !== "Salted__" || body.length === 0 || body.length % 32 !== 0) {
+    throw new DecryptionError(
+      "Malformed OpenSSL Salted__ payload (truncated or not whole blocks)",
+      FailureReason.MISALIGNED
+    );
+  }
+  return {
+    salt: CryptoJS.enc.Hex.parse(hex.slice(16, 32)),
+    ciphertext: CryptoJS.enc.Hex.parse(body),
+  };
+}
+
+/**
+ * Splits `<iv>:<ciphertext>`; each part may be hex or base64.
+ *
+ * @param   {string} text IV-prefixed payload
+ * @param   {boolean} aligned Expect whole blocks and a 16-byte IV; when
+ *          false a 12-byte GCM nonce is accepted too
+ * @returns {{iv: CryptoJS.lib.WordArray, ciphertext: CryptoJS.lib.WordArray}}
+ * @throws  {DecryptionError} If either part is malformed
+ */
+function parseIvPrefixed(text, aligned) {
+  const parts = text.split(":");
+  if (parts.length !== 2) {
+    throw new DecryptionError(
+      "IV-prefixed payload must look like <iv>:<ciphertext>",
+      FailureReason.NON_HEX
+    );
+  }
+  const [ivText, cipherText] = parts;
+  const iv = HEX.test(ivText)
+    ? CryptoJS.enc.Hex.parse(ivText)
+    : parseBase64(ivText, BASE64.test(ivText) ? "base64" : "base64url");
+  const ivSizes = aligned ? [BLOCK_BYTES] : [GCM_NONCE_BYTES, BLOCK_BYTES];
+  if (!ivSizes.includes(iv.sigBytes)) {
+    throw new DecryptionError(
+      aligned
+        ? "Per-record IV must be 16 bytes (32 hex chars)"
+        : "Per-record IV must be 12 or 16 bytes (24 or 32 hex chars)",
+      FailureReason.MISALIGNED
+    );
+  }
+  const innerFormat = detectEncoding(cipherText);
+  const ciphertext =
+    innerFormat === "hex"
+      ? parseHexBlocks(cipherText, aligned)
+      : parseBase64Blocks(
+          cipherText,
+          innerFormat === "base64url" ? "base64url" : "base64",
+          aligned
+        );
+  return { iv, ciphertext };
+}
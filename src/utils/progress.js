@@ -0,0 +1,193 @@
+/**
+ * createProgress — progress reporter for long runs: processed/total,
+ * success/failure counts, records per second and ETA.
+ *
+ * In an interactive terminal it redraws one status line a few times per
+ * second. When stdout is not a TTY (pipes, log files, cron) or inside a
+ * pkg executable — where escape codes are avoided, see `spinner.js` — it
+ * prints a plain line every few seconds instead.
+ *
+ * Usage
+ * -----
+ *   const progress = createProgress('Decrypting...', { total: () => ({ count: 1000 }) }).start();
+ *   progress.update({ processed: 10, success: 9, failed: 1 });
+ *   // ...
+ *   progress.succeed('Done');
+ *
+ * `total` is a function so callers can refine an estimate while reading
+ * (shown as `~10,000`); it may return undefined when the total is unknown.
+ */
+
+/** Redraw interval of the live terminal line (ms). */
+const LIVE_INTERVAL_MS = 200;
+
+/** Interval between plain progress lines (ms). */
+const PLAIN_INTERVAL_MS = 5000;
+
+/**
+ * @typedef {Object} Total
+ * @property {number} count Expected number of records
+ * @property {boolean} [approximate] Whether `count` is an estimate
+ */
+
+/**
+ * Whether the live line can be used: stdout is a terminal and we are not
+ * running from a pkg snapshot.
+ *
+ * @returns {boolean}
+ */
+export function supportsLiveProgress() {
+  return Boolean(process.stdout.isTTY) && !process.pkg;
+}
+
+/**
+ * @param {string} [text=""] Start message, also prefixed to progress lines
+ * @param {Object} [options]
+ * @param {() => (Total|undefined)} [options.total] Expected record count;
+ *        undefined when unknown
+ * @param {number} [options.offset=0] Records already done before this run
+ *        (a resumed import); excluded from the rate
+ * @param {boolean} [options.live] Redraw one line (default: {@link supportsLiveProgress})
+ * @param {number} [options.interval] Milliseconds between updates
+ *        (default: 200 live, 5000 plain)
+ * @returns {{start: Function, update: Function, succeed: Function, fail: Function, stop: Function}}
+ */
+export function createProgress(text = "", options = {}) {
+  const {
+    total = () => undefined,
+    offset = 0,
+    live = supportsLiveProgress(),
+  } = options;
+  const interval =
+    options.interval ?? (live ? LIVE_INTERVAL_MS : PLAIN_INTERVAL_MS);
+  let counts = { processed: offset, success: 0, failed: 0 };
+  let startedAt = 0;
+  let timer = null;
+  let drawn = false; // a live line is on screen
+  let ended = false;
+
+  /** prints the start message and begins periodic reporting */
+  function start(msg = text) {
+    if (timer || ended) return api;
+    console.log(msg);
+    startedAt = Date.now();
+    timer = setInterval(render, interval);
+    timer.unref(); // never keeps the process alive
+    return api;
+  }
+
+  /** records the latest counts; they are shown on the next tick */
+  function update(next) {
+    counts = { ...counts, ...next };
+    return api;
+  }
+
+  /** prints the current status line */
+  function render() {
+    const line = `${text} ${describeProgress(counts, total(), Date.now() - startedAt, offset)}`;
+    if (live) {
+      process.stdout.write(`\r\x1b[K${line}`);
+      drawn = true;
+    } else {
+      console.log(line);
+    }
+  }
+
+  /** stops reporting and clears the live line */
+  function finish() {
+    clearInterval(timer);
+    if (drawn) process.stdout.write("\r\x1b[K");
+    drawn = false;
+    ended = true;
+  }
+
+  /** prints a ✔️  line with the final rate */
+  function succeed(msg = "Done") {
+    if (ended) return api;
+    finish();
+    const elapsed = Date.now() - startedAt;
+    const done = counts.processed - offset;
+    const rate = done
+      ? ` (${formatCount(done)} in ${formatDuration(elapsed)}, ${formatRate(done, elapsed)})`
+      : "";
+    console.log(`✔️  ${msg}${rate}`);
+    return api;
+  }
+
+  /** prints a ❌ line */
+  function fail(msg = "Failed") {
+    if (ended) return api;
+    finish();
+    console.log(`❌ ${msg}`);
+    return api;
+  }
+
+  /** silently ends reporting */
+  function stop() {
+    if (!ended) finish();
+    return api;
+  }
+
+  const api = { start, update, succeed, fail, stop };
+  return api;
+}
+
+/**
+ * Formats a status line, e.g.
+ * `1,200/~10,000 (12%) · 1,180 ok · 20 failed · 850/s · ETA 10s`.
+ *
+ * @param {{processed: number, success: number, failed: number}} counts Running counts
+ * @param {Total|undefined} total Expected total, if known
+ * @param {number} elapsed Milliseconds since start
+ * @param {number} [offset=0] Records done before start, excluded from the rate
+ * @returns {string}
+ */
+export function describeProgress(counts, total, elapsed, offset = 0) {
+  const { processed, success, failed } = counts;
+  const parts = [];
+  // An estimate that has fallen behind is useless; drop it
+  const expected = total?.count >= processed ? total.count : undefined;
+  if (expected > 0) {
+    const percent = Math.floor((processed / expected) * 100);
+    const prefix = total.approximate ? "~" : "";
+    parts.push(
+      `${formatCount(processed)}/${prefix}${formatCount(expected)} (${percent}%)`
+    );
+  } else {
+    parts.push(formatCount(processed));
+  }
+  parts.push(`${formatCount(success)} ok`, `${formatCount(failed)} failed`);
+  const done = processed - offset;
+  if (done > 0 && elapsed > 0) {
+    parts.push(formatRate(done, elapsed));
+    if (expected > processed) {
+      const eta = ((expected - processed) * elapsed) / done;
+      parts.push(`ETA ${formatDuration(eta)}`);
+    }
+  }
+  return parts.join(" · ");
+}
+
+/** @param {number} n */
+function formatCount(n) {
+  return Math.round(n).toLocaleString("en-US");
+}
+
+/** @param {number} processed @param {number} elapsed Milliseconds */
+function formatRate(processed, elapsed) {
+  return `${formatCount((processed * 1000) / Math.max(elapsed, 1))}/s`;
+}
+
+/**
+ * @param {number} ms Duration
+ * @returns {string} e.g. `4.2s`, `42s`, `3m 05s`, `1h 02m`
+ */
+function formatDuration(ms) {
+  if (ms < 10000) return `${(ms / 1000).toFixed(1)}s`;
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const pad = (n) => String(n).padStart(2, "0");
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${pad(seconds % 60)}s`;
+  return `${Math.floor(minutes / 60)}h ${pad(minutes % 60)}m`;
+}
@@ -0,0 +1,387 @@
+import fs from "fs";
+import zlib from "zlib";
+import { PassThrough, Readable, Transform, pipeline } from "stream";
+import { finished } from "stream/promises";
+
+/**
+ * Minimal ZIP archive support, enough for XLSX workbooks (see
+ * `core/xlsx.js`) without a third-party library:
+ *  • reading  – the central directory, then any entry either in full or
+ *               as a stream, for `stored` and `deflate` entries
+ *  • writing  – a whole archive from entries deflated up front, one of
+ *               which may be deflated incrementally while it is produced
+ *
+ * Encrypted entries, multi-disk archives and ZIP64 (archives or entries
+ * over 4 GB) are rejected.
+ */
+
+/** Compression methods. */
+const STORED = 0;
+const DEFLATE = 8;
+
+/** Record signatures. */
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_DIRECTORY = 0x06054b50;
+
+/** Fixed sizes of the records above. */
+const LOCAL_HEADER_BYTES = 30;
+const CENTRAL_HEADER_BYTES = 46;
+const END_OF_DIRECTORY_BYTES = 22;
+
+/** The end record sits within its size plus a 64 KB comment of the end. */
+const MAX_TAIL_BYTES = END_OF_DIRECTORY_BYTES + 0xffff;
+
+/** General purpose flags: entry encrypted / names are UTF-8. */
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+/** Marks a ZIP64 field in a 32-bit size or offset. */
+const ZIP64_MARKER = 0xffffffff;
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path inside the archive
+ * @property {number} method - Compression method
+ * @property {number} compressedSize - Bytes stored
+ * @property {number} size - Bytes once inflated
+ * @property {number} headerOffset - Offset of the entry's local header
+ */
+
+/**
+ * @typedef {Object} ZipSource
+ * @property {string} name - Path inside the archive
+ * @property {Buffer} data - Deflated bytes
+ * @property {number} crc - CRC-32 of the inflated bytes
+ * @property {number} size - Inflated size
+ */
+
+/**
+ * CRC-32 lookup table (IEEE polynomial, as used by ZIP).
+ * @type {Int32Array}
+ */
+const CRC_TABLE = Int32Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+/**
+ * CRC-32 of `bytes`, continuing from `crc` when checksumming in parts
+ * (`zlib.crc32` is missing before Node 20.15).
+ *
+ * @function crc32
+ * @param {Buffer} bytes - Data
+ * @param {number} [crc=0] - Checksum of the preceding parts
+ * @returns {number} Unsigned checksum
+ */
+export function crc32(bytes, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+/**
+ * Lists an archive's entries from its central directory.
+ *
+ * @function readZipEntries
+ * @param {string} filePath - ZIP file
+ * @returns {Map<string, ZipEntry>} Entries by name
+ * @throws {Error} If the file is not a readable ZIP archive
+ */
+export function readZipEntries(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const size = fs.fstatSync(fd).size;
+    const tailBytes = Math.min(size, MAX_TAIL_BYTES);
+    const tail = readAt(fd, size - tailBytes, tailBytes);
+    let end = -1;
+    for (let i = tail.length - END_OF_DIRECTORY_BYTES; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === END_OF_DIRECTORY) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) throw new Error("not a ZIP archive");
+    if (tail.readUInt16LE(end + 4) !== 0 || tail.readUInt16LE(end + 6) !== 0) {
+      throw new Error("multi-disk ZIP archives are not supported");
+    }
+    const directorySize = tail.readUInt32LE(end + 12);
+    const directoryOffset = tail.readUInt32LE(end + 16);
+    if (directoryOffset === ZIP64_MARKER) {
+      throw new Error("ZIP64 archives are not supported");
+    }
+
+    const directory = readAt(fd, directoryOffset, directorySize);
+    const entries = new Map();
+    let at = 0;
+    while (at + CENTRAL_HEADER_BYTES <= directory.length) {
+      if (directory.readUInt32LE(at) !== CENTRAL_HEADER) {
+        throw new Error("corrupt ZIP central directory");
+      }
+      const flags = directory.readUInt16LE(at + 8);
+      const nameBytes = directory.readUInt16LE(at + 28);
+      const extraBytes = directory.readUInt16LE(at + 30);
+      const commentBytes = directory.readUInt16LE(at + 32);
+      const nameStart = at + CENTRAL_HEADER_BYTES;
+      const name = directory.toString(
+        flags & FLAG_UTF8 ? "utf8" : "latin1",
+        nameStart,
+        nameStart + nameBytes
+      );
+      const entry = {
+        name,
+        flags,
+        method: directory.readUInt16LE(at + 10),
+        compressedSize: directory.readUInt32LE(at + 20),
+        size: directory.readUInt32LE(at + 24),
+        headerOffset: directory.readUInt32LE(at + 42),
+      };
+      if (
+        [entry.compressedSize, entry.size, entry.headerOffset].includes(
+          ZIP64_MARKER
+        )
+      ) {
+        throw new Error("ZIP64 archives are not supported");
+      }
+      entries.set(name, entry);
+      at = nameStart + nameBytes + extraBytes + commentBytes;
+    }
+    return entries;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Reads and inflates a whole entry.
+ *
+ * @function readZipEntry
+ * @param {string} filePath - ZIP file
+ * @param {ZipEntry} entry - Entry from {@link readZipEntries}
+ * @returns {Buffer}
+ * @throws {Error} If the entry is encrypted, uses another method or is corrupt
+ */
+export function readZipEntry(filePath, entry) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const start = dataOffset(fd, entry);
+    const data = readAt(fd, start, entry.compressedSize);
+    return entry.method === DEFLATE ? zlib.inflateRawSync(data) : data;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Streams an entry's inflated bytes, for entries too large to hold.
+ *
+ * @function openZipEntry
+ * @param {string} filePath - ZIP file
+ * @param {ZipEntry} entry - Entry from {@link readZipEntries}
+ * @param {(bytesRead: number) => void} [onRead] - Called with the
+ *   position in the archive as compressed bytes are read
+ * @returns {import("stream").Readable}
+ * @throws {Error} If the entry is encrypted or uses another method
+ */
+export function openZipEntry(filePath, entry, onRead) {
+  const fd = fs.openSync(filePath, "r");
+  let start;
+  try {
+    start = dataOffset(fd, entry);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (entry.compressedSize === 0) return Readable.from([]);
+  const input = fs.createReadStream(filePath, {
+    start,
+    end: start + entry.compressedSize - 1,
+  });
+  if (onRead) input.on("data", () => onRead(start + input.bytesRead));
+  const output =
+    entry.method === STORED ? new PassThrough() : zlib.createInflateRaw();
+  // pipeline() forwards read errors, so iteration rejects
+  pipeline(input, output, () => {});
+  return output;
+}
+
+/**
+ * Deflates a whole entry for {@link buildZip}.
+ *
+ * @function deflateEntry
+ * @param {string} name - Path inside the archive
+ * @param {string|Buffer} content - Entry content (strings as UTF-8)
+ * @returns {ZipSource}
+ */
+export function deflateEntry(name, content) {
+  const bytes = Buffer.from(content);
+  return {
+    name,
+    data: zlib.deflateRawSync(bytes),
+    crc: crc32(bytes),
+    size: bytes.length,
+  };
+}
+
+/**
+ * Deflates an entry as it is written, so only its compressed form is
+ * held in memory. End `stream`, then await `entry` for {@link buildZip}.
+ *
+ * @function createEntryStream
+ * @param {string} name - Path inside the archive
+ * @returns {{stream: import("stream").Writable, entry: Promise<ZipSource>}}
+ *
+ * @example
+ * const { stream, entry } = createEntryStream("xl/worksheets/sheet1.xml");
+ * stream.end(xml);
+ * const zip = buildZip([deflateEntry("a.xml", "<a/>"), await entry]);
+ */
+export function createEntryStream(name) {
+  let crc = 0;
+  let size = 0;
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      crc = crc32(chunk, crc);
+      size += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  const deflate = zlib.createDeflateRaw();
+  const chunks = [];
+  deflate.on("data", (chunk) => chunks.push(chunk));
+  stream.on("error", (err) => deflate.destroy(err));
+  stream.pipe(deflate);
+  const entry = finished(deflate).then(() => ({
+    name,
+    data: Buffer.concat(chunks),
+    crc,
+    size,
+  }));
+  // Rejections surface when the caller awaits `entry`
+  entry.catch(() => {});
+  return { stream, entry };
+}
+
+/**
+ * Assembles a ZIP archive from deflated entries, in the given order.
+ *
+ * @function buildZip
+ * @param {ZipSource[]} entries - From {@link deflateEntry} or {@link createEntryStream}
+ * @returns {Buffer}
+ * @throws {Error} If the archive would need ZIP64
+ */
+export function buildZip(entries) {
+  const { time, date } = dosDateTime(new Date());
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const { name, data, crc, size } of entries) {
+    if (size >= ZIP64_MARKER || offset + data.length >= ZIP64_MARKER) {
+      throw new Error("Archive too large: ZIP64 is not supported");
+    }
+    const nameBytes = Buffer.from(name, "utf8");
+    // Fields shared by the local and central headers, from "version needed"
+    const common = Buffer.alloc(26);
+    common.writeUInt16LE(20, 0); // version needed: 2.0 (deflate)
+    common.writeUInt16LE(FLAG_UTF8, 2);
+    common.writeUInt16LE(DEFLATE, 4);
+    common.writeUInt16LE(time, 6);
+    common.writeUInt16LE(date, 8);
+    common.writeUInt32LE(crc, 10);
+    common.writeUInt32LE(data.length, 14);
+    common.writeUInt32LE(size, 18);
+    common.writeUInt16LE(nameBytes.length, 22);
+    // extra field length (24) stays 0
+
+    const local = Buffer.alloc(4);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    parts.push(local, common, nameBytes, data);
+
+    const central = Buffer.alloc(CENTRAL_HEADER_BYTES);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4); // made by: 2.0
+    common.copy(central, 6);
+    // comment length, disk, attributes (32-41) stay 0
+    central.writeUInt32LE(offset, 42);
+    directory.push(central, nameBytes);
+
+    offset += local.length + common.length + nameBytes.length + data.length;
+  }
+
+  const directoryBytes = directory.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(END_OF_DIRECTORY_BYTES);
+  end.writeUInt32LE(END_OF_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directoryBytes, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...parts, ...directory, end]);
+}
+
+/**
+ * Offset of an entry's data, past its local header.
+ *
+ * @function dataOffset
+ * @param {number} fd - Open ZIP file
+ * @param {ZipEntry} entry - Entry to locate
+ * @returns {number}
+ * @throws {Error} If the entry cannot be read
+ */
+function dataOffset(fd, entry) {
+  if (entry.flags & FLAG_ENCRYPTED) {
+    throw new Error(`${entry.name} is encrypted`);
+  }
+  if (entry.method !== STORED && entry.method !== DEFLATE) {
+    throw new Error(
+      `${entry.name} uses unsupported compression method ${entry.method}`
+    );
+  }
+  const header = readAt(fd, entry.headerOffset, LOCAL_HEADER_BYTES);
+  if (header.readUInt32LE(0) !== LOCAL_HEADER) {
+    throw new Error(`corrupt ZIP entry ${entry.name}`);
+  }
+  return (
+    entry.headerOffset +
+    LOCAL_HEADER_BYTES +
+    header.readUInt16LE(26) +
+    header.readUInt16LE(28)
+  );
+}
+
+/**
+ * Reads exactly `length` bytes at `position`.
+ *
+ * @function readAt
+ * @param {number} fd - Open file
+ * @param {number} position - Offset
+ * @param {number} length - Byte count
+ * @returns {Buffer}
+ * @throws {Error} If the file ends first
+ */
+function readAt(fd, position, length) {
+  const bytes = Buffer.alloc(length);
+  const read = fs.readSync(fd, bytes, 0, length, position);
+  if (read < length) throw new Error("unexpected end of ZIP archive");
+  return bytes;
+}
+
+/**
+ * MS-DOS time and date fields of a timestamp (local time, 2 s resolution).
+ *
+ * @function dosDateTime
+ * @param {Date} at - Timestamp
+ * @returns {{time: number, date: number}}
+ */
+function dosDateTime(at) {
+  return {
+    time:
+      (at.getHours() << 11) | (at.getMinutes() << 5) | (at.getSeconds() >> 1),
+    date:
+      ((Math.max(at.getFullYear(), 1980) - 1980) << 9) |
+      ((at.getMonth() + 1) << 5) |
+      at.getDate(),
+  };
+}